@@ -158,23 +158,28 @@ async function prepareR2UploadMetadata() {
     const fileExtension = currentUploadSession.mimeType === 'audio/wav' ? 'wav' : 'webm';
     
     // Get user information and stored session IDs
-    const { userInfo, userToken, lastSessionId, currentSessionId } = 
-      await chrome.storage.local.get(['userInfo', 'userToken', 'lastSessionId', 'currentSessionId']);
+    const { userInfo, userToken, lastSessionId, currentSessionId, lastTabInfo } = 
+      await chrome.storage.local.get(['userInfo', 'userToken', 'lastSessionId', 'currentSessionId', 'lastTabInfo']);
     
     if (!userToken) {
       throw new Error('No authentication token available');
     }
     
+    // The worker only accepts keys in the signed-in user's namespace
+    if (!userInfo?.id) {
+      throw new Error('No signed-in user ID - please sign in again');
+    }
+    
     // Check all possible session ID sources, prioritizing the stored values
     // This ensures we use the correct session ID even if the in-memory one is lost
     const effectiveSessionId = currentSessionId || sessionId || lastSessionId || 'unknown';
     
     // Generate a unique key for the audio file AFTER getting userInfo
-    const key = `recordings/${userInfo?.id || 'anonymous'}-${effectiveSessionId}/complete-recording-${formattedTimestamp}.${fileExtension}`;
+    const key = `recordings/${userInfo.id}-${effectiveSessionId}/complete-recording-${formattedTimestamp}.${fileExtension}`;
     
     // Prepare metadata
     const metadata = {
-      'user-id': userInfo?.id || 'anonymous',
+      'user-id': userInfo.id,
       'user-email': userInfo?.email || '',
       'session-id': effectiveSessionId,
       'timestamp': currentUploadSession.timestamp,
@@ -182,6 +187,13 @@ async function prepareR2UploadMetadata() {
       'content-disposition': 'attachment'
     };
     
+    // Tab info is cleared from memory when recording stops, so fall back to storage
+    const tabInfo = currentTabInfo || lastTabInfo;
+    if (tabInfo) {
+      metadata['tab-title'] = tabInfo.title || '';
+      metadata['tab-url'] = tabInfo.url || '';
+    }
+    
     return { key, metadata };
   } catch (error) {
     throw error;
@@ -212,85 +224,8 @@ async function uploadFromPortSession() {
         const uploadDuration = (Date.now() - uploadStartTime) / 1000;
         uploadSuccess = true;
         
-        // Show notification
-        console.log('[DEBUG] Upload success - Port session path');
-        try {
-          chrome.notifications.create({
-            type: 'basic',
-            iconUrl: 'public/icons/record.png',
-            title: 'Recording Upload Complete',
-            message: `Successfully uploaded recording to Cloudflare (${Math.round(blob.size/1024/1024)}MB) - Port path`,
-            priority: 2
-          });
-        } catch (e) {
-          // Error creating notification
-        }
-        
-        // Notify popup if open
-        try {
-          chrome.runtime.sendMessage({
-            type: 'RECORDING_UPLOAD_COMPLETE',
-            objectKey: key,
-            size: blob.size,
-            mimeType: currentUploadSession.mimeType
-          });
-        } catch (e) {
-          // Popup might not be open
-        }
-
-        // Start transcription in background
-        console.log('[DEBUG] Starting transcription for key:', key);
-        // Debug notification
-        try {
-          chrome.notifications.create({
-            type: 'basic',
-            iconUrl: 'public/icons/record.png',
-            title: 'DEBUG: Transcription Starting',
-            message: `Starting transcription for: ${key.substring(0, 20)}...`,
-            priority: 1
-          });
-        } catch (e) {}
-        
-        try {
-          // Wait a moment for upload to fully complete, then transcribe from R2
-          setTimeout(() => {
-            transcribeFromR2(key)
-            .then(transcriptionResult => {
-              // Show transcription complete notification
-              chrome.notifications.create({
-                type: 'basic',
-                iconUrl: 'public/icons/record.png',
-                title: 'Transcription Complete',
-                message: 'Audio has been transcribed successfully',
-                priority: 2
-              });
-
-              // Notify popup if open
-              try {
-                chrome.runtime.sendMessage({
-                  type: 'TRANSCRIPTION_COMPLETE',
-                  objectKey: key,
-                  transcription: transcriptionResult
-                });
-              } catch (e) {
-                // Popup might not be open
-              }
-            })
-            .catch(error => {
-              // Show transcription error notification
-              chrome.notifications.create({
-                type: 'basic',
-                iconUrl: 'public/icons/record.png',
-                title: 'Transcription Failed',
-                message: `Failed to transcribe audio: ${error.message}`,
-                priority: 2
-              });
-            });
-          }, 2000); // Wait 2 seconds for upload to complete
-        } catch (e) {
-          // Error starting transcription
-          console.log('[DEBUG] Error starting transcription:', e);
-        }
+        // Notify the user and kick off transcription
+        handleRecordingUploaded(key, blob.size, currentUploadSession.mimeType);
       } catch (error) {
         retryCount++;
         
@@ -322,6 +257,41 @@ async function uploadFromPortSession() {
   }
 }
 
+// Notify the user about a finished upload and follow the server-side pipeline
+function handleRecordingUploaded(key, size, mimeType) {
+  // Show notification
+  console.log('[DEBUG] Upload success - Port session path');
+  try {
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'public/icons/record.png',
+      title: 'Recording Upload Complete',
+      message: `Successfully uploaded recording to Cloudflare (${Math.round(size/1024/1024)}MB) - Port path`,
+      priority: 2
+    });
+  } catch (e) {
+    // Error creating notification
+  }
+  
+  // Notify popup if open
+  try {
+    chrome.runtime.sendMessage({
+      type: 'RECORDING_UPLOAD_COMPLETE',
+      objectKey: key,
+      size: size,
+      mimeType: mimeType
+    });
+  } catch (e) {
+    // Popup might not be open
+  }
+
+  // The worker transcribes and summarizes on its own; just follow its progress
+  console.log('[DEBUG] Server pipeline queued for key:', key);
+  watchServerPipeline(key).catch(error => {
+    console.log('[DEBUG] Stopped following server pipeline:', error.message);
+  });
+}
+
 // Recording state
 let isRecording = false;
 let offscreenCreated = false;
@@ -350,7 +320,19 @@ const CONFIG = {
     MAX_RETRIES: 3,                         // Number of upload retry attempts
     RETRY_DELAY_BASE: 2000,                 // Base retry delay in ms (doubles each retry)
     HEARTBEAT_INTERVAL: 2000,               // Upload heartbeat interval
-    HEARTBEAT_TIMEOUT: 30000                // Time to consider upload stalled
+    HEARTBEAT_TIMEOUT: 30000,               // Time to consider upload stalled
+    MULTIPART_THRESHOLD: 10 * 1024 * 1024,  // Recordings above 10MB upload in parts
+    PART_SIZE: 5 * 1024 * 1024,             // 5MB parts (R2 minimum for all but the last part)
+    PART_MAX_RETRIES: 5                     // Retry attempts per failed part
+  },
+  // Server-side processing settings
+  PIPELINE: {
+    PROCESS: 'summarize',                   // Worker transcribes then summarizes each upload
+    LANGUAGE: 'auto',                       // Spoken language (ISO 639-1, e.g. 'es'), or 'auto' to detect it
+    TASK: 'transcribe',                     // 'translate' turns non-English lectures into English text
+    STATUS_POLL_INTERVAL: 5000,             // How often to check the session manifest while the live stream is down
+    STATUS_STREAM_RETRY_DELAY: 30000,       // Poll this long after the live stream drops before reconnecting
+    STATUS_POLL_TIMEOUT: 15 * 60 * 1000     // Give up following the pipeline after 15 minutes
   }
 };
 
@@ -1356,16 +1338,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         // Update the session ID if one was provided
         if (request.sessionId) {
           // Store this session ID for summary checking
-          chrome.storage.local.set({ 
+          await chrome.storage.local.set({ 
             lastSessionId: request.sessionId,
             currentSessionId: request.sessionId
           });
-          
-          // Set up the summary status if not already done
-          if (!data.summaryStatus || data.summaryStatus.status === 'error' || data.summaryStatus.status === 'timeout') {
-            // Start a new polling session
-            startSummaryPolling(request.sessionId);
-          }
         }
         
         // Do an immediate check for the summary
@@ -1381,16 +1357,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
               summary: latestSummary 
             });
           } else {
-            // Start the alarm if not already running
-            chrome.alarms.get('checkSummary', (alarm) => {
-              if (!alarm) {
-                // Set up periodic checking (every 10 seconds)
-                chrome.alarms.create('checkSummary', {
-                  periodInMinutes: 10/60 // 10 seconds
-                });
-              }
-            });
-            
+            // No alarm needed: watchServerPipeline follows the session's live status stream
             // No summary found yet, return false
             sendResponse({ summaryFound: false });
           }
@@ -1407,6 +1374,169 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Indicates we'll call sendResponse asynchronously
   }
   
+  // Handle LIST_RECORDINGS request from popup (one page of the recordings library)
+  if (request.type === 'LIST_RECORDINGS') {
+    chrome.storage.local.get(['userToken']).then(({ userToken }) => {
+      if (!userToken) {
+        sendResponse({ success: false, error: 'Missing authentication token' });
+        return;
+      }
+      
+      const params = new URLSearchParams();
+      if (request.cursor) {
+        params.set('cursor', request.cursor);
+      }
+      if (request.limit) {
+        params.set('limit', String(request.limit));
+      }
+      
+      return fetch(`${getR2WorkerUrl()}/api/sessions?${params}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      })
+      .then(response => response.json())
+      .then(data => {
+        sendResponse(data);
+      });
+    })
+    .catch(error => {
+      console.error("[DEBUG BACKGROUND] Error in LIST_RECORDINGS handler:", error);
+      sendResponse({ success: false, error: `Failed to fetch: ${error.message}` });
+    });
+    
+    return true; // Will respond asynchronously
+  }
+  
+  // Handle DELETE_RECORDING request from popup (removes a session and its artifacts)
+  if (request.type === 'DELETE_RECORDING') {
+    if (!request.sessionId && !request.objectKey) {
+      sendResponse({ success: false, error: 'Missing sessionId or objectKey' });
+      return false;
+    }
+    
+    chrome.storage.local.get(['userToken']).then(({ userToken }) => {
+      if (!userToken) {
+        sendResponse({ success: false, error: 'Missing authentication token' });
+        return;
+      }
+      
+      const params = new URLSearchParams(
+        request.sessionId ? { sessionId: request.sessionId } : { key: request.objectKey }
+      );
+      
+      return fetch(`${getR2WorkerUrl()}/api/sessions?${params}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      })
+      .then(response => response.json())
+      .then(async data => {
+        // Forget any cached summary for the deleted session
+        if (data.success) {
+          const { summaryStatus } = await chrome.storage.local.get(['summaryStatus']);
+          if (summaryStatus && summaryStatus.sessionId === data.sessionId) {
+            await chrome.storage.local.remove(['summaryStatus', 'latestSummary']);
+          }
+        }
+        sendResponse(data);
+      });
+    })
+    .catch(error => {
+      console.error("[DEBUG BACKGROUND] Error in DELETE_RECORDING handler:", error);
+      sendResponse({ success: false, error: `Failed to delete: ${error.message}` });
+    });
+    
+    return true; // Will respond asynchronously
+  }
+  
+  // Handle GET_SESSION_STATUS request from popup (pipeline manifest for one session)
+  if (request.type === 'GET_SESSION_STATUS') {
+    if (!request.sessionId) {
+      sendResponse({ success: false, error: 'Missing sessionId' });
+      return false;
+    }
+    
+    chrome.storage.local.get(['userToken']).then(({ userToken }) => {
+      if (!userToken) {
+        sendResponse({ success: false, error: 'Missing authentication token' });
+        return;
+      }
+      
+      const params = new URLSearchParams({ sessionId: request.sessionId });
+      
+      return fetch(`${getR2WorkerUrl()}/api/sessions/status?${params}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      })
+      .then(response => response.json())
+      .then(data => {
+        sendResponse(data);
+      });
+    })
+    .catch(error => {
+      console.error("[DEBUG BACKGROUND] Error in GET_SESSION_STATUS handler:", error);
+      sendResponse({ success: false, error: `Failed to fetch: ${error.message}` });
+    });
+    
+    return true; // Will respond asynchronously
+  }
+  
+  // Handle GET_JOB_STATUS request from popup (progress of a queued transcription or summary)
+  if (request.type === 'GET_JOB_STATUS') {
+    if (!request.jobId) {
+      sendResponse({ success: false, error: 'Missing jobId' });
+      return false;
+    }
+    
+    chrome.storage.local.get(['userToken']).then(({ userToken }) => {
+      if (!userToken) {
+        sendResponse({ success: false, error: 'Missing authentication token' });
+        return;
+      }
+      
+      return fetch(`${getR2WorkerUrl()}/api/jobs?jobId=${encodeURIComponent(request.jobId)}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      })
+      .then(response => response.json())
+      .then(data => {
+        sendResponse(data);
+      });
+    })
+    .catch(error => {
+      console.error("[DEBUG BACKGROUND] Error in GET_JOB_STATUS handler:", error);
+      sendResponse({ success: false, error: `Failed to fetch: ${error.message}` });
+    });
+    
+    return true; // Will respond asynchronously
+  }
+  
+  // Handle RETRY_TRANSCRIPTION request from popup (re-runs the worker pipeline for a stored recording)
+  if (request.type === 'RETRY_TRANSCRIPTION') {
+    if (!request.objectKey) {
+      sendResponse({ success: false, error: 'Missing objectKey' });
+      return false;
+    }
+    
+    transcribeFromR2(request.objectKey)
+      .then(result => {
+        sendResponse(result);
+      })
+      .catch(error => {
+        console.error("[DEBUG BACKGROUND] Error in RETRY_TRANSCRIPTION handler:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true; // Will respond asynchronously
+  }
+  
   // Handle GET_CURRENT_TAB request from popup
   if (request.type === 'GET_CURRENT_TAB') {
     chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
@@ -1444,6 +1574,12 @@ async function handleStartRecording() {
   recordingLock = true;
   
   try {
+    // Recordings are stored under the user's ID; without one the upload would be rejected after the fact
+    const { userInfo } = await chrome.storage.local.get(['userInfo']);
+    if (!userInfo?.id) {
+      throw new Error('Please sign in before recording');
+    }
+    
     // If already recording, stop first
     if (isRecording) {
       await handleStopRecording();
@@ -1633,24 +1769,23 @@ async function handleStopRecording() {
     const currentTab = currentTabInfo;
     
     // Store session ID and recording details in storage for tracking and retrieval
+    const { userInfo } = await chrome.storage.local.get(['userInfo']);
+    const userId = userInfo?.id || null;
     await chrome.storage.local.set({ 
       lastSessionId: currentSessionId,
       lastTabInfo: currentTab, // This stores the tab title and URL for later use
       lastRecording: {
-        userId: (await chrome.storage.local.get(['userInfo'])).userInfo?.id || 'anonymous',
+        userId: userId,
         sessionId: currentSessionId,
         timestamp: Date.now(),
         tabInfo: currentTab, // Also store tab info in lastRecording object
         tabTitle: currentTab ? currentTab.title : null, // Explicitly store the title
-        // Use a prefix pattern to match any summary-*.json files
-        expectedSummaryPrefix: `summaries/${(await chrome.storage.local.get(['userInfo'])).userInfo?.id || 'anonymous'}-${currentSessionId}/`,
-        expectedSummaryPath: `summaries/${(await chrome.storage.local.get(['userInfo'])).userInfo?.id || 'anonymous'}-${currentSessionId}/summary.json`
+        // Summaries live next to the recording; the manifest tracks each pipeline stage
+        expectedSummaryPrefix: userId ? `recordings/${userId}-${currentSessionId}/` : null,
+        expectedManifestPath: userId ? `recordings/${userId}-${currentSessionId}/manifest.json` : null
       }
     });
     
-    // Start polling for summary after successful recording
-    startSummaryPolling(currentSessionId);
-    
     // Reset session ID and tab info in memory, but keep in storage
     sessionId = null;
     currentTabInfo = null;
@@ -1773,15 +1908,21 @@ async function uploadToR2(key, audioBlob, contentType, metadata) {
       throw new Error('Cannot upload empty audio file');
     }
     
-    // Metadata will be handled by the worker if needed
+    // Large recordings go through the resumable multipart path
+    if (audioBlob.size > CONFIG.UPLOAD.MULTIPART_THRESHOLD) {
+      return await uploadMultipartToR2(key, audioBlob, contentType, metadata);
+    }
     
     // Make direct upload request to Cloudflare R2 worker
-    const uploadUrl = `${CONFIG.APIS.CLOUDFLARE_R2_ENDPOINT}?key=${encodeURIComponent(key)}`;
+    const uploadUrl = `${CONFIG.APIS.CLOUDFLARE_R2_ENDPOINT}?key=${encodeURIComponent(key)}&process=${CONFIG.PIPELINE.PROCESS}&language=${CONFIG.PIPELINE.LANGUAGE}&task=${CONFIG.PIPELINE.TASK}`;
     const response = await fetch(uploadUrl, {
       method: 'PUT',
       headers: {
         'Authorization': `Bearer ${userToken}`,
-        'Content-Type': contentType
+        'Content-Type': contentType,
+        'X-Declared-Size': String(audioBlob.size),
+        // The worker stores these as R2 custom metadata
+        'X-Recording-Metadata': encodeURIComponent(JSON.stringify(metadata || {}))
       },
       body: audioBlob
     });
@@ -1808,6 +1949,247 @@ async function uploadToR2(key, audioBlob, contentType, metadata) {
   }
 }
 
+// Base URL of the R2 worker (the upload endpoint minus its path)
+function getR2WorkerUrl() {
+  return CONFIG.APIS.CLOUDFLARE_R2_ENDPOINT.replace('/r2-upload', '');
+}
+
+// Open the IndexedDB store that keeps recordings until their upload finishes
+function openRecordingStore() {
+  return new Promise((resolve, reject) => {
+    const openRequest = indexedDB.open('gist-recordings', 1);
+    openRequest.onupgradeneeded = () => {
+      openRequest.result.createObjectStore('pendingUploads');
+    };
+    openRequest.onsuccess = () => resolve(openRequest.result);
+    openRequest.onerror = () => reject(openRequest.error);
+  });
+}
+
+// Run a single request against the pending uploads store
+async function withRecordingStore(mode, operation) {
+  const db = await openRecordingStore();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction('pendingUploads', mode);
+      const storeRequest = operation(transaction.objectStore('pendingUploads'));
+      transaction.oncomplete = () => resolve(storeRequest.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function saveRecordingBlob(key, blob) {
+  return withRecordingStore('readwrite', store => store.put(blob, key));
+}
+
+function loadRecordingBlob(key) {
+  return withRecordingStore('readonly', store => store.get(key));
+}
+
+function deleteRecordingBlob(key) {
+  return withRecordingStore('readwrite', store => store.delete(key));
+}
+
+// Persist multipart progress so a restarted service worker can resume it
+async function savePendingMultipartUpload(state) {
+  const { pendingMultipartUploads = {} } = await chrome.storage.local.get(['pendingMultipartUploads']);
+  pendingMultipartUploads[state.key] = state;
+  await chrome.storage.local.set({ pendingMultipartUploads });
+}
+
+async function clearPendingMultipartUpload(key) {
+  const { pendingMultipartUploads = {} } = await chrome.storage.local.get(['pendingMultipartUploads']);
+  delete pendingMultipartUploads[key];
+  await chrome.storage.local.set({ pendingMultipartUploads });
+  try {
+    await deleteRecordingBlob(key);
+  } catch (e) {
+    // Blob may already be gone
+  }
+}
+
+// Call a multipart route on the R2 worker with the stored user token
+async function callMultipartEndpoint(path, options) {
+  const { userToken } = await chrome.storage.local.get(['userToken']);
+  
+  if (!userToken) {
+    throw new Error('No authentication token found - please sign in');
+  }
+  
+  const response = await fetch(`${getR2WorkerUrl()}/r2-multipart/${path}`, {
+    ...options,
+    headers: {
+      ...options.headers,
+      'Authorization': `Bearer ${userToken}`
+    }
+  });
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`Multipart ${path} failed: ${response.status} ${response.statusText} - ${errorText}`);
+    error.status = response.status;
+    throw error;
+  }
+  
+  return response.json();
+}
+
+// Upload a large recording part by part, retrying only the parts that fail
+async function uploadMultipartToR2(key, audioBlob, contentType, metadata) {
+  const { pendingMultipartUploads = {} } = await chrome.storage.local.get(['pendingMultipartUploads']);
+  let state = pendingMultipartUploads[key];
+  
+  if (!state) {
+    // Keep the audio in IndexedDB so the upload survives a service worker restart
+    await saveRecordingBlob(key, audioBlob);
+
+    // The worker sniffs the container from the first bytes to set the stored type up front
+    const headBytes = new Uint8Array(await audioBlob.slice(0, 16).arrayBuffer());
+    const head = btoa(String.fromCharCode(...headBytes));
+
+    const created = await callMultipartEndpoint('create', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ key, contentType, size: audioBlob.size, metadata, head })
+    });
+    
+    state = {
+      key: key,
+      uploadId: created.uploadId,
+      contentType: contentType,
+      metadata: metadata,
+      size: audioBlob.size,
+      partSize: CONFIG.UPLOAD.PART_SIZE,
+      completedParts: [],
+      startedAt: Date.now()
+    };
+    await savePendingMultipartUpload(state);
+  }
+  
+  const totalParts = Math.ceil(state.size / state.partSize);
+  const completed = new Set(state.completedParts.map(part => part.partNumber));
+  
+  for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+    if (completed.has(partNumber)) {
+      continue;
+    }
+    
+    const start = (partNumber - 1) * state.partSize;
+    const partBlob = audioBlob.slice(start, Math.min(start + state.partSize, state.size));
+    const query = `key=${encodeURIComponent(key)}&uploadId=${encodeURIComponent(state.uploadId)}&partNumber=${partNumber}`;
+    
+    let attempt = 0;
+    while (true) {
+      try {
+        const uploadedPart = await callMultipartEndpoint(`part?${query}`, {
+          method: 'PUT',
+          headers: { 'X-Declared-Size': String(partBlob.size) },
+          body: partBlob
+        });
+        
+        state.completedParts.push({ partNumber: uploadedPart.partNumber, etag: uploadedPart.etag });
+        await savePendingMultipartUpload(state);
+        break;
+      } catch (error) {
+        attempt++;
+        
+        // The worker no longer knows this upload - drop it so the next attempt starts fresh
+        if (error.status === 404) {
+          await clearPendingMultipartUpload(key);
+          throw error;
+        }
+        
+        // Validation errors (size limits, ownership) won't succeed on retry
+        const retryable = !error.status || error.status >= 500 || error.status === 408 || error.status === 429;
+        if (!retryable || attempt >= CONFIG.UPLOAD.PART_MAX_RETRIES) {
+          throw new Error(`Part ${partNumber}/${totalParts} failed after ${attempt} attempts: ${error.message}`);
+        }
+        
+        const delay = Math.pow(2, attempt) * CONFIG.UPLOAD.RETRY_DELAY_BASE / 2;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+    
+    // Forward progress to popup if open
+    try {
+      chrome.runtime.sendMessage({
+        type: 'RECORDING_UPLOAD_STATUS',
+        status: 'uploading',
+        progress: Math.round(state.completedParts.length / totalParts * 100),
+        message: `Uploaded part ${state.completedParts.length} of ${totalParts}`
+      }).catch(e => {});
+    } catch (e) {
+      // Popup might not be open
+    }
+  }
+  
+  const result = await callMultipartEndpoint('complete', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      key,
+      uploadId: state.uploadId,
+      parts: state.completedParts,
+      process: CONFIG.PIPELINE.PROCESS,
+      language: CONFIG.PIPELINE.LANGUAGE,
+      task: CONFIG.PIPELINE.TASK
+    })
+  });
+  
+  await clearPendingMultipartUpload(key);
+  
+  return {
+    success: true,
+    objectKey: key,
+    message: result.message
+  };
+}
+
+// Resume multipart uploads left unfinished when the service worker was stopped
+async function resumePendingMultipartUploads() {
+  const { pendingMultipartUploads = {} } = await chrome.storage.local.get(['pendingMultipartUploads']);
+  
+  for (const state of Object.values(pendingMultipartUploads)) {
+    let audioBlob;
+    try {
+      audioBlob = await loadRecordingBlob(state.key);
+    } catch (e) {
+      audioBlob = null;
+    }
+    
+    if (!audioBlob) {
+      // Nothing left to send - release the parts held by R2
+      try {
+        await callMultipartEndpoint('abort', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ key: state.key, uploadId: state.uploadId })
+        });
+      } catch (e) {
+        // Upload may already be gone
+      }
+      await clearPendingMultipartUpload(state.key);
+      continue;
+    }
+    
+    console.log('[DEBUG] Resuming multipart upload:', state.key, `${state.completedParts.length} parts done`);
+    try {
+      await uploadMultipartToR2(state.key, audioBlob, state.contentType, state.metadata);
+      handleRecordingUploaded(state.key, state.size, state.contentType);
+    } catch (error) {
+      console.log('[DEBUG] Resumed multipart upload failed:', error.message);
+    }
+  }
+}
+
+// A fresh service worker has no uploads in flight, so anything pending was interrupted
+resumePendingMultipartUploads().catch(error => {
+  console.log('[DEBUG] Could not resume pending uploads:', error.message);
+});
+
 // Transcribe uploaded audio using Cloudflare AI
 async function transcribeAudio(audioKey, audioBlob) {
   try {
@@ -1857,7 +2239,8 @@ async function transcribeAudio(audioKey, audioBlob) {
   }
 }
 
-// Transcribe audio from R2 storage (fetch the uploaded file and transcribe it)
+// Ask the worker to queue transcription and summary for a recording it already stores
+// Used to retry processing; the response's jobId can be followed with GET_JOB_STATUS
 async function transcribeFromR2(audioKey) {
   try {
     // Get the user token from storage
@@ -1867,42 +2250,17 @@ async function transcribeFromR2(audioKey) {
       throw new Error('No authentication token found');
     }
 
-    console.log('[DEBUG] Fetching audio from R2 for transcription:', audioKey);
-
-    // First, get the audio file from R2
-    const getUrl = `${CONFIG.APIS.CLOUDFLARE_R2_ENDPOINT.replace('/r2-upload', '')}/r2-get`;
-    const getResponse = await fetch(getUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${userToken}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ key: audioKey })
-    });
-
-    if (!getResponse.ok) {
-      throw new Error(`Failed to fetch audio from R2: ${getResponse.status}`);
-    }
-
-    // Get the audio blob from R2
-    const audioBlob = await getResponse.blob();
-    console.log('[DEBUG] Fetched audio blob from R2, size:', audioBlob.size);
-
-    // Now transcribe using the fetched audio
-    const formData = new FormData();
-    formData.append('audio', audioBlob);
-    formData.append('key', audioKey);
-    
-    // Call transcription endpoint
-    const transcribeUrl = `${CONFIG.APIS.CLOUDFLARE_R2_ENDPOINT.replace('/r2-upload', '')}/api/transcribe`;
+    // Call transcription endpoint with just the key - the worker reads the audio from R2
+    const transcribeUrl = `${getR2WorkerUrl()}/api/transcribe`;
     console.log('[DEBUG] Calling transcription API:', transcribeUrl);
     
     const response = await fetch(transcribeUrl, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${userToken}`
+        'Authorization': `Bearer ${userToken}`,
+        'Content-Type': 'application/json'
       },
-      body: formData
+      body: JSON.stringify({ key: audioKey, summarize: true })
     });
     
     console.log('[DEBUG] Transcription response status:', response.status);
@@ -1911,31 +2269,8 @@ async function transcribeFromR2(audioKey) {
       throw new Error(`Transcription failed: ${response.status} ${response.statusText} - ${errorText}`);
     }
     
-    console.log('[DEBUG] About to parse transcription JSON response...');
     const result = await response.json();
-    console.log('[DEBUG] JSON parsed successfully');
-    console.log('[DEBUG] Full transcription result:', result);
-    console.log('[DEBUG] Transcription successful:', result.text?.substring(0, 50) + '...');
-    console.log('[DEBUG] Transcription result structure:', { success: result.success, hasText: !!result.text });
-    
-    // Auto-generate summary after successful transcription
-    if (result.success) {
-      console.log('[DEBUG] Scheduling summary generation in 1 second...');
-      setTimeout(() => {
-        console.log('[DEBUG] Starting summary generation now...');
-        summarizeTranscription(audioKey)
-          .then(summaryResult => {
-            console.log('[DEBUG] Summary generated successfully:', summaryResult.summary?.substring(0, 100) + '...');
-          })
-          .catch(error => {
-            console.log('[DEBUG] Summary generation failed:', error.message || error);
-            console.log('[DEBUG] Summary error details:', error);
-          });
-      }, 1000); // 1 second delay
-    } else {
-      console.log('[DEBUG] Transcription was not successful, skipping summary generation');
-    }
-    
+    console.log('[DEBUG] Transcription job queued:', result.jobId);
     return result;
   } catch (error) {
     console.log('[DEBUG] Transcription error:', error);
@@ -1943,47 +2278,325 @@ async function transcribeFromR2(audioKey) {
   }
 }
 
-// Generate AI summary from transcription
-async function summarizeTranscription(audioKey) {
-  try {
-    // Get the user token from storage
-    const { userToken } = await chrome.storage.local.get(['userToken']);
-    
-    if (!userToken) {
-      throw new Error('No authentication token found');
+// Fetch the pipeline manifest for the session holding this key
+async function getSessionStatus(audioKey) {
+  const { userToken } = await chrome.storage.local.get(['userToken']);
+  
+  if (!userToken) {
+    throw new Error('No authentication token found');
+  }
+  
+  const response = await fetch(`${getR2WorkerUrl()}/api/sessions/status?key=${encodeURIComponent(audioKey)}`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${userToken}`
     }
+  });
+  
+  // The manifest appears once the worker records the upload
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Status request failed: ${response.status}`);
+  }
+  
+  const result = await response.json();
+  return result.manifest;
+}
 
-    console.log('[DEBUG] Generating summary for audio key:', audioKey);
+// Notification text for the worker's no_speech reasons
+function describeNoSpeech(reason) {
+  if (reason === 'silence' || reason === 'empty_text') {
+    return 'The recording was silent. Check that the tab wasn\'t muted and try again.';
+  }
+  return 'No speech was recognized in the recording, so no transcript or summary was saved.';
+}
 
-    // Call summarization endpoint
-    const summarizeUrl = `${CONFIG.APIS.CLOUDFLARE_R2_ENDPOINT.replace('/r2-upload', '')}/api/summarize`;
-    console.log('[DEBUG] Calling summarization API:', summarizeUrl);
+// Follow the worker's pipeline and notify when transcription finishes or fails
+// Listens to the live status stream, and polls the manifest only while the stream is down
+async function watchServerPipeline(audioKey) {
+  const deadline = Date.now() + CONFIG.PIPELINE.STATUS_POLL_TIMEOUT;
+  const state = { transcriptionNotified: false };
+  
+  while (Date.now() < deadline) {
+    try {
+      const manifest = await followSessionStream(audioKey, state, deadline);
+      if (manifest) {
+        return manifest;
+      }
+      // The worker ends long streams; reconnect right away
+      continue;
+    } catch (error) {
+      console.log('[DEBUG] Session stream dropped, polling instead:', error.message);
+    }
     
-    const response = await fetch(summarizeUrl, {
-      method: 'POST',
+    const pollUntil = Math.min(Date.now() + CONFIG.PIPELINE.STATUS_STREAM_RETRY_DELAY, deadline);
+    while (Date.now() < pollUntil) {
+      await new Promise(resolve => setTimeout(resolve, CONFIG.PIPELINE.STATUS_POLL_INTERVAL));
+      
+      let manifest;
+      try {
+        manifest = await getSessionStatus(audioKey);
+      } catch (error) {
+        // Transient network errors shouldn't end the watch
+        console.log('[DEBUG] Session status check failed:', error.message);
+        continue;
+      }
+      
+      if (handlePipelineUpdate(audioKey, manifest, state)) {
+        return manifest;
+      }
+    }
+  }
+  
+  throw new Error(`Pipeline still running after ${CONFIG.PIPELINE.STATUS_POLL_TIMEOUT / 60000} minutes`);
+}
+
+// Read the worker's Server-Sent Events stream for the session holding this key
+// Resolves to the final manifest, or null when the worker closed the stream early; throws if it drops
+async function followSessionStream(audioKey, state, deadline) {
+  const { userToken } = await chrome.storage.local.get(['userToken']);
+  
+  if (!userToken) {
+    throw new Error('No authentication token found');
+  }
+  
+  // EventSource can't send the Authorization header, so read the stream through fetch
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), deadline - Date.now());
+  
+  try {
+    const response = await fetch(`${getR2WorkerUrl()}/api/sessions/stream?key=${encodeURIComponent(audioKey)}`, {
+      method: 'GET',
       headers: {
         'Authorization': `Bearer ${userToken}`,
-        'Content-Type': 'application/json'
+        'Accept': 'text/event-stream'
       },
-      body: JSON.stringify({ audioKey: audioKey })
+      signal: controller.signal
     });
     
-    console.log('[DEBUG] Summarization response status:', response.status);
+    if (!response.ok || !response.body) {
+      throw new Error(`Stream request failed: ${response.status}`);
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) {
+        throw new Error('Stream closed before the pipeline finished');
+      }
+      
+      buffer += decoder.decode(value, { stream: true });
+      const frames = buffer.split('\n\n');
+      buffer = frames.pop();
+      
+      for (const frame of frames) {
+        const event = parseStreamEvent(frame);
+        if (!event) {
+          continue;
+        }
+        
+        if (event.data.manifest && handlePipelineUpdate(audioKey, event.data.manifest, state)) {
+          controller.abort();
+          return event.data.manifest;
+        }
+        
+        if (event.type === 'end') {
+          return null;
+        }
+      }
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Summarization failed: ${response.status} ${response.statusText} - ${errorText}`);
+// Parse one SSE frame into { type, data }; comments (keep-alives) give null
+function parseStreamEvent(frame) {
+  let type = 'message';
+  const data = [];
+  
+  for (const line of frame.split('\n')) {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).trim());
     }
+  }
+  
+  return data.length ? { type: type, data: JSON.parse(data.join('\n')) } : null;
+}
+
+// Notify about a new manifest state; returns true once there's nothing left to wait for
+function handlePipelineUpdate(audioKey, manifest, state) {
+  const transcription = manifest?.stages?.transcription;
+  const summary = manifest?.stages?.summary;
+  
+  if (transcription?.status === 'failed') {
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'public/icons/record.png',
+      title: 'Transcription Failed',
+      message: `Failed to transcribe audio: ${transcription.error}`,
+      priority: 2
+    });
+    return true;
+  }
+  
+  // Muted tab or silent room: Whisper heard nothing worth keeping
+  if (transcription?.status === 'no_speech') {
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'public/icons/record.png',
+      title: 'Nothing Was Captured',
+      message: describeNoSpeech(transcription.reason),
+      priority: 2
+    });
     
-    const result = await response.json();
-    console.log('[DEBUG] Summarization successful:', result.summary?.substring(0, 100) + '...');
-    return result;
-  } catch (error) {
-    console.log('[DEBUG] Summarization error:', error);
-    throw error;
+    try {
+      chrome.runtime.sendMessage({
+        type: 'TRANSCRIPTION_NO_SPEECH',
+        objectKey: audioKey,
+        reason: transcription.reason
+      }).catch(e => {});
+    } catch (e) {
+      // Popup might not be open
+    }
+    return true;
   }
+  
+  if (transcription?.status === 'completed' && !state.transcriptionNotified) {
+    state.transcriptionNotified = true;
+    
+    // Show transcription complete notification
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'public/icons/record.png',
+      title: 'Transcription Complete',
+      message: 'Audio has been transcribed successfully',
+      priority: 2
+    });
+    
+    // Notify popup if open
+    try {
+      chrome.runtime.sendMessage({
+        type: 'TRANSCRIPTION_COMPLETE',
+        objectKey: audioKey,
+        transcription: { success: true, transcriptionKey: manifest.artifacts.transcription }
+      }).catch(e => {});
+    } catch (e) {
+      // Popup might not be open
+    }
+  }
+  
+  // Non-English transcripts keep their text but aren't summarized
+  if (summary?.status === 'skipped') {
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'public/icons/record.png',
+      title: 'Summary Skipped',
+      message: `Summaries need English text; this lecture was transcribed in "${summary.language}"`,
+      priority: 1
+    });
+    return true;
+  }
+  
+  if (summary?.status === 'completed') {
+    storeSessionSummary(manifest)
+      .then(() => {
+        chrome.notifications.create({
+          type: 'basic',
+          iconUrl: 'public/icons/record.png',
+          title: 'Summary Ready',
+          message: 'Your lecture summary is ready to view',
+          priority: 2
+        });
+      })
+      .catch(error => {
+        console.log('[DEBUG] Could not fetch the finished summary:', error.message);
+      });
+    return true;
+  }
+  
+  if (summary?.status === 'failed') {
+    return true;
+  }
+  
+  return false;
 }
 
+// Fetch the session's summary, keep it as the latest one and tell the popup it's ready
+async function storeSessionSummary(manifest) {
+  const summaryKey = manifest.artifacts?.summary;
+  const { userToken } = await chrome.storage.local.get(['userToken']);
+  
+  if (!summaryKey) {
+    throw new Error('Manifest has no summary artifact');
+  }
+  if (!userToken) {
+    throw new Error('No authentication token found');
+  }
+  
+  const response = await fetch(`${getR2WorkerUrl()}/r2-get`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${userToken}`
+    },
+    body: JSON.stringify({ key: summaryKey })
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Summary request failed: ${response.status}`);
+  }
+  
+  const summary = await response.json();
+  await chrome.storage.local.set({
+    summaryStatus: {
+      sessionId: manifest.sessionId,
+      status: 'ready',
+      found: true,
+      foundAt: Date.now(),
+      foundPath: summaryKey
+    },
+    latestSummary: summary
+  });
+  
+  try {
+    chrome.runtime.sendMessage({
+      type: 'SUMMARY_READY',
+      summaryData: summary
+    }).catch(e => {});
+  } catch (e) {
+    // Popup might not be open
+  }
+  
+  return summary;
+}
+
+// One status check for the popup's CHECK_SUMMARY requests; watchServerPipeline delivers the
+// summary on its own, this only answers a popup that asks before the watcher has seen it
+async function checkForSummary() {
+  const { summaryStatus, lastSessionId, userInfo } = await chrome.storage.local.get(['summaryStatus', 'lastSessionId', 'userInfo']);
+  const sessionId = summaryStatus?.sessionId || lastSessionId;
+  
+  if (!sessionId || !userInfo?.id) {
+    return false;
+  }
+  
+  // Any key inside the session folder finds its manifest
+  const manifest = await getSessionStatus(`recordings/${userInfo.id}-${sessionId}/manifest.json`);
+  if (manifest?.stages?.summary?.status !== 'completed') {
+    return false;
+  }
+  
+  await storeSessionSummary(manifest);
+  return true;
+}
 
     }
     
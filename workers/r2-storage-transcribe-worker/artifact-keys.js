@@ -0,0 +1,57 @@
+// Key layout for a recording session in R2
+//   recordings/<user-id>-<session-id>/complete-recording-<timestamp>.<ext>   audio
+//   .../complete-recording-<timestamp>-transcription.json                     Whisper output
+//   .../complete-recording-<timestamp>-summary.json                           BART output
+//   .../complete-recording-<timestamp>-summary-<style>.json                   styled summary (key_points, ...)
+//   .../keep.json                                                             exempt from audio retention
+//   .../manifest.json                                                         pipeline state of the session
+
+// Every container audio-format.js accepts for upload
+export const AUDIO_KEY_PATTERN = /\.(wav|mp3|webm|ogg|m4a)$/;
+
+export function isAudioKey(key) {
+  return AUDIO_KEY_PATTERN.test(key);
+}
+
+export function getTranscriptionKey(audioKey) {
+  return audioKey.replace(AUDIO_KEY_PATTERN, '-transcription.json');
+}
+
+// BART summary of the recording any of its keys belongs to (audio or transcription)
+export function getSummaryKey(key) {
+  return `${getRecordingStem(key)}-summary.json`;
+}
+
+// Styled summary of the recording any of its keys belongs to
+export function getStyledSummaryKey(key, style) {
+  return `${getRecordingStem(key)}-summary-${style}.json`;
+}
+
+// Shared stem of a recording's keys (the audio key without its extension)
+// Works from any artifact, since the audio may already be gone after retention
+export function getRecordingStem(key) {
+  return key
+    .replace(AUDIO_KEY_PATTERN, '')
+    .replace(/-(transcription|summary(-[a-z_]+)?)\.json$/, '');
+}
+
+// Marker object that exempts a session's audio from the retention sweep
+export function getKeepMarkerKey(sessionPrefix) {
+  return `${sessionPrefix}keep.json`;
+}
+
+// Per-session record of every artifact and pipeline stage
+export function getManifestKey(sessionPrefix) {
+  return `${sessionPrefix}manifest.json`;
+}
+
+// Folder holding every object of a session, e.g. recordings/<user-id>-<session-id>/
+export function getSessionPrefix(key) {
+  const slash = key.indexOf('/', 'recordings/'.length);
+  return slash === -1 ? null : key.slice(0, slash + 1);
+}
+
+// Session ID from a session folder, given the owner's namespace prefix
+export function getSessionIdFromPrefix(sessionPrefix, namespace) {
+  return sessionPrefix.slice(namespace.length).replace(/\/$/, '');
+}
@@ -0,0 +1,176 @@
+// Audio container detection by magic bytes
+// The client's Content-Type is only a hint: uploads are sniffed so non-audio files
+// never reach the bucket or Whisper, and each container has its own size limit.
+
+// Bytes needed to recognise every supported container
+export const SNIFF_BYTES = 16;
+
+const MB = 1024 * 1024;
+
+// Default per-format limits (override with AUDIO_SIZE_LIMITS_MB, e.g. {"wav": 800})
+const DEFAULT_SIZE_LIMITS_MB = {
+  wav: 500,
+  webm: 200,
+  mp3: 200,
+  ogg: 200,
+  m4a: 200
+};
+
+const MIME_TYPES = {
+  wav: 'audio/wav',
+  webm: 'audio/webm',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  m4a: 'audio/mp4'
+};
+
+// ISO base media major brands that mark an audio-only file (AAC/ALAC, audiobook, protected, Flash audio)
+// Generic brands (isom, mp41, mp42, dash) are shared with MP4 video, so they are not accepted
+const M4A_BRANDS = ['M4A ', 'M4B ', 'M4P ', 'F4A ', 'F4B '];
+
+// Identify the container from its first bytes, or return null
+export function sniffAudioFormat(bytes) {
+  const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+  if (bytes.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') {
+    return 'wav';
+  }
+
+  if (bytes.length >= 4 && bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) {
+    return 'webm';
+  }
+
+  if (bytes.length >= 4 && ascii(0, 4) === 'OggS') {
+    return 'ogg';
+  }
+
+  if (bytes.length >= 12 && ascii(4, 8) === 'ftyp' && M4A_BRANDS.includes(ascii(8, 12))) {
+    return 'm4a';
+  }
+
+  if (bytes.length >= 3 && ascii(0, 3) === 'ID3') {
+    return 'mp3';
+  }
+
+  // Bare MPEG audio frame: 11 sync bits, then a valid version and layer
+  if (bytes.length >= 2 && bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0 &&
+      (bytes[1] & 0x18) !== 0x08 && (bytes[1] & 0x06) !== 0x00) {
+    return 'mp3';
+  }
+
+  return null;
+}
+
+export function getMimeType(format) {
+  return MIME_TYPES[format];
+}
+
+export function getFormatSizeLimit(env, format) {
+  let overrides = {};
+  try {
+    overrides = env.AUDIO_SIZE_LIMITS_MB ? JSON.parse(env.AUDIO_SIZE_LIMITS_MB) : {};
+  } catch (error) {
+    console.error('Invalid AUDIO_SIZE_LIMITS_MB, using defaults:', error.message);
+  }
+  const limitMb = parseFloat(overrides[format]) > 0 ? parseFloat(overrides[format]) : DEFAULT_SIZE_LIMITS_MB[format];
+  return limitMb * MB;
+}
+
+// Validate sniffed bytes and size; returns { format, mimeType } or { error }
+export function validateAudio(env, headBytes, size, declaredContentType) {
+  const format = sniffAudioFormat(headBytes);
+
+  if (!format) {
+    return {
+      error: {
+        status: 415,
+        reason: 'unrecognized_format',
+        message: 'Upload is not a supported audio file (WAV, WebM, MP3, Ogg or M4A)',
+        declaredContentType: declaredContentType || null,
+        size: size
+      }
+    };
+  }
+
+  const maxBytes = getFormatSizeLimit(env, format);
+  if (size > maxBytes) {
+    return {
+      error: {
+        status: 413,
+        reason: 'file_too_large_for_format',
+        message: `${format.toUpperCase()} uploads are limited to ${maxBytes} bytes`,
+        detectedFormat: format,
+        declaredContentType: declaredContentType || null,
+        size: size,
+        maxBytes: maxBytes
+      }
+    };
+  }
+
+  return { format, mimeType: getMimeType(format) };
+}
+
+// Read the first `count` bytes of a stream without losing them
+// Returns the head bytes and a stream that replays them followed by the rest
+export async function peekStream(stream, count) {
+  const reader = stream.getReader();
+  const buffered = [];
+  let bufferedLength = 0;
+  let done = false;
+
+  while (bufferedLength < count && !done) {
+    const result = await reader.read();
+    done = result.done;
+    if (result.value) {
+      buffered.push(result.value);
+      bufferedLength += result.value.byteLength;
+    }
+  }
+
+  const head = new Uint8Array(bufferedLength);
+  let offset = 0;
+  for (const chunk of buffered) {
+    head.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+
+  const replay = new ReadableStream({
+    start(controller) {
+      if (head.byteLength > 0) {
+        controller.enqueue(head);
+      }
+      if (done) {
+        controller.close();
+      }
+    },
+    async pull(controller) {
+      const result = await reader.read();
+      if (result.done) {
+        controller.close();
+      } else {
+        controller.enqueue(result.value);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+
+  return { head: head.subarray(0, count), stream: replay };
+}
+
+export function validationErrorResponse(error) {
+  const { status, message, ...validation } = error;
+  return new Response(JSON.stringify({
+    success: false,
+    error: message,
+    code: 'validation_failed',
+    validation: validation
+  }), {
+    status: status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
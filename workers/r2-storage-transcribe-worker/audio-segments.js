@@ -0,0 +1,415 @@
+// Split long recordings into overlapping windows for Whisper, then stitch the text back
+// WAV windows are PCM byte ranges read from R2 behind a rewritten header. WebM windows are
+// runs of whole Clusters behind the original EBML/Segment header, read from a stream, so an
+// hour-long recording never has to sit in worker memory at once.
+
+const DEFAULT_SEGMENT_SECONDS = 60;
+const DEFAULT_OVERLAP_SECONDS = 2;
+
+// Keep each window's base64 payload well under Whisper's 25MB request limit
+const MAX_SEGMENT_BYTES = 12 * 1024 * 1024;
+
+// The fmt and data chunk headers sit within the first few KB of any WAV we accept
+const WAV_HEADER_SCAN_BYTES = 64 * 1024;
+
+// Containers that can be cut without re-encoding
+export const SEGMENTABLE_FORMATS = ['wav', 'webm'];
+
+const CLUSTER_ID = [0x1F, 0x43, 0xB6, 0x75];
+const TIMECODE_SCALE_ID = [0x2A, 0xD7, 0xB1];
+const CLUSTER_TIMECODE_ID = 0xE7;
+const CRC32_ID = 0xBF;
+const DEFAULT_TIMECODE_SCALE = 1000000; // nanoseconds per timecode tick (1ms)
+
+// Longest run of words compared when removing text repeated across a join
+const MAX_OVERLAP_WORDS = 40;
+
+export class SegmentationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SegmentationError';
+  }
+}
+
+// Window and overlap lengths (override with TRANSCRIPTION_SEGMENT_SECONDS / TRANSCRIPTION_OVERLAP_SECONDS)
+export function getSegmentOptions(env) {
+  const windowSeconds = parseFloat(env.TRANSCRIPTION_SEGMENT_SECONDS) > 0
+    ? parseFloat(env.TRANSCRIPTION_SEGMENT_SECONDS)
+    : DEFAULT_SEGMENT_SECONDS;
+  const overlapSeconds = parseFloat(env.TRANSCRIPTION_OVERLAP_SECONDS) >= 0
+    ? parseFloat(env.TRANSCRIPTION_OVERLAP_SECONDS)
+    : DEFAULT_OVERLAP_SECONDS;
+
+  // Long overlaps would mostly re-transcribe the same audio
+  return { windowSeconds, overlapSeconds: Math.min(overlapSeconds, windowSeconds / 4) };
+}
+
+// Yield { index, start, end, bytes } windows of a stored recording (start/end in seconds)
+export async function* segmentStoredAudio(env, key, object, format, options) {
+  if (format === 'wav') {
+    yield* segmentWav(env, key, object.size, options);
+  } else if (format === 'webm') {
+    const stored = await env.GIST_RECORDINGS.get(key);
+    if (!stored) {
+      throw new SegmentationError('Audio disappeared while segmenting');
+    }
+    yield* segmentWebm(stored.body, options);
+  } else {
+    throw new SegmentationError(`Cannot segment ${format} audio`);
+  }
+}
+
+// --- WAV ---
+
+async function* segmentWav(env, key, objectSize, { windowSeconds, overlapSeconds }) {
+  const headerObj = await env.GIST_RECORDINGS.get(key, {
+    range: { offset: 0, length: Math.min(WAV_HEADER_SCAN_BYTES, objectSize) }
+  });
+  const wav = parseWavHeader(new Uint8Array(await headerObj.arrayBuffer()), objectSize);
+
+  const align = bytes => Math.max(wav.blockAlign, bytes - (bytes % wav.blockAlign));
+  const windowBytes = align(Math.min(windowSeconds * wav.byteRate, MAX_SEGMENT_BYTES));
+  const overlapBytes = align(Math.min(overlapSeconds * wav.byteRate, windowBytes / 4));
+
+  let index = 0;
+  for (let offset = 0; offset < wav.dataSize; offset += windowBytes - overlapBytes) {
+    const length = Math.min(windowBytes, wav.dataSize - offset);
+    const dataObj = await env.GIST_RECORDINGS.get(key, {
+      range: { offset: wav.dataOffset + offset, length: length }
+    });
+    const data = new Uint8Array(await dataObj.arrayBuffer());
+
+    yield {
+      index: index++,
+      start: offset / wav.byteRate,
+      end: (offset + data.byteLength) / wav.byteRate,
+      bytes: buildWavFile(wav.fmtChunk, data)
+    };
+
+    if (offset + length >= wav.dataSize) {
+      break;
+    }
+  }
+}
+
+// Locate the fmt and data chunks; streaming encoders may leave the data size at 0 or 0xFFFFFFFF
+export function parseWavHeader(bytes, objectSize) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+  let fmtChunk = null;
+  let pos = 12;
+  while (pos + 8 <= bytes.byteLength) {
+    const id = ascii(pos, pos + 4);
+    const size = view.getUint32(pos + 4, true);
+
+    if (id === 'fmt ') {
+      fmtChunk = bytes.slice(pos, pos + 8 + size);
+    } else if (id === 'data') {
+      if (!fmtChunk) {
+        break;
+      }
+      const fmt = new DataView(fmtChunk.buffer);
+      const dataOffset = pos + 8;
+      const available = objectSize - dataOffset;
+      const blockAlign = fmt.getUint16(20, true);
+      const byteRate = fmt.getUint32(16, true);
+
+      if (!blockAlign || !byteRate) {
+        break;
+      }
+
+      return {
+        fmtChunk: fmtChunk,
+        byteRate: byteRate,
+        blockAlign: blockAlign,
+        dataOffset: dataOffset,
+        dataSize: size > 0 && size <= available ? size : available
+      };
+    }
+
+    pos += 8 + size + (size % 2);
+  }
+
+  throw new SegmentationError('WAV file has no readable fmt/data chunks');
+}
+
+function buildWavFile(fmtChunk, data) {
+  const file = new Uint8Array(12 + fmtChunk.byteLength + 8 + data.byteLength);
+  const view = new DataView(file.buffer);
+  const writeAscii = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      file[offset + i] = text.charCodeAt(i);
+    }
+  };
+
+  writeAscii(0, 'RIFF');
+  view.setUint32(4, file.byteLength - 8, true);
+  writeAscii(8, 'WAVE');
+  file.set(fmtChunk, 12);
+  const dataHeader = 12 + fmtChunk.byteLength;
+  writeAscii(dataHeader, 'data');
+  view.setUint32(dataHeader + 4, data.byteLength, true);
+  file.set(data, dataHeader + 8);
+  return file;
+}
+
+// --- WebM ---
+
+async function* segmentWebm(stream, { windowSeconds, overlapSeconds }) {
+  const reader = stream.getReader();
+  let buffer = new Uint8Array(0);
+  let header = null;
+  let timecodeScale = DEFAULT_TIMECODE_SCALE;
+  let searchFrom = 0;
+  let done = false;
+
+  // Clusters of the window being built: { time, bytes }
+  let current = [];
+  let windowBytes = 0;
+  let index = 0;
+
+  const takeCluster = function* (cluster) {
+    const reachedWindow = current.length > 0 && cluster.time - current[0].time >= windowSeconds;
+    const reachedBytes = current.length > 0 && windowBytes + cluster.bytes.byteLength > MAX_SEGMENT_BYTES;
+
+    if (reachedWindow || reachedBytes) {
+      yield {
+        index: index++,
+        start: current[0].time,
+        end: cluster.time,
+        bytes: concatBytes([header, ...current.map(entry => entry.bytes)])
+      };
+
+      // Carry the clusters that cover the overlap into the next window (always at least one less)
+      current = current.slice(1).filter((entry, i, rest) => {
+        const entryEnd = i + 1 < rest.length ? rest[i + 1].time : cluster.time;
+        return entryEnd > cluster.time - overlapSeconds;
+      });
+      windowBytes = current.reduce((total, entry) => total + entry.bytes.byteLength, 0);
+    }
+
+    current.push(cluster);
+    windowBytes += cluster.bytes.byteLength;
+  };
+
+  while (!done) {
+    const result = await reader.read();
+    done = result.done;
+    if (result.value) {
+      buffer = concatBytes([buffer, result.value]);
+    }
+
+    if (header === null) {
+      const first = findCluster(buffer, 0, done);
+      if (first === -1) {
+        continue;
+      }
+      header = buffer.slice(0, first);
+      timecodeScale = readTimecodeScale(header);
+      buffer = buffer.slice(first);
+      searchFrom = CLUSTER_ID.length;
+    }
+
+    // Every cluster but the last ends where the next one starts
+    let next;
+    while ((next = findCluster(buffer, searchFrom, done)) !== -1) {
+      yield* takeCluster({ time: readClusterTime(buffer, timecodeScale), bytes: buffer.slice(0, next) });
+      buffer = buffer.slice(next);
+      searchFrom = CLUSTER_ID.length;
+    }
+    searchFrom = Math.max(CLUSTER_ID.length, buffer.byteLength - 16);
+  }
+
+  if (header === null) {
+    throw new SegmentationError('WebM file has no clusters');
+  }
+
+  if (buffer.byteLength > 0) {
+    yield* takeCluster({ time: readClusterTime(buffer, timecodeScale), bytes: buffer });
+  }
+
+  if (current.length > 0) {
+    yield {
+      index: index,
+      start: current[0].time,
+      end: null,
+      bytes: concatBytes([header, ...current.map(entry => entry.bytes)])
+    };
+  }
+}
+
+// Offset of the next Cluster element, or -1 if none is complete enough to confirm yet
+// The ID bytes can also occur inside audio data, so a match must be followed by a size and
+// the cluster's Timecode (optionally after a CRC-32)
+function findCluster(bytes, from, streamEnded) {
+  for (let i = from; i + CLUSTER_ID.length <= bytes.byteLength; i++) {
+    if (bytes[i] !== CLUSTER_ID[0] || bytes[i + 1] !== CLUSTER_ID[1] ||
+        bytes[i + 2] !== CLUSTER_ID[2] || bytes[i + 3] !== CLUSTER_ID[3]) {
+      continue;
+    }
+
+    const size = readVint(bytes, i + 4);
+    const child = size ? i + 4 + size.length : bytes.byteLength;
+    if (child >= bytes.byteLength) {
+      // Can't confirm yet: wait for more data, or at the very end treat it as audio
+      if (!streamEnded) {
+        return -1;
+      }
+      continue;
+    }
+    if (bytes[child] === CLUSTER_TIMECODE_ID || bytes[child] === CRC32_ID) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Cluster start time in seconds
+function readClusterTime(cluster, timecodeScale) {
+  const size = readVint(cluster, CLUSTER_ID.length);
+  let pos = CLUSTER_ID.length + size.length;
+
+  if (cluster[pos] === CRC32_ID) {
+    const crcSize = readVint(cluster, pos + 1);
+    pos += 1 + crcSize.length + crcSize.value;
+  }
+
+  if (cluster[pos] !== CLUSTER_TIMECODE_ID) {
+    throw new SegmentationError('WebM cluster has no timecode');
+  }
+
+  const valueSize = readVint(cluster, pos + 1);
+  const timecode = readUint(cluster, pos + 1 + valueSize.length, valueSize.value);
+  return timecode * timecodeScale / 1e9;
+}
+
+function readTimecodeScale(header) {
+  for (let i = 0; i + TIMECODE_SCALE_ID.length < header.byteLength; i++) {
+    if (header[i] === TIMECODE_SCALE_ID[0] && header[i + 1] === TIMECODE_SCALE_ID[1] &&
+        header[i + 2] === TIMECODE_SCALE_ID[2]) {
+      const size = readVint(header, i + 3);
+      if (size && size.value > 0 && size.value <= 8) {
+        return readUint(header, i + 3 + size.length, size.value) || DEFAULT_TIMECODE_SCALE;
+      }
+    }
+  }
+  return DEFAULT_TIMECODE_SCALE;
+}
+
+// EBML variable-length integer: the leading zero bits give its length
+function readVint(bytes, pos) {
+  if (pos >= bytes.byteLength) {
+    return null;
+  }
+  const first = bytes[pos];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+    length++;
+  }
+  if (length > 8 || pos + length > bytes.byteLength) {
+    return null;
+  }
+
+  let value = first & (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[pos + i];
+  }
+  return { length, value };
+}
+
+function readUint(bytes, pos, length) {
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    value = value * 256 + bytes[pos + i];
+  }
+  return value;
+}
+
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.byteLength, 0);
+  const joined = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    joined.set(part, offset);
+    offset += part.byteLength;
+  }
+  return joined;
+}
+
+// --- Stitching ---
+
+// Join per-window transcripts into one: { text, segments }
+// `pieces` are { start, end, text, segments: [{ start, end, text, words }] } with times
+// relative to their window. Each overlap is cut at its midpoint using Whisper's timestamps,
+// then any words still repeated across a join are dropped.
+export function stitchTranscripts(pieces) {
+  const segments = [];
+  const texts = [];
+  let keepFrom = 0;
+
+  pieces.forEach((piece, i) => {
+    const next = pieces[i + 1];
+    const keepUntil = next && piece.end !== null ? (next.start + piece.end) / 2 : Infinity;
+
+    let text;
+    if (piece.segments && piece.segments.length > 0) {
+      const kept = piece.segments
+        .map(segment => shiftSegment(segment, piece.start))
+        .filter(segment => segment.start >= keepFrom && segment.start < keepUntil && segment.text);
+      segments.push(...kept);
+      text = kept.map(segment => segment.text).join(' ');
+    } else {
+      text = (piece.text || '').trim();
+    }
+
+    const previous = texts.length > 0 ? texts[texts.length - 1] : '';
+    text = removeRepeatedWords(previous, text);
+    if (text) {
+      texts.push(text);
+    }
+    keepFrom = keepUntil;
+  });
+
+  return { text: texts.join(' '), segments };
+}
+
+// Move a window-relative segment (and its words) onto the recording's timeline
+export function shiftSegment(segment, offset) {
+  const shifted = {
+    start: roundSeconds(offset + segment.start),
+    end: roundSeconds(offset + segment.end),
+    text: segment.text.trim()
+  };
+  if (segment.words) {
+    shifted.words = segment.words.map(word => ({
+      word: word.word,
+      start: roundSeconds(offset + word.start),
+      end: roundSeconds(offset + word.end)
+    }));
+  }
+  return shifted;
+}
+
+// Millisecond precision is plenty for captions and keeps the JSON small
+function roundSeconds(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+// Drop the longest run of leading words in `next` that repeats the end of `previous`
+function removeRepeatedWords(previous, next) {
+  const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+  const previousWords = previous.split(/\s+/).filter(Boolean).slice(-MAX_OVERLAP_WORDS).map(normalize);
+  const nextWords = next.split(/\s+/).filter(Boolean);
+  const normalizedNext = nextWords.slice(0, MAX_OVERLAP_WORDS).map(normalize);
+
+  // Single-word matches are too often coincidence ("the", "and")
+  for (let length = Math.min(previousWords.length, normalizedNext.length); length >= 2; length--) {
+    const tail = previousWords.slice(-length).join(' ');
+    const head = normalizedNext.slice(0, length).join(' ');
+    if (tail === head) {
+      return nextWords.slice(length).join(' ');
+    }
+  }
+  return next;
+}
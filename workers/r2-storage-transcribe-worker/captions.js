@@ -0,0 +1,212 @@
+// Caption exports of a stored transcription
+// Renders the timed segments saved beside each recording as WebVTT, SRT or
+// timestamped plain text, for playing lectures back with captions.
+
+import { isOwnedKey, forbiddenKeyResponse } from './ownership.js';
+import { getRecordingStem } from './artifact-keys.js';
+
+export const CAPTION_FORMATS = {
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+// Usual caption limits: two lines of 42 characters, on screen for at most 7 seconds
+const MAX_LINE_CHARS = 42;
+const MAX_CUE_LINES = 2;
+const MAX_CUE_SECONDS = 7;
+
+// 3725.5 -> "01:02:05.500" (WebVTT) or "01:02:05,500" (SRT)
+export function formatTimestamp(seconds, separator = '.') {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  const ms = totalMs % 1000;
+
+  return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(secs, 2)}${separator}${pad(ms, 3)}`;
+}
+
+function pad(value, width) {
+  return String(value).padStart(width, '0');
+}
+
+// Split segments into cues short enough to read on screen
+// Word timings place each split exactly; without them the segment's time is shared by length
+export function buildCues(segments) {
+  const cues = [];
+
+  for (const segment of segments) {
+    const words = segment.words && segment.words.length
+      ? segment.words.map(word => ({ text: word.word.trim(), start: word.start, end: word.end }))
+      : estimateWordTimes(segment);
+
+    let current = [];
+    for (const word of words.filter(word => word.text)) {
+      const candidate = [...current, word];
+      if (current.length && !fitsCue(candidate)) {
+        cues.push(toCue(current));
+        current = [word];
+      } else {
+        current = candidate;
+      }
+    }
+
+    if (current.length) {
+      cues.push(toCue(current));
+    }
+  }
+
+  return cues;
+}
+
+function estimateWordTimes(segment) {
+  const texts = segment.text.trim().split(/\s+/).filter(Boolean);
+  const totalChars = texts.reduce((sum, text) => sum + text.length, 0) || 1;
+  const duration = Math.max(0, segment.end - segment.start);
+
+  let cursor = segment.start;
+  return texts.map(text => {
+    const start = cursor;
+    cursor += duration * (text.length / totalChars);
+    return { text, start, end: cursor };
+  });
+}
+
+function fitsCue(words) {
+  const duration = words[words.length - 1].end - words[0].start;
+  return duration <= MAX_CUE_SECONDS && wrapLines(words.map(word => word.text)).length <= MAX_CUE_LINES;
+}
+
+function toCue(words) {
+  return {
+    start: words[0].start,
+    end: Math.max(words[words.length - 1].end, words[0].start),
+    lines: wrapLines(words.map(word => word.text))
+  };
+}
+
+function wrapLines(words) {
+  const lines = [];
+  for (const word of words) {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && (last + ' ' + word).length <= MAX_LINE_CHARS) {
+      lines[lines.length - 1] = last + ' ' + word;
+    } else {
+      lines.push(word);
+    }
+  }
+  return lines;
+}
+
+export function renderWebVtt(segments) {
+  const cues = buildCues(segments).map(cue =>
+    `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.lines.map(escapeVttText).join('\n')}`
+  );
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+// Cue text may not contain raw "<", "&" or the "-->" arrow
+function escapeVttText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+export function renderSrt(segments) {
+  return buildCues(segments).map((cue, index) =>
+    `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.lines.join('\n')}\n`
+  ).join('\n');
+}
+
+// One line per Whisper segment: "[00:01:05] text"
+export function renderTimestampedText(segments) {
+  return segments
+    .filter(segment => segment.text.trim())
+    .map(segment => `[${formatTimestamp(segment.start).slice(0, 8)}] ${segment.text.trim()}`)
+    .join('\n') + '\n';
+}
+
+const RENDERERS = {
+  vtt: renderWebVtt,
+  srt: renderSrt,
+  txt: renderTimestampedText
+};
+
+// Handle GET /api/captions?key=<audio or transcription key>&format=vtt|srt|txt
+export async function handleGetCaptions(request, env, user) {
+  try {
+    const url = new URL(request.url);
+    const key = url.searchParams.get('key');
+    const format = url.searchParams.get('format') || 'vtt';
+
+    if (!key) {
+      return new Response('Missing key parameter', { status: 400 });
+    }
+
+    if (!CAPTION_FORMATS[format]) {
+      return new Response(`Invalid format: expected one of ${Object.keys(CAPTION_FORMATS).join(', ')}`, { status: 400 });
+    }
+
+    if (!isOwnedKey(key, user)) {
+      return forbiddenKeyResponse(key, user);
+    }
+
+    const transcriptionKey = `${getRecordingStem(key)}-transcription.json`;
+    const obj = await env.GIST_RECORDINGS.get(transcriptionKey);
+
+    if (!obj) {
+      return captionsErrorResponse(404, 'Transcription not found', transcriptionKey);
+    }
+
+    const transcription = await obj.json();
+
+    // Transcriptions stored before timed segments were kept only have plain text
+    const hasText = (transcription.text || '').trim().length > 0;
+    if (!Array.isArray(transcription.segments) || (hasText && transcription.segments.length === 0)) {
+      return captionsErrorResponse(422, 'Transcription has no timestamps; transcribe the recording again to export captions', transcriptionKey, 'no_timestamps');
+    }
+
+    const body = RENDERERS[format](transcription.segments);
+    const filename = transcriptionKey.split('/').pop().replace(/-transcription\.json$/, `.${CAPTION_FORMATS[format].extension}`);
+
+    console.log({
+      event: 'captions_rendered',
+      user_id: user.id,
+      transcription_key: transcriptionKey,
+      format: format,
+      segment_count: transcription.segments.length,
+      timestamp: new Date().toISOString()
+    });
+
+    return new Response(body, {
+      status: 200,
+      headers: {
+        'Content-Type': CAPTION_FORMATS[format].contentType,
+        'Content-Disposition': `inline; filename="${filename}"`,
+        'Cache-Control': 'private, max-age=0, must-revalidate',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    console.error('Captions error:', error);
+    return captionsErrorResponse(500, error.message);
+  }
+}
+
+function captionsErrorResponse(status, message, transcriptionKey, code) {
+  return new Response(JSON.stringify({
+    success: false,
+    error: message,
+    code: code,
+    transcriptionKey: transcriptionKey
+  }), {
+    status: status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
@@ -0,0 +1,48 @@
+// Content hashes for idempotent processing
+// Transcriptions record the SHA-256 of their audio and of the settings that produced
+// them, summaries the SHA-256 of their transcript, so unchanged work can be reused.
+// A per-user index finds an earlier upload of the same audio:
+//   hashes/<user-id>/<audio-sha256>.json   { audioKey, transcriptionKey, updatedAt }
+
+export async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  return toHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+// Hash an R2 object by streaming it, without holding the recording in memory
+export async function hashStoredObject(env, key) {
+  const obj = await env.GIST_RECORDINGS.get(key);
+  if (!obj) {
+    return null;
+  }
+
+  const digestStream = new crypto.DigestStream('SHA-256');
+  await obj.body.pipeTo(digestStream);
+  return toHex(await digestStream.digest);
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function getHashIndexKey(userId, audioSha256) {
+  return `hashes/${userId}/${audioSha256}.json`;
+}
+
+export async function findAudioHash(env, userId, audioSha256) {
+  const obj = await env.GIST_RECORDINGS.get(getHashIndexKey(userId, audioSha256));
+  return obj ? await obj.json() : null;
+}
+
+// Point the audio hash at the newest recording transcribed from it
+export async function recordAudioHash(env, userId, audioSha256, { audioKey, transcriptionKey }) {
+  await env.GIST_RECORDINGS.put(getHashIndexKey(userId, audioSha256), JSON.stringify({
+    audioKey: audioKey,
+    transcriptionKey: transcriptionKey,
+    updatedAt: new Date().toISOString()
+  }), {
+    httpMetadata: {
+      contentType: 'application/json',
+    },
+  });
+}
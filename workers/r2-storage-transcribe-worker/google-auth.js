@@ -0,0 +1,257 @@
+// Google token verification for the R2 worker
+// Accepts Google ID tokens (RS256 JWTs checked against Google's published keys)
+// and OAuth access tokens (checked through the tokeninfo endpoint).
+
+const DEFAULT_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const DEFAULT_TOKENINFO_URL = 'https://oauth2.googleapis.com/tokeninfo';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+// Seconds of clock skew tolerated on exp/iat/nbf checks
+const CLOCK_SKEW_SECONDS = 60;
+
+// Signing keys are cached per isolate until Google's Cache-Control max-age runs out
+let jwksCache = { url: null, keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+
+// An unknown kid only refetches a fresh key set this often, so random kids can't
+// turn every request into an outbound fetch
+const MIN_FORCED_REFRESH_MS = 60 * 1000;
+
+// Access token lookups are cached briefly so every request doesn't hit tokeninfo
+const ACCESS_TOKEN_CACHE_MS = 5 * 60 * 1000;
+const MAX_ACCESS_TOKEN_CACHE_ENTRIES = 500;
+const accessTokenCache = new Map();
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// Verify the bearer token on a request and return the caller's identity
+export async function verifyGoogleRequest(request, env) {
+  const authHeader = request.headers.get('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new AuthError('missing_or_invalid_bearer_token');
+  }
+
+  const token = authHeader.substring(7).trim();
+  if (!token) {
+    throw new AuthError('missing_or_invalid_bearer_token');
+  }
+
+  const audiences = getAllowedAudiences(env);
+  if (audiences.length === 0) {
+    // Fail closed: without a configured client ID any Google token would pass
+    throw new AuthError('google_client_id_not_configured', 500);
+  }
+
+  // ID tokens are JWTs, access tokens are opaque strings
+  if (token.split('.').length === 3) {
+    return await verifyIdToken(token, env, audiences);
+  }
+
+  return await verifyAccessToken(token, env, audiences);
+}
+
+// GOOGLE_CLIENT_ID may hold a comma-separated list (e.g. extension + web client)
+function getAllowedAudiences(env) {
+  return (env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+// Verify a Google ID token signature and its claims
+async function verifyIdToken(token, env, audiences) {
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecodeToString(encodedHeader));
+    payload = JSON.parse(base64UrlDecodeToString(encodedPayload));
+  } catch (error) {
+    throw new AuthError('malformed_id_token');
+  }
+
+  if (header.alg !== 'RS256' || !header.kid) {
+    throw new AuthError('unsupported_token_algorithm');
+  }
+
+  const key = await getSigningKey(header.kid, env);
+  const signature = base64UrlDecode(encodedSignature);
+  const signedData = new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`);
+
+  const valid = await crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, signedData);
+  if (!valid) {
+    throw new AuthError('invalid_token_signature');
+  }
+
+  if (!GOOGLE_ISSUERS.includes(payload.iss)) {
+    throw new AuthError('invalid_token_issuer');
+  }
+
+  const tokenAudiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!tokenAudiences.some(aud => audiences.includes(aud))) {
+    throw new AuthError('invalid_token_audience');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new AuthError('token_expired');
+  }
+  if (typeof payload.iat === 'number' && payload.iat - CLOCK_SKEW_SECONDS > now) {
+    throw new AuthError('token_issued_in_future');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new AuthError('token_not_yet_valid');
+  }
+
+  if (!payload.sub) {
+    throw new AuthError('token_missing_subject');
+  }
+
+  return {
+    id: payload.sub,
+    email: payload.email || null,
+    emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+    tokenType: 'id_token',
+    expiresAt: payload.exp
+  };
+}
+
+// Look up an RSA signing key by kid, refreshing the key set when needed
+async function getSigningKey(kid, env) {
+  const jwksUrl = env.GOOGLE_JWKS_URL || DEFAULT_JWKS_URL;
+  const cacheValid = jwksCache.url === jwksUrl && Date.now() < jwksCache.expiresAt;
+
+  if (cacheValid && jwksCache.keys.has(kid)) {
+    return jwksCache.keys.get(kid);
+  }
+
+  if (cacheValid && Date.now() - jwksCache.fetchedAt < MIN_FORCED_REFRESH_MS) {
+    throw new AuthError('unknown_signing_key');
+  }
+
+  // Unknown kid or stale cache: Google may have rotated keys, so refetch
+  await refreshSigningKeys(jwksUrl);
+
+  const key = jwksCache.keys.get(kid);
+  if (!key) {
+    throw new AuthError('unknown_signing_key');
+  }
+  return key;
+}
+
+// Fetch the JWKS document and import every RSA key it contains
+async function refreshSigningKeys(jwksUrl) {
+  const response = await fetch(jwksUrl);
+  if (!response.ok) {
+    throw new AuthError(`jwks_fetch_failed_${response.status}`, 503);
+  }
+
+  const { keys = [] } = await response.json();
+  const imported = new Map();
+
+  for (const jwk of keys) {
+    if (jwk.kty !== 'RSA' || !jwk.kid) {
+      continue;
+    }
+    const cryptoKey = await crypto.subtle.importKey(
+      'jwk',
+      { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: 'RS256', ext: true },
+      { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      false,
+      ['verify']
+    );
+    imported.set(jwk.kid, cryptoKey);
+  }
+
+  jwksCache = {
+    url: jwksUrl,
+    keys: imported,
+    expiresAt: Date.now() + getMaxAgeMs(response.headers.get('Cache-Control')),
+    fetchedAt: Date.now()
+  };
+}
+
+// Read max-age from Cache-Control, defaulting to one hour
+function getMaxAgeMs(cacheControl) {
+  const match = /max-age=(\d+)/.exec(cacheControl || '');
+  return (match ? parseInt(match[1], 10) : 3600) * 1000;
+}
+
+// Verify an opaque access token through Google's tokeninfo endpoint
+async function verifyAccessToken(token, env, audiences) {
+  const cacheKey = await sha256Hex(token);
+  const cached = accessTokenCache.get(cacheKey);
+  if (cached && Date.now() < cached.cachedUntil) {
+    return cached.user;
+  }
+
+  const tokeninfoUrl = env.GOOGLE_TOKENINFO_URL || DEFAULT_TOKENINFO_URL;
+  const response = await fetch(`${tokeninfoUrl}?access_token=${encodeURIComponent(token)}`);
+
+  if (response.status === 400 || response.status === 401) {
+    throw new AuthError('invalid_access_token');
+  }
+  if (!response.ok) {
+    throw new AuthError(`tokeninfo_failed_${response.status}`, 503);
+  }
+
+  const info = await response.json();
+
+  // Access tokens carry the client ID in azp; aud is set for some token types
+  if (!audiences.includes(info.azp) && !audiences.includes(info.aud)) {
+    throw new AuthError('invalid_token_audience');
+  }
+
+  const expiresIn = parseInt(info.expires_in, 10);
+  if (!(expiresIn > 0)) {
+    throw new AuthError('token_expired');
+  }
+
+  if (!info.sub) {
+    throw new AuthError('token_missing_subject');
+  }
+
+  const user = {
+    id: info.sub,
+    email: info.email || null,
+    emailVerified: info.email_verified === true || info.email_verified === 'true',
+    tokenType: 'access_token',
+    expiresAt: Math.floor(Date.now() / 1000) + expiresIn
+  };
+
+  if (accessTokenCache.size >= MAX_ACCESS_TOKEN_CACHE_ENTRIES) {
+    accessTokenCache.delete(accessTokenCache.keys().next().value);
+  }
+  accessTokenCache.set(cacheKey, {
+    user,
+    cachedUntil: Date.now() + Math.min(ACCESS_TOKEN_CACHE_MS, expiresIn * 1000)
+  });
+
+  return user;
+}
+
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function base64UrlDecodeToString(value) {
+  return new TextDecoder().decode(base64UrlDecode(value));
+}
@@ -0,0 +1,450 @@
+// Asynchronous processing jobs
+// Routes enqueue a job and answer with its ID; the queue consumer does the AI work with
+// retries, and gives up into a dead_letter state. Job records live in R2 so clients can
+// poll them:
+//   jobs/<user-id>/<job-id>.json
+// JOB_MAX_ATTEMPTS is the only attempt limit: the consumer acks a job once it gives up. The
+// queue's max_retries (wrangler.toml) sits above it, and anything the queue does drop lands on
+// the dead letter queue, whose messages are marked dead_letter here.
+
+import { recordStage } from './session-manifest.js';
+import { getVocabulary } from './vocabulary.js';
+import { getModelConfig } from './model-registry.js';
+import { processWebhookDeliveryMessage, failWebhookDeliveryMessage } from './webhooks.js';
+import {
+  PipelineError,
+  transcribeStoredAudio,
+  SUMMARY_SKIP_CODES,
+  getSummaryStage,
+  summarizeStoredTranscription
+} from './pipeline.js';
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_SECONDS = 30;
+const DEFAULT_DEAD_LETTER_QUEUE = 'gist-jobs-dlq';
+
+// Cloudflare Queues caps a single retry delay at 12 hours
+const MAX_RETRY_DELAY_SECONDS = 12 * 60 * 60;
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+export function getJobKey(userId, jobId) {
+  return `jobs/${userId}/${jobId}.json`;
+}
+
+function getMaxAttempts(env) {
+  const attempts = parseInt(env.JOB_MAX_ATTEMPTS, 10);
+  return attempts > 0 ? attempts : DEFAULT_MAX_ATTEMPTS;
+}
+
+// Exponential backoff: base, 2x base, 4x base...
+function getRetryDelaySeconds(env, attempts) {
+  const base = parseInt(env.JOB_RETRY_DELAY_SECONDS, 10);
+  const delay = (base >= 0 ? base : DEFAULT_RETRY_DELAY_SECONDS) * Math.pow(2, attempts - 1);
+  return Math.min(delay, MAX_RETRY_DELAY_SECONDS);
+}
+
+async function getJob(env, userId, jobId) {
+  const obj = await env.GIST_RECORDINGS.get(getJobKey(userId, jobId));
+  return obj ? await obj.json() : null;
+}
+
+async function saveJob(env, job) {
+  job.updatedAt = new Date().toISOString();
+  await env.GIST_RECORDINGS.put(getJobKey(job.userId, job.jobId), JSON.stringify(job), {
+    httpMetadata: {
+      contentType: 'application/json',
+    },
+  });
+  return job;
+}
+
+// The JOBS_QUEUE binding, or an in-process stand-in when none is configured
+export function getJobQueue(env, ctx) {
+  return env.JOBS_QUEUE || createInMemoryQueue(env, ctx);
+}
+
+// Create a job record and queue it for the consumer
+// transcribe: { audioKey, summarize, language, task, force }   summarize: { transcriptionKey, audioKey, force, style }
+export async function enqueueJob(env, ctx, { type, userId, input }) {
+  const now = new Date().toISOString();
+  const job = {
+    jobId: crypto.randomUUID(),
+    type: type,
+    userId: userId,
+    input: input,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: getMaxAttempts(env),
+    progress: {},
+    result: null,
+    error: null,
+    errors: [],
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    completedAt: null
+  };
+
+  await saveJob(env, job);
+
+  // Transcribe jobs start at the transcription stage, summarize jobs at the summary
+  const manifestKey = type === 'summarize' ? input.transcriptionKey : input.audioKey;
+  const modelTask = type !== 'summarize' ? 'transcription' : (input.style ? 'styled_summary' : 'summary');
+  await recordStage(env, manifestKey, type === 'summarize' ? getSummaryStage(input.style) : 'transcription', {
+    status: 'queued',
+    requestId: job.jobId,
+    jobId: job.jobId,
+    model: getModelConfig(env, modelTask).primary,
+    // Kept on the transcription stage so the session stream knows a transcript alone is the end
+    ...(type === 'summarize' ? {} : { summaryRequested: Boolean(input.summarize) })
+  });
+
+  await getJobQueue(env, ctx).send({ jobId: job.jobId, userId: userId });
+
+  console.log({
+    event: 'job_enqueued',
+    job_id: job.jobId,
+    job_type: type,
+    user_id: userId,
+    queue: env.JOBS_QUEUE ? 'binding' : 'in_memory',
+    timestamp: now
+  });
+
+  return job;
+}
+
+// Queue consumer: process each message, retrying transient failures
+// Webhook deliveries share the queue and carry type 'webhook_delivery'
+export async function handleJobBatch(batch, env) {
+  const deadLetter = batch.queue === (env.JOBS_DEAD_LETTER_QUEUE || DEFAULT_DEAD_LETTER_QUEUE);
+
+  for (const message of batch.messages) {
+    const isWebhook = message.body && message.body.type === 'webhook_delivery';
+    if (deadLetter) {
+      await (isWebhook ? failWebhookDeliveryMessage(message, env) : deadLetterJobMessage(message, env));
+    } else if (isWebhook) {
+      await processWebhookDeliveryMessage(message, env);
+    } else {
+      await processJobMessage(message, env);
+    }
+  }
+}
+
+async function processJobMessage(message, env) {
+  const { jobId, userId } = message.body || {};
+  const job = jobId && userId ? await getJob(env, userId, jobId) : null;
+
+  // Deleted or already finished jobs have nothing left to do
+  if (!job || ['completed', 'failed', 'dead_letter'].includes(job.status)) {
+    message.ack();
+    return;
+  }
+
+  const startTime = Date.now();
+  job.status = 'running';
+  job.attempts = message.attempts;
+  job.startedAt = job.startedAt || new Date().toISOString();
+  await saveJob(env, job);
+
+  console.log({
+    event: 'job_started',
+    job_id: job.jobId,
+    job_type: job.type,
+    attempt: job.attempts,
+    max_attempts: job.maxAttempts,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    job.result = await runJob(env, job);
+    job.status = 'completed';
+    job.error = null;
+    job.completedAt = new Date().toISOString();
+    await saveJob(env, job);
+    message.ack();
+
+    console.log({
+      event: 'job_completed',
+      job_id: job.jobId,
+      job_type: job.type,
+      attempt: job.attempts,
+      processing_time_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    // Client errors (missing audio, bad format) fail the same way on every attempt
+    const retryable = !(error instanceof PipelineError && error.status < 500);
+    const exhausted = job.attempts >= job.maxAttempts;
+
+    job.error = error.message;
+    job.errors.push({ attempt: job.attempts, message: error.message, at: new Date().toISOString() });
+
+    let delaySeconds = null;
+    if (retryable && !exhausted) {
+      delaySeconds = getRetryDelaySeconds(env, job.attempts);
+      job.status = 'retrying';
+      job.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000).toISOString();
+    } else {
+      job.status = retryable ? 'dead_letter' : 'failed';
+      job.nextAttemptAt = null;
+      job.completedAt = new Date().toISOString();
+    }
+    await saveJob(env, job);
+
+    // Summary skips (no speech, unsupported language) already recorded their own final status
+    if (!SUMMARY_SKIP_CODES.includes(error.code)) {
+      await recordJobFailure(env, job);
+    }
+
+    if (delaySeconds !== null) {
+      message.retry({ delaySeconds });
+    } else {
+      message.ack();
+    }
+
+    console.log({
+      event: 'job_failed',
+      job_id: job.jobId,
+      job_type: job.type,
+      attempt: job.attempts,
+      max_attempts: job.maxAttempts,
+      job_status: job.status,
+      error_type: error.name,
+      error_message: error.message,
+      processing_time_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Mark the stage the job failed in: retrying while attempts remain, failed once it gives up
+// Only the final failure ends the session (and sends the *.failed webhook)
+async function recordJobFailure(env, job) {
+  const retrying = job.status === 'retrying';
+  const { key, stage } = getJobStage(job);
+
+  await recordStage(env, key, stage, {
+    status: retrying ? 'retrying' : 'failed',
+    requestId: job.jobId,
+    error: job.error,
+    attempt: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextAttemptAt: retrying ? job.nextAttemptAt : null
+  });
+}
+
+// The stage a job is working on, with the key its manifest is found by
+function getJobStage(job) {
+  if (job.type === 'summarize') {
+    return { key: job.input.transcriptionKey, stage: getSummaryStage(job.input.style) };
+  }
+  if (job.progress.transcriptionKey) {
+    return { key: job.progress.transcriptionKey, stage: 'summary' };
+  }
+  return { key: job.input.audioKey, stage: 'transcription' };
+}
+
+// Dead letter queue consumer: the queue gave up on the message before the job did
+async function deadLetterJobMessage(message, env) {
+  const { jobId, userId } = message.body || {};
+  const job = jobId && userId ? await getJob(env, userId, jobId) : null;
+
+  if (job && !['completed', 'failed', 'dead_letter'].includes(job.status)) {
+    job.status = 'dead_letter';
+    job.error = job.error || 'The queue stopped retrying this job';
+    job.nextAttemptAt = null;
+    job.completedAt = new Date().toISOString();
+    await saveJob(env, job);
+    await recordJobFailure(env, job);
+
+    console.log({
+      event: 'job_dead_lettered',
+      job_id: job.jobId,
+      job_type: job.type,
+      attempt: job.attempts,
+      max_attempts: job.maxAttempts,
+      error_message: job.error,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  message.ack();
+}
+
+// Run the job's steps, skipping any finished on an earlier attempt
+async function runJob(env, job) {
+  const { input, progress } = job;
+
+  if (job.type === 'summarize') {
+    const summary = await summarizeStoredTranscription(env, {
+      transcriptionKey: input.transcriptionKey,
+      audioKey: input.audioKey,
+      requestId: job.jobId,
+      force: input.force === true,
+      style: input.style || null,
+      recordFailure: false
+    });
+    return { summaryKey: summary.summaryKey, transcriptionKey: summary.transcriptionKey, style: summary.style, cached: summary.cached };
+  }
+
+  if (!progress.transcriptionKey) {
+    const transcription = await transcribeStoredAudio(env, {
+      audioKey: input.audioKey,
+      requestId: job.jobId,
+      userId: job.userId,
+      force: input.force === true,
+      recordFailure: false,
+      options: {
+        language: input.language || null,
+        task: input.task || 'transcribe',
+        // Read when the job runs, so vocabulary edits apply to retries too
+        vocabulary: await getVocabulary(env, job.userId)
+      }
+    });
+    progress.transcriptionKey = transcription.transcriptionKey;
+    progress.noSpeech = transcription.noSpeech;
+    progress.transcriptionCached = transcription.cached === true;
+    progress.duplicateOf = transcription.duplicateOf || null;
+    progress.transcribedAt = new Date().toISOString();
+    await saveJob(env, job);
+  }
+
+  if (!input.summarize) {
+    return { transcriptionKey: progress.transcriptionKey, noSpeech: progress.noSpeech || null };
+  }
+
+  try {
+    const summary = await summarizeStoredTranscription(env, {
+      transcriptionKey: progress.transcriptionKey,
+      audioKey: input.audioKey,
+      requestId: job.jobId,
+      force: input.force === true,
+      recordFailure: false
+    });
+    return { transcriptionKey: progress.transcriptionKey, summaryKey: summary.summaryKey, cached: summary.cached };
+  } catch (error) {
+    // The transcript is still the job's result when there is nothing BART can summarize
+    if (!SUMMARY_SKIP_CODES.includes(error.code)) {
+      throw error;
+    }
+    return {
+      transcriptionKey: progress.transcriptionKey,
+      noSpeech: progress.noSpeech || null,
+      summarySkipped: error.code,
+      ...error.details
+    };
+  }
+}
+
+// Stand-in for a Cloudflare Queue, used when no JOBS_QUEUE binding is configured (local runs, tests)
+// Messages go through the same consumer with the same ack/retry semantics, in this isolate.
+// Retries run right away: waitUntil keeps the isolate alive only ~30 seconds past the response,
+// so waiting out a backoff of minutes would lose the job.
+export function createInMemoryQueue(env, ctx) {
+  const deliver = async body => {
+    for (let attempts = 1; ; attempts++) {
+      let retried = false;
+      const message = {
+        id: crypto.randomUUID(),
+        timestamp: new Date(),
+        body: body,
+        attempts: attempts,
+        ack() {},
+        retry() {
+          retried = true;
+        }
+      };
+
+      await handleJobBatch({ queue: 'in-memory', messages: [message] }, env);
+
+      if (!retried) {
+        return;
+      }
+    }
+  };
+
+  return {
+    async send(body) {
+      const delivery = deliver(body).catch(error => {
+        console.error('In-memory queue delivery error:', error);
+      });
+      ctx.waitUntil(delivery);
+    }
+  };
+}
+
+// The 202 answer for a freshly enqueued job
+export function jobAcceptedResponse(job) {
+  return new Response(JSON.stringify({
+    success: true,
+    jobId: job.jobId,
+    type: job.type,
+    status: job.status,
+    statusUrl: `/api/jobs?jobId=${job.jobId}`
+  }), {
+    status: 202,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
+
+// Handle GET /api/jobs?jobId=
+export async function handleJobStatus(request, env, user) {
+  try {
+    const url = new URL(request.url);
+    const jobId = url.searchParams.get('jobId');
+
+    if (!jobId) {
+      return new Response('Missing jobId parameter', { status: 400 });
+    }
+
+    if (!JOB_ID_PATTERN.test(jobId)) {
+      return new Response('Invalid jobId', { status: 400 });
+    }
+
+    // Jobs are stored under their owner, so another user's ID simply isn't found
+    const job = await getJob(env, user.id, jobId);
+
+    if (!job) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Job not found'
+      }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+        },
+      });
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      job: job
+    }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    console.error('Job status error:', error);
+    return new Response(JSON.stringify({
+      success: false,
+      error: error.message
+    }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  }
+}
@@ -0,0 +1,125 @@
+// Workers AI model registry
+// Each task has a primary and an optional fallback model, both overridable from the
+// environment. runModel() calls the primary through the AI Gateway and switches to the
+// fallback when the primary is out of capacity or times out.
+
+const DEFAULT_GATEWAY_ID = 'your-ai-gateway';
+const DEFAULT_TIMEOUT_SECONDS = 120;
+
+// Defaults and the env variables that override them; set a fallback to "none" to disable it
+const TASKS = {
+  transcription: {
+    primary: '@cf/openai/whisper-large-v3-turbo',
+    fallback: '@cf/openai/whisper',
+    primaryVar: 'TRANSCRIPTION_MODEL',
+    fallbackVar: 'TRANSCRIPTION_FALLBACK_MODEL'
+  },
+  summary: {
+    primary: '@cf/facebook/bart-large-cnn',
+    fallback: null,
+    primaryVar: 'SUMMARY_MODEL',
+    fallbackVar: 'SUMMARY_FALLBACK_MODEL'
+  },
+  // Instruction-tuned chat model for the prompt-templated summary styles
+  styled_summary: {
+    primary: '@cf/meta/llama-3.1-8b-instruct',
+    fallback: '@cf/mistral/mistral-7b-instruct-v0.1',
+    primaryVar: 'STYLED_SUMMARY_MODEL',
+    fallbackVar: 'STYLED_SUMMARY_FALLBACK_MODEL'
+  }
+};
+
+// Workers AI and gateway errors worth retrying on another model:
+// 3040 capacity exceeded, 3007 timeout, HTTP 429/502/503/504
+const FALLBACK_ERROR_PATTERN = /capacity|overloaded|temporarily unavailable|too many requests|rate limit|timed? ?out|\b(3040|3007|429|502|503|504)\b/i;
+
+// A model call that took longer than AI_TIMEOUT_SECONDS
+export class ModelTimeoutError extends Error {
+  constructor(model, timeoutMs) {
+    super(`${model} timed out after ${timeoutMs}ms`);
+    this.name = 'ModelTimeoutError';
+    this.model = model;
+  }
+}
+
+// { primary, fallback, gatewayId, timeoutMs } for a task
+export function getModelConfig(env, task) {
+  const defaults = TASKS[task];
+  if (!defaults) {
+    throw new Error(`Unknown model task: ${task}`);
+  }
+
+  const fallback = env[defaults.fallbackVar] !== undefined ? env[defaults.fallbackVar] : defaults.fallback;
+  const timeoutSeconds = parseFloat(env.AI_TIMEOUT_SECONDS);
+
+  return {
+    primary: env[defaults.primaryVar] || defaults.primary,
+    fallback: fallback && fallback !== 'none' ? fallback : null,
+    gatewayId: env.AI_GATEWAY_ID || DEFAULT_GATEWAY_ID,
+    timeoutMs: (timeoutSeconds > 0 ? timeoutSeconds : DEFAULT_TIMEOUT_SECONDS) * 1000
+  };
+}
+
+export function isFallbackError(error) {
+  return error instanceof ModelTimeoutError || FALLBACK_ERROR_PATTERN.test(`${error.name} ${error.message}`);
+}
+
+// Run a task on its primary model, then on the fallback if the primary is unavailable
+// `buildInput(model)` returns the model-specific input; resolves to { response, model, fallbackUsed, attempts }
+export async function runModel(env, task, { buildInput, requestId, windowIndex = null }) {
+  const config = getModelConfig(env, task);
+  const models = config.fallback && config.fallback !== config.primary
+    ? [config.primary, config.fallback]
+    : [config.primary];
+  const attempts = [];
+
+  for (const model of models) {
+    try {
+      const response = await runWithTimeout(env, model, buildInput(model), config);
+      return { response, model, fallbackUsed: model !== config.primary, attempts };
+
+    } catch (error) {
+      attempts.push({ model: model, error: error.message });
+
+      const canFallBack = model !== models[models.length - 1] && isFallbackError(error);
+
+      console.log({
+        event: 'ai_model_failed',
+        request_id: requestId,
+        window_index: windowIndex,
+        task: task,
+        model: model,
+        error_type: error.name,
+        error_message: error.message,
+        next_model: canFallBack ? models[models.indexOf(model) + 1] : null,
+        timestamp: new Date().toISOString()
+      });
+
+      if (!canFallBack) {
+        error.model = model;
+        throw error;
+      }
+    }
+  }
+}
+
+async function runWithTimeout(env, model, input, config) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new ModelTimeoutError(model, config.timeoutMs)), config.timeoutMs);
+  });
+
+  try {
+    return await Promise.race([
+      env.AI.run(model, input, {
+        gateway: {
+          id: config.gatewayId,
+          skipCache: false
+        }
+      }),
+      timeout
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
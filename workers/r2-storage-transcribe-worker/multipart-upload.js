@@ -0,0 +1,338 @@
+// R2 multipart upload routes
+// Large recordings are sent part by part so a failed part can be retried on its own
+// and an interrupted upload can be resumed with the same uploadId.
+
+import { isOwnedKey, forbiddenKeyResponse } from './ownership.js';
+import {
+  checkUploadSize,
+  getMaxUploadBytes,
+  pipeBodyToR2,
+  IncompleteUploadError,
+  incompleteUploadResponse,
+  uploadErrorResponse
+} from './streaming-upload.js';
+import { buildCustomMetadata } from './recording-metadata.js';
+import { SNIFF_BYTES, validateAudio, peekStream, validationErrorResponse } from './audio-format.js';
+import { recordStage } from './session-manifest.js';
+import { parseProcessOption, parseTranscriptionOptions } from './pipeline.js';
+import { enqueueJob } from './job-queue.js';
+
+// R2 limits: parts are numbered 1-10000
+const MAX_PART_NUMBER = 10000;
+
+// Start a multipart upload and hand the uploadId back to the client
+export async function handleMultipartCreate(request, env, user) {
+  try {
+    const { key, contentType, size, metadata, head } = await request.json();
+
+    if (!key) {
+      return new Response('Missing key', { status: 400 });
+    }
+
+    if (!isOwnedKey(key, user)) {
+      return forbiddenKeyResponse(key, user);
+    }
+
+    // Reject oversized recordings before any part is sent
+    const maxBytes = getMaxUploadBytes(env);
+    if (size > maxBytes) {
+      return uploadErrorResponse(413, 'file_too_large', `Upload exceeds the ${maxBytes} byte limit`, {
+        size: size,
+        maxBytes: maxBytes
+      });
+    }
+
+    if (metadata !== undefined && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+      return new Response('metadata must be an object', { status: 400 });
+    }
+
+    const customMetadata = buildCustomMetadata(metadata, user);
+
+    // Metadata is fixed once the upload exists, so the stored type comes from the
+    // recording's first bytes (base64 `head`) rather than the client's Content-Type
+    const headBytes = decodeHead(head);
+    if (!headBytes) {
+      return new Response(`head must be the first ${SNIFF_BYTES} bytes of the recording, base64-encoded`, { status: 400 });
+    }
+
+    const validation = validateAudio(env, headBytes, size || 0, contentType);
+    if (validation.error) {
+      return validationErrorResponse(validation.error);
+    }
+
+    const multipartUpload = await env.GIST_RECORDINGS.createMultipartUpload(key, {
+      httpMetadata: {
+        contentType: validation.mimeType,
+      },
+      customMetadata: { ...customMetadata, format: validation.format },
+    });
+
+    console.log({
+      event: 'multipart_upload_created',
+      user_id: user.id,
+      key: key,
+      upload_id: multipartUpload.uploadId,
+      timestamp: new Date().toISOString()
+    });
+
+    // The uploadId ties the manifest's upload stage to every later part request
+    await recordStage(env, key, 'upload', {
+      status: 'running',
+      requestId: multipartUpload.uploadId,
+      method: 'multipart',
+      artifacts: { audio: key }
+    });
+
+    return jsonResponse({
+      success: true,
+      key: multipartUpload.key,
+      uploadId: multipartUpload.uploadId,
+      format: validation.format,
+      metadata: customMetadata
+    });
+
+  } catch (error) {
+    console.error('Multipart create error:', error);
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+// Upload a single part of an in-progress multipart upload
+export async function handleMultipartPart(request, env, user) {
+  try {
+    const url = new URL(request.url);
+    const key = url.searchParams.get('key');
+    const uploadId = url.searchParams.get('uploadId');
+    const partNumber = parseInt(url.searchParams.get('partNumber'), 10);
+
+    if (!key || !uploadId) {
+      return new Response('Missing key or uploadId parameter', { status: 400 });
+    }
+
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > MAX_PART_NUMBER) {
+      return new Response(`partNumber must be between 1 and ${MAX_PART_NUMBER}`, { status: 400 });
+    }
+
+    if (!isOwnedKey(key, user)) {
+      return forbiddenKeyResponse(key, user);
+    }
+
+    const sizeCheck = checkUploadSize(request, env);
+    if (sizeCheck.response) {
+      return sizeCheck.response;
+    }
+
+    // The first part carries the container header: reject non-audio before storing anything
+    let body = request.body;
+    if (partNumber === 1) {
+      const peeked = await peekStream(request.body, SNIFF_BYTES);
+      body = peeked.stream;
+      const validation = validateAudio(env, peeked.head, 0, request.headers.get('Content-Type'));
+      if (validation.error) {
+        await body.cancel();
+        return validationErrorResponse(validation.error);
+      }
+    }
+
+    // Stream the part straight into R2
+    const multipartUpload = env.GIST_RECORDINGS.resumeMultipartUpload(key, uploadId);
+    const uploadedPart = await pipeBodyToR2(body, sizeCheck.size, stream =>
+      multipartUpload.uploadPart(partNumber, stream)
+    );
+
+    return jsonResponse({
+      success: true,
+      partNumber: uploadedPart.partNumber,
+      etag: uploadedPart.etag,
+      size: sizeCheck.size
+    });
+
+  } catch (error) {
+    console.error('Multipart part error:', error);
+    if (error instanceof IncompleteUploadError) {
+      return incompleteUploadResponse(error);
+    }
+    return multipartErrorResponse(error);
+  }
+}
+
+// Stitch uploaded parts together into the final object
+// `process: 'transcribe' | 'summarize'` runs the pipeline on the server afterwards
+export async function handleMultipartComplete(request, env, user, ctx) {
+  try {
+    const { key, uploadId, parts, process: processOption, language, task } = await request.json();
+
+    if (!key || !uploadId) {
+      return new Response('Missing key or uploadId', { status: 400 });
+    }
+
+    if (!Array.isArray(parts) || parts.length === 0) {
+      return new Response('Missing parts', { status: 400 });
+    }
+
+    if (!isOwnedKey(key, user)) {
+      return forbiddenKeyResponse(key, user);
+    }
+
+    let process;
+    let transcriptionOptions;
+    try {
+      process = parseProcessOption(processOption);
+      transcriptionOptions = parseTranscriptionOptions({ language, task });
+    } catch (error) {
+      return new Response(error.message, { status: 400 });
+    }
+
+    // R2 expects parts in ascending order
+    const orderedParts = parts
+      .map(part => ({ partNumber: parseInt(part.partNumber, 10), etag: part.etag }))
+      .sort((a, b) => a.partNumber - b.partNumber);
+
+    // A gap or repeated part number means a part was lost, and the stitched recording would be corrupt
+    if (orderedParts.some((part, index) => part.partNumber !== index + 1 || !part.etag)) {
+      return new Response('parts must be numbered 1 to N, each once with its etag', { status: 400 });
+    }
+
+    const multipartUpload = env.GIST_RECORDINGS.resumeMultipartUpload(key, uploadId);
+    const object = await multipartUpload.complete(orderedParts);
+
+    // Parts are checked one at a time, so enforce the total size here
+    const maxBytes = getMaxUploadBytes(env);
+    if (object.size > maxBytes) {
+      await env.GIST_RECORDINGS.delete(key);
+      await recordStage(env, key, 'upload', { status: 'failed', requestId: uploadId, error: 'file_too_large' });
+      return uploadErrorResponse(413, 'file_too_large', `Upload exceeds the ${maxBytes} byte limit`, {
+        size: object.size,
+        maxBytes: maxBytes
+      });
+    }
+
+    // Re-check the assembled object's container and its per-format limit, and that part 1
+    // is the recording whose head was sniffed on create (its type is already stored)
+    const headObject = await env.GIST_RECORDINGS.get(key, { range: { offset: 0, length: SNIFF_BYTES } });
+    const headBytes = new Uint8Array(await headObject.arrayBuffer());
+    let validation = validateAudio(env, headBytes, object.size, object.httpMetadata?.contentType);
+    if (!validation.error && validation.format !== object.customMetadata?.format) {
+      validation = {
+        error: {
+          status: 415,
+          reason: 'format_mismatch',
+          message: `Upload was created as ${object.customMetadata?.format} but its parts hold ${validation.format}`,
+          detectedFormat: validation.format,
+          createdFormat: object.customMetadata?.format || null,
+          size: object.size
+        }
+      };
+    }
+    if (validation.error) {
+      await env.GIST_RECORDINGS.delete(key);
+      await recordStage(env, key, 'upload', { status: 'failed', requestId: uploadId, error: validation.error.reason });
+      return validationErrorResponse(validation.error);
+    }
+
+    console.log({
+      event: 'multipart_upload_completed',
+      user_id: user.id,
+      key: key,
+      upload_id: uploadId,
+      part_count: orderedParts.length,
+      size_bytes: object.size,
+      timestamp: new Date().toISOString()
+    });
+
+    await recordStage(env, key, 'upload', {
+      status: 'completed',
+      requestId: uploadId,
+      size: object.size,
+      format: validation.format,
+      partCount: orderedParts.length
+    });
+
+    const job = process
+      ? await enqueueJob(env, ctx, {
+        type: 'transcribe',
+        userId: user.id,
+        input: { audioKey: key, summarize: process === 'summarize', ...transcriptionOptions }
+      })
+      : null;
+
+    return jsonResponse({
+      success: true,
+      message: `Successfully uploaded ${key}`,
+      key: key,
+      size: object.size,
+      etag: object.httpEtag,
+      format: validation.format,
+      pipeline: job ? { process: process, status: job.status, jobId: job.jobId } : null
+    });
+
+  } catch (error) {
+    console.error('Multipart complete error:', error);
+    return multipartErrorResponse(error);
+  }
+}
+
+function decodeHead(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  try {
+    return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Abort a multipart upload and discard its parts
+export async function handleMultipartAbort(request, env, user) {
+  try {
+    const { key, uploadId } = await request.json();
+
+    if (!key || !uploadId) {
+      return new Response('Missing key or uploadId', { status: 400 });
+    }
+
+    if (!isOwnedKey(key, user)) {
+      return forbiddenKeyResponse(key, user);
+    }
+
+    const multipartUpload = env.GIST_RECORDINGS.resumeMultipartUpload(key, uploadId);
+    await multipartUpload.abort();
+
+    console.log({
+      event: 'multipart_upload_aborted',
+      user_id: user.id,
+      key: key,
+      upload_id: uploadId,
+      timestamp: new Date().toISOString()
+    });
+
+    await recordStage(env, key, 'upload', { status: 'failed', requestId: uploadId, error: 'aborted' });
+
+    return jsonResponse({ success: true, key: key, uploadId: uploadId });
+
+  } catch (error) {
+    console.error('Multipart abort error:', error);
+    return multipartErrorResponse(error);
+  }
+}
+
+// Unknown or already-finished uploads are a 404 so the client can start over
+function multipartErrorResponse(error) {
+  const notFound = /does not exist|NoSuchUpload/i.test(error.message);
+  return jsonResponse({
+    success: false,
+    error: error.message,
+    uploadMissing: notFound
+  }, notFound ? 404 : 500);
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status: status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
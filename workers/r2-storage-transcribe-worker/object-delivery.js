@@ -0,0 +1,175 @@
+// Serve R2 objects over plain HTTP semantics
+// Supports Range (206), If-None-Match / If-Modified-Since (304, for GET and HEAD) and ETag caching,
+// so a transcript viewer can seek within a long recording without downloading it all.
+
+import { isOwnedKey, forbiddenKeyResponse } from './ownership.js';
+import { METADATA_HEADER, encodeMetadataHeader } from './recording-metadata.js';
+
+// Authenticated content: browsers may cache it, shared caches may not
+const DEFAULT_CACHE_CONTROL = 'private, max-age=3600';
+
+const EXPOSED_HEADERS = [
+  'Accept-Ranges',
+  'Content-Length',
+  'Content-Range',
+  'ETag',
+  'Last-Modified',
+  METADATA_HEADER
+].join(', ');
+
+// Handle GET/HEAD /r2-get?key=
+export async function handleR2GetObject(request, env, user) {
+  try {
+    const url = new URL(request.url);
+    const key = url.searchParams.get('key');
+
+    if (!key) {
+      return new Response('Missing key parameter', { status: 400 });
+    }
+
+    if (!isOwnedKey(key, user)) {
+      return forbiddenKeyResponse(key, user);
+    }
+
+    return await serveObject(request, env, key);
+
+  } catch (error) {
+    console.error('R2 get object error:', error);
+    return new Response(JSON.stringify({
+      success: false,
+      error: error.message
+    }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  }
+}
+
+// Build a full, partial or not-modified response for an object
+export async function serveObject(request, env, key, { cacheControl = DEFAULT_CACHE_CONTROL } = {}) {
+  const isHead = request.method === 'HEAD';
+  const wantsRange = request.headers.has('Range');
+
+  let obj;
+  try {
+    obj = isHead
+      ? await env.GIST_RECORDINGS.head(key)
+      : await env.GIST_RECORDINGS.get(key, {
+        range: wantsRange ? request.headers : undefined,
+        onlyIf: request.headers,
+      });
+  } catch (error) {
+    // R2 rejects ranges that start past the end of the object
+    if (wantsRange && /range/i.test(error.message)) {
+      const existing = await env.GIST_RECORDINGS.head(key);
+      if (existing) {
+        return new Response(null, {
+          status: 416,
+          headers: {
+            'Content-Range': `bytes */${existing.size}`,
+            'Access-Control-Allow-Origin': '*',
+          },
+        });
+      }
+    }
+    throw error;
+  }
+
+  if (!obj) {
+    return new Response('File not found', {
+      status: 404,
+      headers: { 'Access-Control-Allow-Origin': '*' },
+    });
+  }
+
+  const headers = new Headers();
+  obj.writeHttpMetadata(headers);
+  headers.set('ETag', obj.httpEtag);
+  headers.set('Last-Modified', obj.uploaded.toUTCString());
+  headers.set('Accept-Ranges', 'bytes');
+  headers.set('Cache-Control', cacheControl);
+  headers.set(METADATA_HEADER, encodeMetadataHeader(obj.customMetadata));
+  headers.set('Access-Control-Allow-Origin', '*');
+  headers.set('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+  if (!headers.has('Content-Type')) {
+    headers.set('Content-Type', 'application/octet-stream');
+  }
+
+  if (isHead) {
+    // R2's head() takes no conditions, so evaluate them here the way get() does
+    const status = evaluatePreconditions(request.headers, obj);
+    if (status) {
+      return new Response(null, { status, headers });
+    }
+    headers.set('Content-Length', String(obj.size));
+    return new Response(null, { status: 200, headers });
+  }
+
+  // A GET that matched its preconditions comes back without a body
+  if (!('body' in obj)) {
+    const conditionalGet = request.headers.has('If-None-Match') || request.headers.has('If-Modified-Since');
+    return new Response(null, { status: conditionalGet ? 304 : 412, headers });
+  }
+
+  if (wantsRange && obj.range) {
+    const offset = obj.range.offset ?? (obj.size - obj.range.suffix);
+    const length = obj.range.length ?? (obj.size - offset);
+    headers.set('Content-Range', `bytes ${offset}-${offset + length - 1}/${obj.size}`);
+    headers.set('Content-Length', String(length));
+    return new Response(obj.body, { status: 206, headers });
+  }
+
+  headers.set('Content-Length', String(obj.size));
+  return new Response(obj.body, { status: 200, headers });
+}
+
+// RFC 9110 precondition order: If-Match, If-Unmodified-Since, If-None-Match, If-Modified-Since
+// Returns 412 or 304 when a condition fails, otherwise null
+function evaluatePreconditions(requestHeaders, obj) {
+  const ifMatch = requestHeaders.get('If-Match');
+  const ifUnmodifiedSince = parseHttpDate(requestHeaders.get('If-Unmodified-Since'));
+  const ifNoneMatch = requestHeaders.get('If-None-Match');
+  const ifModifiedSince = parseHttpDate(requestHeaders.get('If-Modified-Since'));
+  const modifiedSeconds = Math.floor(obj.uploaded.getTime() / 1000);
+
+  if (ifMatch) {
+    if (!matchesEtag(ifMatch, obj.etag, { weak: false })) {
+      return 412;
+    }
+  } else if (ifUnmodifiedSince !== null && modifiedSeconds > ifUnmodifiedSince) {
+    return 412;
+  }
+
+  if (ifNoneMatch) {
+    return matchesEtag(ifNoneMatch, obj.etag, { weak: true }) ? 304 : null;
+  }
+
+  if (ifModifiedSince !== null && modifiedSeconds <= ifModifiedSince) {
+    return 304;
+  }
+
+  return null;
+}
+
+// `header` is '*' or a comma-separated list of (possibly weak) entity tags
+function matchesEtag(header, etag, { weak }) {
+  if (header.trim() === '*') {
+    return true;
+  }
+  return header.split(',').some(tag => {
+    const value = tag.trim();
+    if (value.startsWith('W/')) {
+      return weak && value.slice(2).replace(/"/g, '') === etag;
+    }
+    return value.replace(/"/g, '') === etag;
+  });
+}
+
+// HTTP dates have one-second resolution; null when missing or unparseable
+function parseHttpDate(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
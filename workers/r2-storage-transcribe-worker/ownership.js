@@ -0,0 +1,44 @@
+// Per-user key ownership for the R2 bucket
+// The extension writes every recording under recordings/<google-user-id>-<session-id>/,
+// so a caller may only touch keys and prefixes inside their own namespace.
+
+// Namespace prefix for the authenticated user's objects
+export function getUserNamespace(user) {
+  return `recordings/${user.id}-`;
+}
+
+// User ID of the namespace a key lives in, or null for keys outside recordings/
+// Google user IDs are numeric, so the ID ends at the first '-'
+export function getKeyOwnerId(key) {
+  const match = /^recordings\/([^/-]+)-/.exec(key || '');
+  return match ? match[1] : null;
+}
+
+// Check whether a key (or list prefix) lives inside the user's namespace
+export function isOwnedKey(key, user) {
+  return typeof key === 'string' && key.startsWith(getUserNamespace(user));
+}
+
+// 403 response for keys and prefixes outside the caller's namespace
+export function forbiddenKeyResponse(key, user) {
+  console.log({
+    event: 'ownership_check_failed',
+    user_id: user.id,
+    requested_key: key,
+    allowed_namespace: getUserNamespace(user),
+    timestamp: new Date().toISOString()
+  });
+
+  return new Response(JSON.stringify({
+    success: false,
+    error: 'Forbidden: key is outside your namespace',
+    key: key,
+    namespace: getUserNamespace(user)
+  }), {
+    status: 403,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
@@ -0,0 +1,1199 @@
+// Server-side processing pipeline: Whisper transcription, then BART summarization
+// Audio is read straight from R2, so clients only send a key. The same steps back
+// /api/transcribe, /api/summarize and the queue consumer in job-queue.js.
+
+import { SNIFF_BYTES, sniffAudioFormat } from './audio-format.js';
+import { getTranscriptionKey, getSummaryKey, getStyledSummaryKey } from './artifact-keys.js';
+import { recordStage } from './session-manifest.js';
+import { buildInitialPrompt, applyCorrections } from './vocabulary.js';
+import { detectNoSpeech } from './speech-detection.js';
+import { getModelConfig, runModel } from './model-registry.js';
+import { sha256Hex, hashStoredObject, findAudioHash, recordAudioHash } from './content-hash.js';
+import { getChunkWords, chunkTranscript } from './summary-chunks.js';
+import {
+  SUMMARY_STYLES,
+  SECTION_NOTES_TEMPLATE,
+  isSummaryStyle,
+  getPromptVersion,
+  buildStyleInput
+} from './summary-styles.js';
+import {
+  SEGMENTABLE_FORMATS,
+  SegmentationError,
+  getSegmentOptions,
+  segmentStoredAudio,
+  shiftSegment,
+  stitchTranscripts
+} from './audio-segments.js';
+
+// Whisper rejects larger payloads
+const MAX_TRANSCRIPTION_BYTES = 25 * 1024 * 1024;
+
+// Values accepted by the `process` upload option
+const PROCESS_OPTIONS = ['transcribe', 'summarize'];
+
+// Whisper tasks: keep the spoken language, or translate the speech into English
+const TRANSCRIPTION_TASKS = ['transcribe', 'translate'];
+
+// Part of the settings hash; bump it when the transcription path changes how settings are applied
+// Version 2: segmented recordings used to ignore language, task and vocabulary, so their
+// stored transcripts don't match those settings and must not be reused
+const SETTINGS_HASH_VERSION = 2;
+
+// ISO 639-1 codes, plus the few three-letter codes Whisper uses (e.g. haw, yue)
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}$/;
+
+// BART was trained on English news, so other languages aren't summarized
+const SUMMARY_LANGUAGES = ['en'];
+
+// Summarize errors that leave the transcript usable; a transcribe-and-summarize run still succeeds
+export const SUMMARY_SKIP_CODES = ['unsupported_language', 'no_speech'];
+
+// Section summaries are summarized again at most this many times before the final summary
+const MAX_REDUCE_PASSES = 3;
+
+// A pipeline step that failed for a reason the client can act on
+export class PipelineError extends Error {
+  constructor(message, status = 500, code = 'pipeline_failed', details = {}) {
+    super(message);
+    this.name = 'PipelineError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Returns 'transcribe', 'summarize' or null; throws on anything else
+export function parseProcessOption(value) {
+  if (value === undefined || value === null || value === '' || value === 'none') {
+    return null;
+  }
+  if (!PROCESS_OPTIONS.includes(value)) {
+    throw new PipelineError(`process must be one of: ${PROCESS_OPTIONS.join(', ')}`, 400, 'invalid_process_option');
+  }
+  return value;
+}
+
+// Returns { language, task } for Whisper; language is null to let Whisper detect it
+// Throws on unknown tasks or malformed language codes
+export function parseTranscriptionOptions({ language, task } = {}) {
+  const normalizedLanguage = typeof language === 'string' && language.trim() && language.trim() !== 'auto'
+    ? language.trim().toLowerCase()
+    : null;
+
+  if (normalizedLanguage && !LANGUAGE_CODE_PATTERN.test(normalizedLanguage)) {
+    throw new PipelineError('language must be an ISO 639-1 code such as en, es, de or hi', 400, 'invalid_language');
+  }
+
+  const normalizedTask = task || 'transcribe';
+  if (!TRANSCRIPTION_TASKS.includes(normalizedTask)) {
+    throw new PipelineError(`task must be one of: ${TRANSCRIPTION_TASKS.join(', ')}`, 400, 'invalid_task');
+  }
+
+  return { language: normalizedLanguage, task: normalizedTask };
+}
+
+// Validate the summary `style`; null (or "default") means the plain BART summary
+export function parseSummaryStyle(style) {
+  if (style === undefined || style === null || style === '' || style === 'default') {
+    return null;
+  }
+
+  if (!isSummaryStyle(style)) {
+    throw new PipelineError(`style must be one of: default, ${Object.keys(SUMMARY_STYLES).join(', ')}`, 400, 'invalid_style');
+  }
+
+  return style;
+}
+
+// Manifest stage of a summary: 'summary', or summary_<style> for a styled one
+export function getSummaryStage(style) {
+  return style ? `summary_${style}` : 'summary';
+}
+
+// Transcribe a stored recording and optionally summarize it
+// A transcript BART can't summarize (see SUMMARY_LANGUAGES) is kept, with the summary skipped
+// Unchanged artifacts are reused unless `force` is set
+export async function runPipeline(env, { audioKey, summarize, requestId, options, userId = null, force = false }) {
+  const startTime = Date.now();
+
+  try {
+    const transcription = await transcribeStoredAudio(env, { audioKey, requestId, options, userId, force });
+
+    let summary = null;
+    let summarySkipped = null;
+    if (summarize) {
+      try {
+        summary = await summarizeStoredTranscription(env, {
+          transcriptionKey: transcription.transcriptionKey,
+          audioKey,
+          requestId,
+          force
+        });
+      } catch (error) {
+        if (!SUMMARY_SKIP_CODES.includes(error.code)) {
+          throw error;
+        }
+        summarySkipped = error.code;
+      }
+    }
+
+    console.log({
+      event: 'pipeline_completed',
+      request_id: requestId,
+      audio_key: audioKey,
+      summarized: summary !== null,
+      summary_skipped: summarySkipped,
+      transcription_cached: transcription.cached === true,
+      summary_cached: summary !== null && summary.cached === true,
+      total_processing_time_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+
+    return { transcription, summary, summarySkipped };
+
+  } catch (error) {
+    console.log({
+      event: 'pipeline_failed',
+      request_id: requestId,
+      audio_key: audioKey,
+      error_type: error.name,
+      error_message: error.message,
+      processing_time_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+// Read a recording from R2 and transcribe it
+// WAV and WebM are transcribed window by window, so their length isn't limited by Whisper
+// A transcription of the same audio with the same settings is reused unless `force` is set;
+// with `userId`, that includes one made for an identical upload under another key
+// Jobs pass `recordFailure: false` and record a failed attempt themselves (retrying or failed)
+export async function transcribeStoredAudio(env, { audioKey, requestId, options = {}, userId = null, force = false, recordFailure = true }) {
+  const object = await env.GIST_RECORDINGS.head(audioKey);
+
+  if (!object) {
+    const error = new PipelineError('Audio not found', 404, 'audio_not_found');
+    if (recordFailure) {
+      await recordStage(env, audioKey, 'transcription', { status: 'failed', requestId, error: error.message });
+    }
+    throw error;
+  }
+
+  const source = await describeTranscriptionSource(env, {
+    audioSha256: await hashStoredObject(env, audioKey),
+    options,
+    userId
+  });
+
+  if (!force) {
+    const cached = await findCachedTranscription(env, { audioKey, source, requestId });
+    if (cached) {
+      return cached;
+    }
+  }
+
+  const format = object.customMetadata?.format || await sniffStoredFormat(env, audioKey);
+
+  if (SEGMENTABLE_FORMATS.includes(format)) {
+    try {
+      return await transcribeSegmentedAudio(env, { audioKey, object, format, requestId, options, source, recordFailure });
+    } catch (error) {
+      // A container we can't cut may still fit in a single request
+      if (!(error instanceof SegmentationError) || object.size > MAX_TRANSCRIPTION_BYTES) {
+        throw error;
+      }
+      console.log({
+        event: 'audio_segmentation_skipped',
+        request_id: requestId,
+        audio_key: audioKey,
+        format: format,
+        reason: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  const r2FetchStart = Date.now();
+  const audioObj = await env.GIST_RECORDINGS.get(audioKey);
+  const audioBuffer = await audioObj.arrayBuffer();
+
+  console.log({
+    event: 'audio_fetched_r2',
+    request_id: requestId,
+    audio_key: audioKey,
+    r2_fetch_time_ms: Date.now() - r2FetchStart,
+    file_size_bytes: audioBuffer.byteLength,
+    timestamp: new Date().toISOString()
+  });
+
+  return await transcribeAudio(env, {
+    audioBuffer: audioBuffer,
+    audioKey: audioKey,
+    contentType: audioObj.httpMetadata?.contentType,
+    requestId: requestId,
+    options: options,
+    source: source,
+    recordFailure: recordFailure
+  });
+}
+
+// Recordings uploaded before format detection have no `format` metadata
+async function sniffStoredFormat(env, audioKey) {
+  const headObj = await env.GIST_RECORDINGS.get(audioKey, { range: { offset: 0, length: SNIFF_BYTES } });
+  return headObj ? sniffAudioFormat(new Uint8Array(await headObj.arrayBuffer())) : null;
+}
+
+// Transcribe a long recording as overlapping windows and stitch the results
+async function transcribeSegmentedAudio(env, { audioKey, object, format, requestId, options, source, recordFailure = true }) {
+  await recordStage(env, audioKey, 'transcription', {
+    status: 'running',
+    requestId: requestId,
+    model: getModelConfig(env, 'transcription').primary
+  });
+
+  try {
+    const segmentOptions = getSegmentOptions(env);
+    const pieces = [];
+    let conversionTime = 0;
+    let aiTime = 0;
+
+    console.log({
+      event: 'audio_segmentation_started',
+      request_id: requestId,
+      audio_key: audioKey,
+      format: format,
+      file_size_bytes: object.size,
+      window_seconds: segmentOptions.windowSeconds,
+      overlap_seconds: segmentOptions.overlapSeconds,
+      timestamp: new Date().toISOString()
+    });
+
+    for await (const audioWindow of segmentStoredAudio(env, audioKey, object, format, segmentOptions)) {
+      const response = await runWhisper(env, audioWindow.bytes, requestId, audioWindow.index, options);
+      conversionTime += response.conversionTimeMs;
+      aiTime += response.aiProcessingTimeMs;
+      pieces.push({
+        start: audioWindow.start,
+        end: audioWindow.end,
+        text: response.text,
+        segments: response.segments,
+        language: response.language,
+        languageProbability: response.languageProbability,
+        task: response.task,
+        model: response.model,
+        fallbackUsed: response.fallbackUsed
+      });
+    }
+
+    const stitched = applyVocabulary(options, stitchTranscripts(pieces));
+    const noSpeech = detectNoSpeech({
+      text: pieces.map(piece => piece.text).join(' '),
+      segments: pieces.flatMap(piece => piece.segments)
+    });
+    const lastPiece = pieces[pieces.length - 1];
+
+    console.log({
+      event: 'audio_segments_stitched',
+      request_id: requestId,
+      audio_key: audioKey,
+      window_count: pieces.length,
+      timed_segment_count: stitched.segments.length,
+      transcription_length_chars: stitched.text.length,
+      timestamp: new Date().toISOString()
+    });
+
+    const transcription = await storeTranscription(env, {
+      audioKey: audioKey,
+      text: stitched.text,
+      aiTime: aiTime,
+      requestId: requestId,
+      noSpeech: noSpeech,
+      model: mostUsedModel(pieces),
+      source: source,
+      details: {
+        ...describeLanguage(options, pieces),
+        ...describeVocabulary(options, stitched),
+        segmented: true,
+        duration_seconds: lastPiece ? (lastPiece.end ?? lastPiece.start) : 0,
+        segments: stitched.segments,
+        fallback_used: pieces.some(piece => piece.fallbackUsed),
+        windows: pieces.map((piece, index) => ({ index, start: piece.start, end: piece.end, model: piece.model }))
+      }
+    });
+
+    return {
+      ...transcription,
+      audioSizeMB: parseFloat((object.size / (1024 * 1024)).toFixed(2)),
+      conversionTimeMs: conversionTime,
+      aiProcessingTimeMs: aiTime,
+      windowCount: pieces.length
+    };
+
+  } catch (error) {
+    if (recordFailure) {
+      await recordStage(env, audioKey, 'transcription', { status: 'failed', requestId, error: error.message });
+    }
+    throw error;
+  }
+}
+
+// Transcribe audio bytes; stores the transcription beside the recording when audioKey is set
+// `source` (see describeTranscriptionSource) is recorded so the result can be reused later
+export async function transcribeAudio(env, { audioBuffer, audioKey, contentType, requestId, options = {}, source = null, recordFailure = true }) {
+  if (audioKey) {
+    await recordStage(env, audioKey, 'transcription', {
+      status: 'running',
+      requestId: requestId,
+      model: getModelConfig(env, 'transcription').primary
+    });
+  }
+
+  try {
+    const audioSizeMB = (audioBuffer.byteLength / (1024 * 1024)).toFixed(2);
+
+    // Only real audio containers are sent to Whisper
+    if (!sniffAudioFormat(new Uint8Array(audioBuffer, 0, Math.min(SNIFF_BYTES, audioBuffer.byteLength)))) {
+      console.log({
+        event: 'transcription_validation_failed',
+        request_id: requestId,
+        reason: 'unrecognized_audio_format',
+        declared_type: contentType || 'unknown',
+        timestamp: new Date().toISOString()
+      });
+      throw new PipelineError('Upload is not a supported audio file (WAV, WebM, MP3, Ogg or M4A)', 415, 'unrecognized_format', {
+        declaredContentType: contentType || null,
+        size: audioBuffer.byteLength
+      });
+    }
+
+    // Log audio file details
+    console.log({
+      event: 'audio_file_processed',
+      request_id: requestId,
+      audio_key: audioKey,
+      file_size_bytes: audioBuffer.byteLength,
+      file_size_mb: parseFloat(audioSizeMB),
+      file_type: contentType || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+
+    // Check if file is too large for processing (25MB limit)
+    if (audioBuffer.byteLength > MAX_TRANSCRIPTION_BYTES) {
+      console.log({
+        event: 'transcription_validation_failed',
+        request_id: requestId,
+        reason: 'file_too_large',
+        file_size_mb: parseFloat(audioSizeMB),
+        max_size_mb: 25,
+        timestamp: new Date().toISOString()
+      });
+      throw new Error('Audio file too large for transcription (max 25MB)');
+    }
+
+    const response = await runWhisper(env, audioBuffer, requestId, null, options);
+    const languageDetails = describeLanguage(options, [response]);
+    const noSpeech = detectNoSpeech(response);
+    const corrected = applyVocabulary(options, {
+      text: response.text,
+      segments: response.segments.map(segment => shiftSegment(segment, 0))
+    });
+
+    const transcription = audioKey
+      ? await storeTranscription(env, {
+        audioKey: audioKey,
+        text: corrected.text,
+        aiTime: response.aiProcessingTimeMs,
+        requestId: requestId,
+        noSpeech: noSpeech,
+        model: response.model,
+        source: source,
+        details: {
+          ...languageDetails,
+          fallback_used: response.fallbackUsed,
+          ...describeVocabulary(options, corrected),
+          segments: corrected.segments
+        }
+      })
+      : {
+        text: noSpeech ? '' : corrected.text,
+        wordCount: noSpeech ? 0 : countWords(corrected.text),
+        transcriptionKey: null,
+        model: response.model,
+        language: languageDetails.language,
+        textLanguage: languageDetails.text_language,
+        correctionsApplied: corrected.applied,
+        noSpeech: noSpeech ? noSpeech.reason : null
+      };
+
+    return {
+      ...transcription,
+      audioSizeMB: parseFloat(audioSizeMB),
+      conversionTimeMs: response.conversionTimeMs,
+      aiProcessingTimeMs: response.aiProcessingTimeMs
+    };
+
+  } catch (error) {
+    if (audioKey && recordFailure) {
+      await recordStage(env, audioKey, 'transcription', { status: 'failed', requestId, error: error.message });
+    }
+    throw error;
+  }
+}
+
+// Send one audio file (or window) to Whisper through the AI Gateway
+// `options.language` skips Whisper's language detection; `options.task` may ask for an English translation
+// `options.vocabulary` terms are passed as the initial prompt
+async function runWhisper(env, audio, requestId, windowIndex, options = {}) {
+  // Convert entire audio buffer to base64
+  const conversionStart = Date.now();
+  const base64Audio = arrayBufferToBase64(audio);
+  const conversionTime = Date.now() - conversionStart;
+
+  console.log({
+    event: 'audio_conversion_completed',
+    request_id: requestId,
+    window_index: windowIndex,
+    conversion_time_ms: conversionTime,
+    base64_size_chars: base64Audio.length,
+    timestamp: new Date().toISOString()
+  });
+
+  // Log AI model invocation
+  const aiStart = Date.now();
+  const modelConfig = getModelConfig(env, 'transcription');
+  console.log({
+    event: 'ai_transcription_started',
+    request_id: requestId,
+    window_index: windowIndex,
+    model: modelConfig.primary,
+    fallback_model: modelConfig.fallback,
+    gateway_id: modelConfig.gatewayId,
+    language: options.language || 'auto',
+    task: options.task || 'transcribe',
+    vocabulary_terms: options.vocabulary ? options.vocabulary.terms.length : 0,
+    cache_enabled: true,
+    timestamp: new Date().toISOString()
+  });
+
+  const { response, model, fallbackUsed } = await runModel(env, 'transcription', {
+    requestId: requestId,
+    windowIndex: windowIndex,
+    buildInput: model => buildWhisperInput(model, audio, base64Audio, options)
+  });
+
+  const aiTime = Date.now() - aiStart;
+  const transcriptionText = response.text || '';
+
+  console.log({
+    event: 'ai_transcription_completed',
+    request_id: requestId,
+    window_index: windowIndex,
+    model: model,
+    fallback_used: fallbackUsed,
+    processing_time_ms: aiTime,
+    transcription_length_chars: transcriptionText.length,
+    transcription_word_count: countWords(transcriptionText),
+    confidence_score: response.confidence || null,
+    detected_language: response.transcription_info?.language || null,
+    timestamp: new Date().toISOString()
+  });
+
+  return {
+    text: transcriptionText,
+    segments: getWhisperSegments(response),
+    language: response.transcription_info?.language || null,
+    languageProbability: response.transcription_info?.language_probability ?? null,
+    // A fallback model without decoding options always transcribes
+    task: supportsDecodingOptions(model) ? (options.task || 'transcribe') : 'transcribe',
+    model: model,
+    fallbackUsed: fallbackUsed,
+    conversionTimeMs: conversionTime,
+    aiProcessingTimeMs: aiTime
+  };
+}
+
+// whisper-large-v3-turbo takes base64 audio plus decoding options (language, task, prompt);
+// the original Whisper models take the raw bytes and nothing else
+function supportsDecodingOptions(model) {
+  return model.includes('whisper-large-v3');
+}
+
+function buildWhisperInput(model, audio, base64Audio, options) {
+  if (!supportsDecodingOptions(model)) {
+    return { audio: [...new Uint8Array(audio)] };
+  }
+
+  const input = {
+    audio: base64Audio,
+    task: options.task || 'transcribe'
+  };
+  if (options.language) {
+    input.language = options.language;
+  }
+  const initialPrompt = buildInitialPrompt(options.vocabulary);
+  if (initialPrompt) {
+    input.initial_prompt = initialPrompt;
+  }
+  return input;
+}
+
+// Timed segments of a Whisper response
+// Models without segments but with word timings get one segment spanning all the words
+function getWhisperSegments(response) {
+  const toWords = words => words.map(word => ({ word: word.word, start: word.start, end: word.end }));
+
+  if (Array.isArray(response.segments)) {
+    return response.segments.map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: segment.text || '',
+      noSpeechProb: segment.no_speech_prob,
+      words: Array.isArray(segment.words) ? toWords(segment.words) : undefined
+    }));
+  }
+
+  if (Array.isArray(response.words) && response.words.length) {
+    return [{
+      start: response.words[0].start,
+      end: response.words[response.words.length - 1].end,
+      text: response.text || '',
+      words: toWords(response.words)
+    }];
+  }
+
+  return [];
+}
+
+// Apply the user's corrections to the text and each timed segment
+// Word timings of a corrected segment no longer match its text, so they are dropped
+function applyVocabulary(options, { text, segments }) {
+  const corrections = options.vocabulary ? options.vocabulary.corrections : [];
+  if (!corrections.length) {
+    return { text, segments, applied: [] };
+  }
+
+  const result = applyCorrections(text, corrections);
+  const correctedSegments = segments.map(segment => {
+    const corrected = applyCorrections(segment.text, corrections);
+    if (!corrected.applied.length) {
+      return segment;
+    }
+    const { words, ...rest } = segment;
+    return { ...rest, text: corrected.text };
+  });
+
+  return { text: result.text, segments: correctedSegments, applied: result.applied };
+}
+
+// Vocabulary fields of the transcription JSON
+function describeVocabulary(options, corrected) {
+  return {
+    initial_prompt: buildInitialPrompt(options.vocabulary),
+    corrections_applied: corrected.applied
+  };
+}
+
+// Model that transcribed most of a segmented recording's windows
+function mostUsedModel(pieces) {
+  const counts = {};
+  for (const piece of pieces) {
+    counts[piece.model] = (counts[piece.model] || 0) + 1;
+  }
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+}
+
+// Language fields of the transcription JSON
+// `language` is what was spoken; `text_language` is what the text is in (English after translation)
+// Windows of a long recording can disagree, so the language detected most often wins
+function describeLanguage(options, responses) {
+  const counts = {};
+  for (const response of responses) {
+    if (response.language) {
+      counts[response.language] = (counts[response.language] || 0) + 1;
+    }
+  }
+  const detected = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+  const probabilities = responses
+    .filter(response => response.language === detected && response.languageProbability !== null)
+    .map(response => response.languageProbability);
+
+  const language = options.language || detected;
+  const translated = responses.length > 0 && responses.every(response => response.task === 'translate');
+  const task = translated ? 'translate' : 'transcribe';
+
+  return {
+    language: language,
+    language_source: options.language ? 'requested' : (detected ? 'detected' : null),
+    language_probability: probabilities.length
+      ? parseFloat((probabilities.reduce((sum, value) => sum + value, 0) / probabilities.length).toFixed(3))
+      : null,
+    task: task,
+    text_language: task === 'translate' ? 'en' : language
+  };
+}
+
+// Store a transcription beside its recording and mark the stage complete
+// When `noSpeech` is set (see speech-detection.js) Whisper's text is kept only as raw_text
+// `model` is the model that actually produced the text (the fallback if the primary was unavailable)
+async function storeTranscription(env, { audioKey, text, aiTime, requestId, noSpeech = null, model, source = null, details }) {
+  const r2Start = Date.now();
+  const transcriptionKey = getTranscriptionKey(audioKey);
+  const storedText = noSpeech ? '' : text;
+  const wordCount = countWords(storedText);
+  const transcriptionData = {
+    text: storedText,
+    status: noSpeech ? 'no_speech' : 'transcribed',
+    timestamp: new Date().toISOString(),
+    audioKey: audioKey,
+    model: model,
+    processing_time_ms: aiTime,
+    word_count: wordCount,
+    audio_sha256: source ? source.audioSha256 : null,
+    settings_sha256: source ? source.settingsSha256 : null,
+    ...details
+  };
+
+  if (noSpeech) {
+    transcriptionData.no_speech = noSpeech;
+    transcriptionData.raw_text = text;
+    transcriptionData.segments = [];
+
+    console.log({
+      event: 'no_speech_detected',
+      request_id: requestId,
+      audio_key: audioKey,
+      ...noSpeech,
+      raw_text_length_chars: text.length,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  await env.GIST_RECORDINGS.put(transcriptionKey, JSON.stringify(transcriptionData), {
+    httpMetadata: {
+      contentType: 'application/json',
+    },
+  });
+
+  const r2Time = Date.now() - r2Start;
+  console.log({
+    event: 'transcription_stored_r2',
+    request_id: requestId,
+    transcription_key: transcriptionKey,
+    storage_time_ms: r2Time,
+    data_size_bytes: JSON.stringify(transcriptionData).length,
+    timestamp: new Date().toISOString()
+  });
+
+  if (source && source.userId && source.audioSha256) {
+    await recordAudioHash(env, source.userId, source.audioSha256, { audioKey, transcriptionKey });
+  }
+
+  await recordTranscriptionStage(env, { audioKey, transcriptionKey, transcriptionData, requestId, cached: false });
+
+  return transcriptionResult(transcriptionKey, transcriptionData);
+}
+
+async function recordTranscriptionStage(env, { audioKey, transcriptionKey, transcriptionData, requestId, cached, duplicateOf = null }) {
+  await recordStage(env, audioKey, 'transcription', {
+    status: transcriptionData.status === 'no_speech' ? 'no_speech' : 'completed',
+    requestId: requestId,
+    model: transcriptionData.model,
+    fallbackUsed: transcriptionData.fallback_used === true,
+    reason: transcriptionData.no_speech ? transcriptionData.no_speech.reason : null,
+    wordCount: transcriptionData.word_count,
+    language: transcriptionData.language || null,
+    task: transcriptionData.task || 'transcribe',
+    cached: cached,
+    duplicateOf: duplicateOf,
+    artifacts: { audio: audioKey, transcription: transcriptionKey }
+  });
+}
+
+// What the transcription steps return for a stored transcription JSON
+function transcriptionResult(transcriptionKey, transcriptionData) {
+  return {
+    text: transcriptionData.text,
+    wordCount: transcriptionData.word_count,
+    transcriptionKey: transcriptionKey,
+    noSpeech: transcriptionData.no_speech ? transcriptionData.no_speech.reason : null,
+    model: transcriptionData.model,
+    language: transcriptionData.language || null,
+    textLanguage: transcriptionData.text_language || null,
+    correctionsApplied: transcriptionData.corrections_applied || []
+  };
+}
+
+// Audio hash plus a hash of everything else that shapes the transcript:
+// the primary model, language, task and the user's vocabulary
+export async function describeTranscriptionSource(env, { audioSha256, options = {}, userId = null }) {
+  const model = getModelConfig(env, 'transcription').primary;
+  const settingsSha256 = await sha256Hex(JSON.stringify({
+    version: SETTINGS_HASH_VERSION,
+    model: model,
+    language: options.language || null,
+    task: options.task || 'transcribe',
+    initialPrompt: buildInitialPrompt(options.vocabulary),
+    corrections: options.vocabulary ? options.vocabulary.corrections : []
+  }));
+
+  return { audioSha256, settingsSha256, model, userId };
+}
+
+// Transcriptions made by a fallback model are redone once the primary is back
+function isReusableTranscription(transcriptionData, source) {
+  return Boolean(transcriptionData) &&
+    Boolean(source.audioSha256) &&
+    transcriptionData.audio_sha256 === source.audioSha256 &&
+    transcriptionData.settings_sha256 === source.settingsSha256 &&
+    transcriptionData.fallback_used !== true;
+}
+
+// Reuse this recording's transcription, or copy one made for an identical upload
+// Returns null when the audio has to be transcribed
+export async function findCachedTranscription(env, { audioKey, source, requestId }) {
+  const transcriptionKey = getTranscriptionKey(audioKey);
+  let transcriptionData = await readJsonObject(env, transcriptionKey);
+  let duplicateOf = null;
+
+  if (!isReusableTranscription(transcriptionData, source)) {
+    transcriptionData = null;
+
+    const indexed = source.userId && source.audioSha256
+      ? await findAudioHash(env, source.userId, source.audioSha256)
+      : null;
+
+    if (indexed && indexed.audioKey !== audioKey) {
+      const original = await readJsonObject(env, indexed.transcriptionKey);
+      if (isReusableTranscription(original, source)) {
+        duplicateOf = indexed.audioKey;
+        transcriptionData = {
+          ...original,
+          audioKey: audioKey,
+          duplicate_of: indexed.audioKey,
+          timestamp: new Date().toISOString()
+        };
+        await env.GIST_RECORDINGS.put(transcriptionKey, JSON.stringify(transcriptionData), {
+          httpMetadata: {
+            contentType: 'application/json',
+          },
+        });
+      }
+    }
+  }
+
+  if (!transcriptionData) {
+    return null;
+  }
+
+  console.log({
+    event: 'transcription_cache_hit',
+    request_id: requestId,
+    audio_key: audioKey,
+    transcription_key: transcriptionKey,
+    duplicate_of: duplicateOf,
+    audio_sha256: source.audioSha256,
+    timestamp: new Date().toISOString()
+  });
+
+  await recordTranscriptionStage(env, { audioKey, transcriptionKey, transcriptionData, requestId, cached: true, duplicateOf });
+
+  return { ...transcriptionResult(transcriptionKey, transcriptionData), cached: true, duplicateOf: duplicateOf };
+}
+
+async function readJsonObject(env, key) {
+  const obj = await env.GIST_RECORDINGS.get(key);
+  return obj ? await obj.json() : null;
+}
+
+function countWords(text) {
+  return text.trim() ? text.trim().split(/\s+/).length : 0;
+}
+
+// Summarize a stored transcription and store the summary beside it
+// With a `style` the summary comes from that style's prompt template and goes to -summary-<style>.json
+// The stored summary is returned instead when the transcript, model and prompt are unchanged, unless `force` is set
+// Like transcribeStoredAudio, `recordFailure: false` leaves a failed attempt for the job to record
+export async function summarizeStoredTranscription(env, { transcriptionKey, audioKey, requestId, force = false, style = null, recordFailure = true }) {
+  const stage = getSummaryStage(style);
+
+  // Get transcription from R2
+  const r2FetchStart = Date.now();
+  const transcriptionObj = await env.GIST_RECORDINGS.get(transcriptionKey);
+  const r2FetchTime = Date.now() - r2FetchStart;
+
+  if (!transcriptionObj) {
+    console.log({
+      event: 'transcription_not_found',
+      request_id: requestId,
+      transcription_key: transcriptionKey,
+      r2_fetch_time_ms: r2FetchTime,
+      timestamp: new Date().toISOString()
+    });
+    throw new PipelineError('Transcription not found', 404, 'transcription_not_found');
+  }
+
+  const transcriptionData = await transcriptionObj.json();
+  const transcriptionText = transcriptionData.text || '';
+  const transcriptionWordCount = transcriptionText.trim().split(/\s+/).length;
+
+  console.log({
+    event: 'transcription_retrieved',
+    request_id: requestId,
+    transcription_key: transcriptionKey,
+    r2_fetch_time_ms: r2FetchTime,
+    transcription_length_chars: transcriptionText.length,
+    transcription_word_count: transcriptionWordCount,
+    original_model: transcriptionData.model || 'unknown',
+    timestamp: new Date().toISOString()
+  });
+
+  // Silent or hallucinated recordings (and older empty transcripts) have nothing to summarize
+  if (transcriptionData.status === 'no_speech' || !transcriptionText.trim()) {
+    const reason = transcriptionData.no_speech ? transcriptionData.no_speech.reason : 'empty_text';
+    console.log({
+      event: 'summarization_validation_failed',
+      request_id: requestId,
+      reason: 'no_speech',
+      no_speech_reason: reason,
+      transcription_key: transcriptionKey,
+      timestamp: new Date().toISOString()
+    });
+    await recordStage(env, transcriptionKey, stage, {
+      status: 'no_speech',
+      requestId: requestId,
+      reason: reason
+    });
+    throw new PipelineError('Nothing was captured in this recording, so there is nothing to summarize', 422, 'no_speech', { reason: reason });
+  }
+
+  // Transcriptions stored before language detection are English-only
+  const textLanguage = transcriptionData.text_language || 'en';
+  if (!SUMMARY_LANGUAGES.includes(textLanguage)) {
+    const message = `Summaries are only available for English text (transcript is in "${textLanguage}"); transcribe with task "translate" to summarize it`;
+    console.log({
+      event: 'summarization_validation_failed',
+      request_id: requestId,
+      reason: 'unsupported_language',
+      transcription_key: transcriptionKey,
+      text_language: textLanguage,
+      timestamp: new Date().toISOString()
+    });
+    await recordStage(env, transcriptionKey, stage, {
+      status: 'skipped',
+      requestId: requestId,
+      reason: 'unsupported_language',
+      language: textLanguage
+    });
+    throw new PipelineError(message, 422, 'unsupported_language', { language: textLanguage });
+  }
+
+  const modelConfig = getModelConfig(env, style ? 'styled_summary' : 'summary');
+  const chunkWords = getChunkWords(env, { styled: style !== null });
+  const promptVersion = style ? getPromptVersion(style) : null;
+  const summaryKey = style
+    ? getStyledSummaryKey(transcriptionKey, style)
+    : getSummaryKey(transcriptionKey);
+  const transcriptSha256 = await sha256Hex(transcriptionText);
+
+  if (!force) {
+    const existing = await readJsonObject(env, summaryKey);
+    if (existing &&
+        existing.transcript_sha256 === transcriptSha256 &&
+        existing.model === modelConfig.primary &&
+        (existing.prompt_version || null) === promptVersion &&
+        existing.fallback_used !== true) {
+      console.log({
+        event: 'summary_cache_hit',
+        request_id: requestId,
+        summary_key: summaryKey,
+        summary_style: style,
+        transcript_sha256: transcriptSha256,
+        timestamp: new Date().toISOString()
+      });
+
+      await recordStage(env, transcriptionKey, stage, {
+        status: 'completed',
+        requestId: requestId,
+        model: existing.model,
+        fallbackUsed: false,
+        wordCount: existing.word_count,
+        cached: true,
+        reason: null,
+        artifacts: { transcription: transcriptionKey, [stage]: summaryKey }
+      });
+
+      return {
+        summary: existing.summary,
+        summaryKey: summaryKey,
+        transcriptionKey: transcriptionKey,
+        inputWordCount: existing.original_transcription_word_count,
+        summaryWordCount: existing.word_count,
+        compressionRatioPercent: existing.compression_ratio_percent,
+        sectionCount: (existing.sections || []).length,
+        r2FetchTimeMs: r2FetchTime,
+        aiProcessingTimeMs: 0,
+        r2StoreTimeMs: 0,
+        model: existing.model,
+        style: style,
+        cached: true
+      };
+    }
+  }
+
+  await recordStage(env, transcriptionKey, stage, {
+    status: 'running',
+    requestId: requestId,
+    model: modelConfig.primary,
+    reason: null
+  });
+
+  try {
+    // Log AI model invocation
+    const aiStart = Date.now();
+    console.log({
+      event: 'ai_summarization_started',
+      request_id: requestId,
+      model: modelConfig.primary,
+      fallback_model: modelConfig.fallback,
+      summary_style: style,
+      prompt_version: promptVersion,
+      gateway_id: modelConfig.gatewayId,
+      input_text_length: transcriptionText.length,
+      input_word_count: transcriptionWordCount,
+      input_language: textLanguage,
+      max_summary_length: 1024,
+      chunk_words: chunkWords,
+      cache_enabled: true,
+      timestamp: new Date().toISOString()
+    });
+
+    // Generate summary (BART, or the instruction-tuned model for a style) through AI Gateway
+    const { summary: summaryText, model, fallbackUsed, sections, reducePasses } = await summarizeText(env, transcriptionText, {
+      requestId: requestId,
+      chunkWords: chunkWords,
+      style: style
+    });
+
+    const aiTime = Date.now() - aiStart;
+    const summaryWordCount = countWords(summaryText);
+    const compressionRatio = ((transcriptionText.length - summaryText.length) / transcriptionText.length * 100).toFixed(2);
+
+    console.log({
+      event: 'ai_summarization_completed',
+      request_id: requestId,
+      model: model,
+      fallback_used: fallbackUsed,
+      processing_time_ms: aiTime,
+      input_length_chars: transcriptionText.length,
+      input_word_count: transcriptionWordCount,
+      summary_length_chars: summaryText.length,
+      summary_word_count: summaryWordCount,
+      compression_ratio_percent: parseFloat(compressionRatio),
+      section_count: sections.length,
+      reduce_passes: reducePasses,
+      timestamp: new Date().toISOString()
+    });
+
+    // Store summary in R2
+    const r2StoreStart = Date.now();
+    const summaryData = {
+      summary: summaryText,
+      transcriptionKey: transcriptionKey,
+      audioKey: audioKey || transcriptionData.audioKey,
+      timestamp: new Date().toISOString(),
+      model: model,
+      fallback_used: fallbackUsed,
+      style: style || 'default',
+      prompt_version: promptVersion,
+      language: textLanguage,
+      processing_time_ms: aiTime,
+      word_count: summaryWordCount,
+      compression_ratio_percent: parseFloat(compressionRatio),
+      original_transcription_word_count: transcriptionWordCount,
+      transcript_sha256: transcriptSha256,
+      strategy: sections.length ? 'map_reduce' : 'single',
+      chunk_words: chunkWords,
+      reduce_passes: reducePasses,
+      sections: sections
+    };
+
+    await env.GIST_RECORDINGS.put(summaryKey, JSON.stringify(summaryData), {
+      httpMetadata: {
+        contentType: 'application/json',
+      },
+    });
+
+    const r2StoreTime = Date.now() - r2StoreStart;
+    console.log({
+      event: 'summary_stored_r2',
+      request_id: requestId,
+      summary_key: summaryKey,
+      storage_time_ms: r2StoreTime,
+      data_size_bytes: JSON.stringify(summaryData).length,
+      timestamp: new Date().toISOString()
+    });
+
+    await recordStage(env, transcriptionKey, stage, {
+      status: 'completed',
+      requestId: requestId,
+      model: model,
+      fallbackUsed: fallbackUsed,
+      wordCount: summaryWordCount,
+      cached: false,
+      artifacts: { transcription: transcriptionKey, [stage]: summaryKey }
+    });
+
+    return {
+      summary: summaryText,
+      summaryKey: summaryKey,
+      transcriptionKey: transcriptionKey,
+      inputWordCount: transcriptionWordCount,
+      summaryWordCount: summaryWordCount,
+      compressionRatioPercent: parseFloat(compressionRatio),
+      sectionCount: sections.length,
+      r2FetchTimeMs: r2FetchTime,
+      aiProcessingTimeMs: aiTime,
+      r2StoreTimeMs: r2StoreTime,
+      model: model,
+      style: style,
+      cached: false
+    };
+
+  } catch (error) {
+    if (recordFailure) {
+      await recordStage(env, transcriptionKey, stage, { status: 'failed', requestId, error: error.message });
+    }
+    throw error;
+  }
+}
+
+// Summarize `text` in one call when it fits a chunk, otherwise map-reduce over sentence chunks:
+// each chunk becomes a section summary, and the sections are summarized into the final one
+// With a `style`, sections are notes from SECTION_NOTES_TEMPLATE and only the final call uses the style
+// Resolves to { summary, model, fallbackUsed, sections, reducePasses }
+async function summarizeText(env, text, { requestId, chunkWords, style = null }) {
+  const step = (input, { kind, final, windowIndex = null }) => style
+    ? runStyledSummaryModel(env, input, {
+      requestId,
+      kind,
+      windowIndex,
+      template: final ? SUMMARY_STYLES[style] : SECTION_NOTES_TEMPLATE
+    })
+    : runSummaryModel(env, input, { requestId, kind, windowIndex });
+
+  const chunks = chunkTranscript(text, chunkWords);
+
+  if (chunks.length <= 1) {
+    const result = await step(text, { kind: 'transcript', final: true });
+    return { summary: result.summary, model: result.model, fallbackUsed: result.fallbackUsed, sections: [], reducePasses: 0 };
+  }
+
+  const calls = [];
+  const sections = [];
+  for (const [index, chunk] of chunks.entries()) {
+    const result = await step(chunk, { kind: 'transcript', final: false, windowIndex: index });
+    calls.push(result);
+    sections.push({
+      index: index,
+      summary: result.summary,
+      word_count: countWords(result.summary),
+      input_word_count: countWords(chunk),
+      model: result.model,
+      fallback_used: result.fallbackUsed
+    });
+
+    console.log({
+      event: 'ai_summary_section_completed',
+      request_id: requestId,
+      window_index: index,
+      section_count: chunks.length,
+      model: result.model,
+      input_word_count: countWords(chunk),
+      summary_word_count: countWords(result.summary),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Section summaries that still don't fit one call are condensed again first
+  let partials = sections.map(section => section.summary);
+  let reducePasses = 1;
+  while (countWords(partials.join(' ')) > chunkWords && reducePasses < MAX_REDUCE_PASSES) {
+    const next = [];
+    for (const group of chunkTranscript(partials.join(' '), chunkWords)) {
+      const result = await step(group, { kind: 'sections', final: false });
+      calls.push(result);
+      next.push(result.summary);
+    }
+    partials = next;
+    reducePasses++;
+  }
+
+  const final = await step(partials.join('\n\n'), { kind: 'sections', final: true });
+  calls.push(final);
+
+  return {
+    summary: final.summary,
+    model: mostUsedModel(calls),
+    fallbackUsed: calls.some(call => call.fallbackUsed),
+    sections: sections,
+    reducePasses: reducePasses
+  };
+}
+
+async function runSummaryModel(env, text, { requestId, kind, windowIndex = null }) {
+  const { response, model, fallbackUsed } = await runModel(env, 'summary', {
+    requestId: requestId,
+    windowIndex: windowIndex,
+    buildInput: model => buildSummaryInput(model, text, kind)
+  });
+
+  return { summary: (response.summary || response.response || '').trim(), model, fallbackUsed };
+}
+
+// Styled summaries: the template's prompt on the instruction-tuned model
+async function runStyledSummaryModel(env, text, { requestId, kind, template, windowIndex = null }) {
+  const { response, model, fallbackUsed } = await runModel(env, 'styled_summary', {
+    requestId: requestId,
+    windowIndex: windowIndex,
+    buildInput: () => buildStyleInput(template, text, kind)
+  });
+
+  return { summary: (response.response || '').trim(), model, fallbackUsed };
+}
+
+// BART-style models take the text directly; any other summary model is prompted as a chat model
+// `kind` is 'transcript' for lecture text and 'sections' for section summaries being combined
+function buildSummaryInput(model, text, kind) {
+  if (model.includes('bart')) {
+    return { input_text: text, max_length: 1024 };
+  }
+
+  const instruction = kind === 'sections'
+    ? 'These are summaries of consecutive sections of one lecture. Combine them into a single summary of a few short paragraphs. Reply with the summary only.'
+    : 'Summarize this lecture transcript in a few short paragraphs. Reply with the summary only.';
+
+  return {
+    messages: [
+      { role: 'system', content: instruction },
+      { role: 'user', content: text }
+    ],
+    max_tokens: 1024
+  };
+}
+
+// Utility function: Convert ArrayBuffer -> Base64 safely
+function arrayBufferToBase64(arrayBuffer) {
+  let binary = '';
+  const bytes = new Uint8Array(arrayBuffer);
+  const chunkSize = 0x8000; // 32KB per slice is safe
+
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    const slice = bytes.subarray(i, i + chunkSize);
+    binary += String.fromCharCode.apply(null, slice);
+  }
+
+  return btoa(binary);
+}
@@ -1,8 +1,73 @@
 // Cloudflare Worker for handling direct R2 uploads and AI processing
 // Showcase: R2 Storage, AI Gateway, Whisper Transcription, BART Summarization
 
+import { verifyGoogleRequest } from './google-auth.js';
+import { isOwnedKey, forbiddenKeyResponse } from './ownership.js';
+import {
+  handleMultipartCreate,
+  handleMultipartPart,
+  handleMultipartComplete,
+  handleMultipartAbort
+} from './multipart-upload.js';
+import {
+  checkUploadSize,
+  pipeBodyToR2,
+  IncompleteUploadError,
+  incompleteUploadResponse
+} from './streaming-upload.js';
+import {
+  METADATA_HEADER,
+  buildCustomMetadata,
+  parseMetadataHeader,
+  encodeMetadataHeader,
+  invalidMetadataResponse
+} from './recording-metadata.js';
+import {
+  handleListSessions,
+  handleDeleteSession,
+  handleSetSessionKeep
+} from './recordings-library.js';
+import { runRetentionSweep } from './retention.js';
+import {
+  SNIFF_BYTES,
+  validateAudio,
+  peekStream,
+  validationErrorResponse
+} from './audio-format.js';
+import { handleR2GetObject } from './object-delivery.js';
+import {
+  handleCreateShare,
+  handleListShares,
+  handleRevokeShare,
+  handlePublicShare
+} from './share-links.js';
+import { recordStage, handleSessionStatus } from './session-manifest.js';
+import { handleSessionStream } from './session-stream.js';
+import { isAudioKey, getTranscriptionKey } from './artifact-keys.js';
+import {
+  PipelineError,
+  parseProcessOption,
+  parseTranscriptionOptions,
+  parseSummaryStyle,
+  runPipeline,
+  transcribeAudio,
+  describeTranscriptionSource,
+  findCachedTranscription,
+  summarizeStoredTranscription
+} from './pipeline.js';
+import { enqueueJob, handleJobBatch, handleJobStatus, jobAcceptedResponse } from './job-queue.js';
+import { handleGetCaptions } from './captions.js';
+import { getVocabulary, handleGetVocabulary, handlePutVocabulary } from './vocabulary.js';
+import { sha256Hex } from './content-hash.js';
+import {
+  handleListWebhooks,
+  handleCreateWebhook,
+  handleDeleteWebhook,
+  handleListWebhookDeliveries
+} from './webhooks.js';
+
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
     const path = url.pathname;
 
@@ -12,62 +77,193 @@ export default {
         status: 200,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, DELETE, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Declared-Size, X-Recording-Metadata, Range, If-None-Match, If-Modified-Since',
           'Access-Control-Max-Age': '86400',
         },
       });
     }
 
+    // Handle public share pages (signed link, no Google sign-in)
+    if (path.startsWith('/share/') && (request.method === 'GET' || request.method === 'HEAD')) {
+      return await handlePublicShare(request, env, path);
+    }
+
+    // Handle share link management
+    if (path === '/api/shares' && request.method === 'POST') {
+      return await withUser(request, env, ctx, handleCreateShare);
+    }
+
+    if (path === '/api/shares' && request.method === 'GET') {
+      return await withUser(request, env, ctx, handleListShares);
+    }
+
+    if (path === '/api/shares' && request.method === 'DELETE') {
+      return await withUser(request, env, ctx, handleRevokeShare);
+    }
+
     // Handle R2 upload endpoint
     if (path === '/r2-upload' && request.method === 'PUT') {
-      return await handleR2Upload(request, env);
+      return await withUser(request, env, ctx, handleR2Upload);
+    }
+
+    // Handle R2 multipart upload endpoints (large recordings)
+    if (path === '/r2-multipart/create' && request.method === 'POST') {
+      return await withUser(request, env, ctx, handleMultipartCreate);
+    }
+
+    if (path === '/r2-multipart/part' && request.method === 'PUT') {
+      return await withUser(request, env, ctx, handleMultipartPart);
+    }
+
+    if (path === '/r2-multipart/complete' && request.method === 'POST') {
+      return await withUser(request, env, ctx, handleMultipartComplete);
+    }
+
+    if (path === '/r2-multipart/abort' && request.method === 'POST') {
+      return await withUser(request, env, ctx, handleMultipartAbort);
     }
 
     // Handle audio transcription endpoint
     if (path === '/api/transcribe' && request.method === 'POST') {
       console.log('Transcription endpoint hit:', request.method, path);
-      return await handleTranscribe(request, env);
+      return await withUser(request, env, ctx, handleTranscribe);
     }
 
     // Handle R2 list endpoint (for summaries)
     if (path === '/r2-list' && request.method === 'POST') {
-      return await handleR2List(request, env);
+      return await withUser(request, env, ctx, handleR2List);
+    }
+
+    // Handle recordings library (paginated list of the user's sessions)
+    if (path === '/api/sessions' && request.method === 'GET') {
+      return await withUser(request, env, ctx, handleListSessions);
+    }
+
+    // Handle session deletion (recording plus every derived artifact)
+    if (path === '/api/sessions' && request.method === 'DELETE') {
+      return await withUser(request, env, ctx, handleDeleteSession);
+    }
+
+    // Handle the user's transcription vocabulary (terms and corrections)
+    if (path === '/api/vocabulary' && request.method === 'GET') {
+      return await withUser(request, env, ctx, handleGetVocabulary);
+    }
+
+    if (path === '/api/vocabulary' && request.method === 'PUT') {
+      return await withUser(request, env, ctx, handlePutVocabulary);
+    }
+
+    // Handle webhook registrations and their delivery log
+    if (path === '/api/webhooks' && request.method === 'GET') {
+      return await withUser(request, env, ctx, handleListWebhooks);
+    }
+
+    if (path === '/api/webhooks' && request.method === 'POST') {
+      return await withUser(request, env, ctx, handleCreateWebhook);
+    }
+
+    if (path === '/api/webhooks' && request.method === 'DELETE') {
+      return await withUser(request, env, ctx, handleDeleteWebhook);
+    }
+
+    if (path === '/api/webhooks/deliveries' && request.method === 'GET') {
+      return await withUser(request, env, ctx, handleListWebhookDeliveries);
+    }
+
+    // Handle caption exports of a transcription (WebVTT, SRT, timestamped text)
+    if (path === '/api/captions' && request.method === 'GET') {
+      return await withUser(request, env, ctx, handleGetCaptions);
+    }
+
+    // Handle session pipeline status (manifest of artifacts and stages)
+    if (path === '/api/sessions/status' && request.method === 'GET') {
+      return await withUser(request, env, ctx, handleSessionStatus);
+    }
+
+    // Handle live session status (Server-Sent Events of stage transitions)
+    if (path === '/api/sessions/stream' && request.method === 'GET') {
+      return await withUser(request, env, ctx, handleSessionStream);
+    }
+
+    // Handle job status (queued transcription and summarization work)
+    if (path === '/api/jobs' && request.method === 'GET') {
+      return await withUser(request, env, ctx, handleJobStatus);
+    }
+
+    // Handle keep flag (exempts a session's audio from retention)
+    if (path === '/api/sessions/keep' && request.method === 'PUT') {
+      return await withUser(request, env, ctx, handleSetSessionKeep);
     }
 
     // Handle R2 get endpoint (for retrieving files)
     if (path === '/r2-get' && request.method === 'POST') {
-      return await handleR2Get(request, env);
+      return await withUser(request, env, ctx, handleR2Get);
+    }
+
+    // Handle R2 get with Range and conditional request support (seekable playback)
+    if (path === '/r2-get' && (request.method === 'GET' || request.method === 'HEAD')) {
+      return await withUser(request, env, ctx, handleR2GetObject);
     }
 
     // Handle transcription retrieval
     if (path === '/api/transcription' && request.method === 'GET') {
-      return await handleGetTranscription(request, env);
+      return await withUser(request, env, ctx, handleGetTranscription);
     }
 
     // Handle AI summarization
     if (path === '/api/summarize' && request.method === 'POST') {
-      return await handleSummarize(request, env);
+      return await withUser(request, env, ctx, handleSummarize);
     }
 
     return new Response('Not Found', { status: 404 });
   },
+
+  // Cron trigger: apply the raw audio retention policy
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runRetentionSweep(env, event));
+  },
+
+  // Queue consumer: transcription and summarization jobs
+  async queue(batch, env, ctx) {
+    await handleJobBatch(batch, env);
+  },
 };
 
-// Handle direct R2 upload
-async function handleR2Upload(request, env) {
+// Verify the caller's Google token and pass their identity to the handler
+async function withUser(request, env, ctx, handler) {
+  let user;
   try {
-    // Extract auth token
-    const authHeader = request.headers.get('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return new Response('Unauthorized', { status: 401 });
+    user = await verifyGoogleRequest(request, env);
+  } catch (error) {
+    console.log({
+      event: 'authentication_failed',
+      reason: error.message,
+      endpoint: new URL(request.url).pathname,
+      timestamp: new Date().toISOString()
+    });
+    if (error.status && error.status !== 401) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Authentication service unavailable'
+      }), {
+        status: error.status,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+        },
+      });
     }
+    return new Response('Unauthorized', { status: 401 });
+  }
 
-    const token = authHeader.substring(7);
-    
-    // For now, we'll skip token validation
-    // In production, you'd validate the Google token here
-    
+  return await handler(request, env, user, ctx);
+}
+
+// Handle direct R2 upload
+// ?process=transcribe|summarize runs the pipeline on the server once the upload is stored
+async function handleR2Upload(request, env, user, ctx) {
+  try {
     // Get the key from the URL or body
     const url = new URL(request.url);
     const key = url.searchParams.get('key');
@@ -76,25 +272,92 @@ async function handleR2Upload(request, env) {
       return new Response('Missing key parameter', { status: 400 });
     }
 
-    // Get the request body (audio blob)
-    const audioBlob = await request.blob();
-    
-    if (audioBlob.size === 0) {
-      return new Response('Empty file', { status: 400 });
+    if (!isOwnedKey(key, user)) {
+      return forbiddenKeyResponse(key, user);
     }
 
-    // Upload to R2
-    await env.GIST_RECORDINGS.put(key, audioBlob, {
-      httpMetadata: {
-        contentType: request.headers.get('Content-Type') || 'audio/webm',
-      },
+    let process;
+    let transcriptionOptions;
+    try {
+      process = parseProcessOption(url.searchParams.get('process'));
+      transcriptionOptions = parseTranscriptionOptions({
+        language: url.searchParams.get('language'),
+        task: url.searchParams.get('task')
+      });
+    } catch (error) {
+      return new Response(error.message, { status: 400 });
+    }
+
+    // Validate the declared size before touching the body
+    const sizeCheck = checkUploadSize(request, env);
+    if (sizeCheck.response) {
+      return sizeCheck.response;
+    }
+
+    // Recording details (session, duration, tab) travel in a header alongside the body
+    let customMetadata;
+    try {
+      customMetadata = buildCustomMetadata(parseMetadataHeader(request.headers.get(METADATA_HEADER)), user);
+    } catch (error) {
+      return invalidMetadataResponse(error);
+    }
+
+    // Sniff the container from the first bytes instead of trusting Content-Type
+    const { head, stream: body } = await peekStream(request.body, SNIFF_BYTES);
+    const validation = validateAudio(env, head, sizeCheck.size, request.headers.get('Content-Type'));
+    if (validation.error) {
+      await body.cancel();
+      return validationErrorResponse(validation.error);
+    }
+
+    const requestId = crypto.randomUUID();
+    await recordStage(env, key, 'upload', {
+      status: 'running',
+      requestId: requestId,
+      method: 'single',
+      artifacts: { audio: key }
     });
 
+    // Stream the request body straight into R2
+    let object;
+    try {
+      object = await pipeBodyToR2(body, sizeCheck.size, stream =>
+        env.GIST_RECORDINGS.put(key, stream, {
+          httpMetadata: {
+            contentType: validation.mimeType,
+          },
+          customMetadata: { ...customMetadata, format: validation.format },
+        })
+      );
+    } catch (error) {
+      await recordStage(env, key, 'upload', { status: 'failed', requestId: requestId, error: error.message });
+      throw error;
+    }
+
+    await recordStage(env, key, 'upload', {
+      status: 'completed',
+      requestId: requestId,
+      size: object.size,
+      format: validation.format
+    });
+
+    const job = process
+      ? await enqueueJob(env, ctx, {
+        type: 'transcribe',
+        userId: user.id,
+        input: { audioKey: key, summarize: process === 'summarize', ...transcriptionOptions }
+      })
+      : null;
+
     return new Response(JSON.stringify({
       success: true,
       message: `Successfully uploaded ${key}`,
       key: key,
-      size: audioBlob.size
+      size: object.size,
+      format: validation.format,
+      contentType: validation.mimeType,
+      metadata: customMetadata,
+      pipeline: job ? { process: process, status: job.status, jobId: job.jobId } : null
     }), {
       status: 200,
       headers: {
@@ -105,6 +368,9 @@ async function handleR2Upload(request, env) {
 
   } catch (error) {
     console.error('R2 upload error:', error);
+    if (error instanceof IncompleteUploadError) {
+      return incompleteUploadResponse(error);
+    }
     return new Response(JSON.stringify({
       success: false,
       error: error.message
@@ -119,21 +385,30 @@ async function handleR2Upload(request, env) {
 }
 
 // Handle R2 list operation (for finding summaries)
-async function handleR2List(request, env) {
+async function handleR2List(request, env, user) {
   try {
-    const authHeader = request.headers.get('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return new Response('Unauthorized', { status: 401 });
-    }
-
     const { prefix } = await request.json();
     
     if (!prefix) {
       return new Response('Missing prefix', { status: 400 });
     }
 
+    if (!isOwnedKey(prefix, user)) {
+      return forbiddenKeyResponse(prefix, user);
+    }
+
     // List objects with the given prefix
-    const listed = await env.GIST_RECORDINGS.list({ prefix });
+    const listed = await env.GIST_RECORDINGS.list({ prefix, include: ['customMetadata'] });
+
+    // Recordings under the prefix, with the details stored at upload time
+    const recordings = listed.objects
+      .filter(obj => isAudioKey(obj.key))
+      .map(obj => ({
+        key: obj.key,
+        size: obj.size,
+        uploaded: obj.uploaded,
+        metadata: obj.customMetadata || {}
+      }));
     
     // Look for summary files
     const summaryFiles = listed.objects.filter(obj => 
@@ -165,7 +440,8 @@ async function handleR2List(request, env) {
     return new Response(JSON.stringify({
       success: true,
       summary: summaryData,
-      summaryPath: latestSummary.key
+      summaryPath: latestSummary.key,
+      recordings: recordings
     }), {
       status: 200,
       headers: {
@@ -190,19 +466,18 @@ async function handleR2List(request, env) {
 }
 
 // Handle R2 get operation (for retrieving specific files)
-async function handleR2Get(request, env) {
+async function handleR2Get(request, env, user) {
   try {
-    const authHeader = request.headers.get('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return new Response('Unauthorized', { status: 401 });
-    }
-
     const { key } = await request.json();
     
     if (!key) {
       return new Response('Missing key', { status: 400 });
     }
 
+    if (!isOwnedKey(key, user)) {
+      return forbiddenKeyResponse(key, user);
+    }
+
     // Get the object from R2
     const obj = await env.GIST_RECORDINGS.get(key);
     
@@ -214,6 +489,8 @@ async function handleR2Get(request, env) {
       status: 200,
       headers: {
         'Content-Type': obj.httpMetadata?.contentType || 'application/octet-stream',
+        [METADATA_HEADER]: encodeMetadataHeader(obj.customMetadata),
+        'Access-Control-Expose-Headers': METADATA_HEADER,
         'Access-Control-Allow-Origin': '*',
       },
     });
@@ -233,22 +510,11 @@ async function handleR2Get(request, env) {
   }
 }
 
-// Utility function: Convert ArrayBuffer -> Base64 safely
-function arrayBufferToBase64(arrayBuffer) {
-  let binary = '';
-  const bytes = new Uint8Array(arrayBuffer);
-  const chunkSize = 0x8000; // 32KB per slice is safe
-
-  for (let i = 0; i < bytes.length; i += chunkSize) {
-    const slice = bytes.subarray(i, i + chunkSize);
-    binary += String.fromCharCode.apply(null, slice);
-  }
-  
-  return btoa(binary);
-}
-
 // Handle audio transcription using Cloudflare AI
-async function handleTranscribe(request, env) {
+// Form data carries the audio itself; JSON { key, summarize, wait } transcribes a recording already in R2
+// Both accept `language` (ISO 639-1, detected when omitted) and `task: 'transcribe' | 'translate'`
+// An unchanged transcription is returned from R2 unless `force` is true
+async function handleTranscribe(request, env, user, ctx) {
   const startTime = Date.now();
   const requestId = crypto.randomUUID();
   
@@ -258,19 +524,13 @@ async function handleTranscribe(request, env) {
     request_id: requestId,
     timestamp: new Date().toISOString(),
     endpoint: '/api/transcribe',
-    method: request.method
+    method: request.method,
+    user_id: user.id
   });
 
   try {
-    const authHeader = request.headers.get('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      console.log({
-        event: 'authentication_failed',
-        request_id: requestId,
-        reason: 'missing_or_invalid_bearer_token',
-        timestamp: new Date().toISOString()
-      });
-      return new Response('Unauthorized', { status: 401 });
+    if ((request.headers.get('Content-Type') || '').includes('application/json')) {
+      return await handleTranscribeStored(request, env, user, ctx, requestId, startTime);
     }
 
     // Get form data with audio file
@@ -288,135 +548,55 @@ async function handleTranscribe(request, env) {
       return new Response('No audio file provided', { status: 400 });
     }
 
-    // Get audio buffer and process as single file
-    const audioBuffer = await audioFile.arrayBuffer();
-    const audioSizeMB = (audioBuffer.byteLength / (1024 * 1024)).toFixed(2);
-    
-    // Log audio file details
-    console.log({
-      event: 'audio_file_processed',
-      request_id: requestId,
-      audio_key: audioKey,
-      file_size_bytes: audioBuffer.byteLength,
-      file_size_mb: parseFloat(audioSizeMB),
-      file_type: audioFile.type || 'unknown',
-      timestamp: new Date().toISOString()
-    });
-    
-    // Check if file is too large for processing (25MB limit)
-    if (audioBuffer.byteLength > 25 * 1024 * 1024) {
-      console.log({
-        event: 'transcription_validation_failed',
-        request_id: requestId,
-        reason: 'file_too_large',
-        file_size_mb: parseFloat(audioSizeMB),
-        max_size_mb: 25,
-        timestamp: new Date().toISOString()
-      });
-      throw new Error('Audio file too large for transcription (max 25MB)');
+    // The optional key decides where the transcription is written
+    if (audioKey && !isOwnedKey(audioKey, user)) {
+      return forbiddenKeyResponse(audioKey, user);
     }
-    
-    // Convert entire audio buffer to base64
-    const conversionStart = Date.now();
-    const base64Audio = arrayBufferToBase64(audioBuffer);
-    const conversionTime = Date.now() - conversionStart;
-    
-    console.log({
-      event: 'audio_conversion_completed',
-      request_id: requestId,
-      conversion_time_ms: conversionTime,
-      base64_size_chars: base64Audio.length,
-      timestamp: new Date().toISOString()
-    });
-    
-    // Log AI model invocation
-    const aiStart = Date.now();
-    console.log({
-      event: 'ai_transcription_started',
-      request_id: requestId,
-      model: '@cf/openai/whisper-large-v3-turbo',
-      gateway_id: 'your-ai-gateway',
-      cache_enabled: true,
-      timestamp: new Date().toISOString()
-    });
-    
-    // Transcribe using Whisper-large-v3-turbo through AI Gateway
-    const response = await env.AI.run('@cf/openai/whisper-large-v3-turbo', {
-      audio: base64Audio
-    }, {
-      gateway: {
-        id: "your-ai-gateway",
-        skipCache: false
-      }
-    });
-    
-    const aiTime = Date.now() - aiStart;
-    const transcriptionText = response.text || '';
-    const wordCount = transcriptionText.trim().split(/\s+/).length;
-    
-    console.log({
-      event: 'ai_transcription_completed',
-      request_id: requestId,
-      model: '@cf/openai/whisper-large-v3-turbo',
-      processing_time_ms: aiTime,
-      transcription_length_chars: transcriptionText.length,
-      transcription_word_count: wordCount,
-      confidence_score: response.confidence || null,
-      timestamp: new Date().toISOString()
-    });
 
-    // If audioKey provided, store transcription in R2
-    if (audioKey) {
-      const r2Start = Date.now();
-      const transcriptionKey = audioKey.replace(/\.(wav|mp3|webm)$/, '-transcription.json');
-      const transcriptionData = {
-        text: transcriptionText,
-        timestamp: new Date().toISOString(),
-        audioKey: audioKey,
-        model: '@cf/openai/whisper-large-v3-turbo',
-        processing_time_ms: aiTime,
-        word_count: wordCount
-      };
-
-      await env.GIST_RECORDINGS.put(transcriptionKey, JSON.stringify(transcriptionData), {
-        httpMetadata: {
-          contentType: 'application/json',
-        },
-      });
-      
-      const r2Time = Date.now() - r2Start;
-      console.log({
-        event: 'transcription_stored_r2',
-        request_id: requestId,
-        transcription_key: transcriptionKey,
-        storage_time_ms: r2Time,
-        data_size_bytes: JSON.stringify(transcriptionData).length,
-        timestamp: new Date().toISOString()
-      });
+    // The transcription is written beside the key, so any other key would be overwritten
+    if (audioKey && !isAudioKey(audioKey)) {
+      return new Response('key must point to an audio recording', { status: 400 });
     }
 
-    const totalTime = Date.now() - startTime;
-    console.log({
-      event: 'transcription_request_completed',
-      request_id: requestId,
-      total_processing_time_ms: totalTime,
-      success: true,
-      audio_size_mb: parseFloat(audioSizeMB),
-      transcription_word_count: wordCount,
-      performance_metrics: {
-        conversion_time_ms: conversionTime,
-        ai_processing_time_ms: aiTime,
-        total_time_ms: totalTime
-      },
-      timestamp: new Date().toISOString()
+    const options = parseTranscriptionOptions({
+      language: formData.get('language'),
+      task: formData.get('task')
     });
+    options.vocabulary = await getVocabulary(env, user.id);
+
+    const audioBuffer = await audioFile.arrayBuffer();
+    const source = audioKey
+      ? await describeTranscriptionSource(env, { audioSha256: await sha256Hex(audioBuffer), options, userId: user.id })
+      : null;
+
+    const cached = source && formData.get('force') !== 'true'
+      ? await findCachedTranscription(env, { audioKey, source, requestId })
+      : null;
+
+    const transcription = cached || await transcribeAudio(env, {
+      audioBuffer: audioBuffer,
+      audioKey: audioKey,
+      contentType: audioFile.type,
+      requestId: requestId,
+      options: options,
+      source: source
+    });
+
+    logTranscriptionCompleted(requestId, startTime, transcription);
 
     return new Response(JSON.stringify({
       success: true,
-      text: transcriptionText,
+      text: transcription.text,
+      transcriptionKey: transcription.transcriptionKey,
+      language: transcription.language,
+      textLanguage: transcription.textLanguage,
+      correctionsApplied: transcription.correctionsApplied,
+      noSpeech: transcription.noSpeech,
+      cached: transcription.cached === true,
+      duplicateOf: transcription.duplicateOf || undefined,
       timestamp: new Date().toISOString(),
       request_id: requestId,
-      processing_time_ms: totalTime
+      processing_time_ms: Date.now() - startTime
     }), {
       status: 200,
       headers: {
@@ -426,45 +606,156 @@ async function handleTranscribe(request, env) {
     });
 
   } catch (error) {
-    const errorTime = Date.now() - startTime;
-    console.log({
-      event: 'transcription_request_failed',
-      request_id: requestId,
-      error_type: error.name,
-      error_message: error.message,
-      processing_time_ms: errorTime,
-      stack_trace: error.stack,
-      model_used: '@cf/openai/whisper-large-v3-turbo',
-      timestamp: new Date().toISOString()
+    return transcriptionErrorResponse(error, requestId, startTime);
+  }
+}
+
+// Transcribe (and optionally summarize) a recording already stored in R2
+// Queued as a job by default; wait: true runs it inside this request instead
+async function handleTranscribeStored(request, env, user, ctx, requestId, startTime) {
+  const { key, summarize = false, wait = false, force = false, language, task } = await request.json();
+
+  if (!key) {
+    return new Response('Missing key', { status: 400 });
+  }
+
+  if (!isOwnedKey(key, user)) {
+    return forbiddenKeyResponse(key, user);
+  }
+
+  if (!isAudioKey(key)) {
+    return new Response('key must point to an audio recording', { status: 400 });
+  }
+
+  const options = parseTranscriptionOptions({ language, task });
+
+  if (wait !== true) {
+    // Fail fast rather than queue a job that can't succeed
+    if (!await env.GIST_RECORDINGS.head(key)) {
+      throw new PipelineError('Audio not found', 404, 'audio_not_found');
+    }
+
+    const job = await enqueueJob(env, ctx, {
+      type: 'transcribe',
+      userId: user.id,
+      input: { audioKey: key, summarize: Boolean(summarize), force: force === true, ...options }
+    });
+    return jobAcceptedResponse(job);
+  }
+
+  const { transcription, summary, summarySkipped } = await runPipeline(env, {
+    audioKey: key,
+    summarize: Boolean(summarize),
+    requestId: requestId,
+    options: { ...options, vocabulary: await getVocabulary(env, user.id) },
+    userId: user.id,
+    force: force === true
+  });
+
+  logTranscriptionCompleted(requestId, startTime, transcription);
+
+  return new Response(JSON.stringify({
+    success: true,
+    text: transcription.text,
+    transcriptionKey: transcription.transcriptionKey,
+    language: transcription.language,
+    textLanguage: transcription.textLanguage,
+    correctionsApplied: transcription.correctionsApplied,
+    noSpeech: transcription.noSpeech,
+    cached: transcription.cached === true,
+    duplicateOf: transcription.duplicateOf || undefined,
+    summaryCached: summary ? summary.cached : undefined,
+    summary: summary ? summary.summary : undefined,
+    summaryKey: summary ? summary.summaryKey : undefined,
+    summarySkipped: summarySkipped || undefined,
+    timestamp: new Date().toISOString(),
+    request_id: requestId,
+    processing_time_ms: Date.now() - startTime
+  }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
+
+function logTranscriptionCompleted(requestId, startTime, transcription) {
+  const totalTime = Date.now() - startTime;
+  console.log({
+    event: 'transcription_request_completed',
+    request_id: requestId,
+    total_processing_time_ms: totalTime,
+    success: true,
+    audio_size_mb: transcription.audioSizeMB,
+    transcription_word_count: transcription.wordCount,
+    performance_metrics: {
+      conversion_time_ms: transcription.conversionTimeMs,
+      ai_processing_time_ms: transcription.aiProcessingTimeMs,
+      total_time_ms: totalTime
+    },
+    timestamp: new Date().toISOString()
+  });
+}
+
+function transcriptionErrorResponse(error, requestId, startTime) {
+  const errorTime = Date.now() - startTime;
+  console.log({
+    event: 'transcription_request_failed',
+    request_id: requestId,
+    error_type: error.name,
+    error_message: error.message,
+    processing_time_ms: errorTime,
+    stack_trace: error.stack,
+    model_used: error.model || null,
+    timestamp: new Date().toISOString()
+  });
+
+  if (error instanceof PipelineError && error.code === 'unrecognized_format') {
+    return validationErrorResponse({
+      status: error.status,
+      reason: error.code,
+      message: error.message,
+      ...error.details
     });
+  }
 
+  if (error instanceof PipelineError && error.status < 500) {
     return new Response(JSON.stringify({
       success: false,
       error: error.message,
-      request_id: requestId,
-      details: {
-        stack: error.stack,
-        name: error.name,
-        modelUsed: '@cf/openai/whisper-large-v3-turbo'
-      }
+      code: error.code,
+      request_id: requestId
     }), {
-      status: 500,
+      status: error.status,
       headers: {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
       },
     });
   }
+
+  return new Response(JSON.stringify({
+    success: false,
+    error: error.message,
+    request_id: requestId,
+    details: {
+      stack: error.stack,
+      name: error.name,
+      modelUsed: error.model || null
+    }
+  }), {
+    status: 500,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
 }
 
 // Handle transcription retrieval
-async function handleGetTranscription(request, env) {
+async function handleGetTranscription(request, env, user) {
   try {
-    const authHeader = request.headers.get('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return new Response('Unauthorized', { status: 401 });
-    }
-
     const url = new URL(request.url);
     const key = url.searchParams.get('key');
     
@@ -472,8 +763,11 @@ async function handleGetTranscription(request, env) {
       return new Response('Missing key parameter', { status: 400 });
     }
 
-    // Generate transcription key from audio key
-    const transcriptionKey = key.replace(/\.(wav|mp3|webm)$/, '-transcription.json');
+    if (!isOwnedKey(key, user)) {
+      return forbiddenKeyResponse(key, user);
+    }
+
+    const transcriptionKey = getTranscriptionKey(key);
     
     // Get transcription from R2
     const transcriptionObj = await env.GIST_RECORDINGS.get(transcriptionKey);
@@ -520,7 +814,9 @@ async function handleGetTranscription(request, env) {
 }
 
 // Handle AI summarization of transcription
-async function handleSummarize(request, env) {
+// Queued as a job by default; wait: true summarizes inside this request instead
+// The stored summary is returned when the transcript and model are unchanged, unless `force` is true
+async function handleSummarize(request, env, user, ctx) {
   const startTime = Date.now();
   const requestId = crypto.randomUUID();
   
@@ -530,23 +826,13 @@ async function handleSummarize(request, env) {
     request_id: requestId,
     timestamp: new Date().toISOString(),
     endpoint: '/api/summarize',
-    method: request.method
+    method: request.method,
+    user_id: user.id
   });
 
   try {
-    const authHeader = request.headers.get('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      console.log({
-        event: 'authentication_failed',
-        request_id: requestId,
-        reason: 'missing_or_invalid_bearer_token',
-        endpoint: '/api/summarize',
-        timestamp: new Date().toISOString()
-      });
-      return new Response('Unauthorized', { status: 401 });
-    }
-
-    const { transcriptionKey, audioKey } = await request.json();
+    const { transcriptionKey, audioKey, wait = false, force = false, style: requestedStyle } = await request.json();
+    const style = parseSummaryStyle(requestedStyle);
     
     console.log({
       event: 'summarization_input_received',
@@ -554,6 +840,7 @@ async function handleSummarize(request, env) {
       transcription_key: transcriptionKey,
       audio_key: audioKey,
       input_source: transcriptionKey ? 'transcription_key' : 'audio_key',
+      summary_style: style,
       timestamp: new Date().toISOString()
     });
     
@@ -567,12 +854,17 @@ async function handleSummarize(request, env) {
       return new Response('Missing transcriptionKey or audioKey parameter', { status: 400 });
     }
 
-    let transcriptionData;
+    for (const requestedKey of [transcriptionKey, audioKey]) {
+      if (requestedKey && !isOwnedKey(requestedKey, user)) {
+        return forbiddenKeyResponse(requestedKey, user);
+      }
+    }
+
     let finalTranscriptionKey = transcriptionKey;
 
     // If audioKey provided, derive transcription key
     if (audioKey && !transcriptionKey) {
-      finalTranscriptionKey = audioKey.replace(/\.(wav|mp3|webm)$/, '-transcription.json');
+      finalTranscriptionKey = getTranscriptionKey(audioKey);
       console.log({
         event: 'transcription_key_derived',
         request_id: requestId,
@@ -582,126 +874,26 @@ async function handleSummarize(request, env) {
       });
     }
 
-    // Get transcription from R2
-    const r2FetchStart = Date.now();
-    const transcriptionObj = await env.GIST_RECORDINGS.get(finalTranscriptionKey);
-    const r2FetchTime = Date.now() - r2FetchStart;
-    
-    if (!transcriptionObj) {
-      console.log({
-        event: 'transcription_not_found',
-        request_id: requestId,
-        transcription_key: finalTranscriptionKey,
-        r2_fetch_time_ms: r2FetchTime,
-        timestamp: new Date().toISOString()
-      });
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Transcription not found'
-      }), { status: 404 });
-    }
-
-    transcriptionData = await transcriptionObj.json();
-    const transcriptionText = transcriptionData.text || '';
-    const transcriptionWordCount = transcriptionText.trim().split(/\s+/).length;
-
-    console.log({
-      event: 'transcription_retrieved',
-      request_id: requestId,
-      transcription_key: finalTranscriptionKey,
-      r2_fetch_time_ms: r2FetchTime,
-      transcription_length_chars: transcriptionText.length,
-      transcription_word_count: transcriptionWordCount,
-      original_model: transcriptionData.model || 'unknown',
-      timestamp: new Date().toISOString()
-    });
+    if (wait !== true) {
+      // Fail fast rather than queue a job that can't succeed
+      if (!await env.GIST_RECORDINGS.head(finalTranscriptionKey)) {
+        throw new PipelineError('Transcription not found', 404, 'transcription_not_found');
+      }
 
-    if (!transcriptionText.trim()) {
-      console.log({
-        event: 'summarization_validation_failed',
-        request_id: requestId,
-        reason: 'empty_transcription_text',
-        transcription_key: finalTranscriptionKey,
-        timestamp: new Date().toISOString()
+      const job = await enqueueJob(env, ctx, {
+        type: 'summarize',
+        userId: user.id,
+        input: { transcriptionKey: finalTranscriptionKey, audioKey: audioKey || null, force: force === true, style: style }
       });
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'No transcription text to summarize'
-      }), { status: 400 });
+      return jobAcceptedResponse(job);
     }
 
-    // Log AI model invocation
-    const aiStart = Date.now();
-    console.log({
-      event: 'ai_summarization_started',
-      request_id: requestId,
-      model: '@cf/facebook/bart-large-cnn',
-      gateway_id: 'your-ai-gateway',
-      input_text_length: transcriptionText.length,
-      input_word_count: transcriptionWordCount,
-      max_summary_length: 1024,
-      cache_enabled: true,
-      timestamp: new Date().toISOString()
-    });
-
-    // Generate summary using BART model through AI Gateway
-    const summaryResponse = await env.AI.run('@cf/facebook/bart-large-cnn', {
-      input_text: transcriptionText,
-      max_length: 1024
-    }, {
-      gateway: {
-        id: "your-ai-gateway",
-        skipCache: false
-      }
-    });
-
-    const aiTime = Date.now() - aiStart;
-    const summaryText = summaryResponse.summary || '';
-    const summaryWordCount = summaryText.trim().split(/\s+/).length;
-    const compressionRatio = ((transcriptionText.length - summaryText.length) / transcriptionText.length * 100).toFixed(2);
-
-    console.log({
-      event: 'ai_summarization_completed',
-      request_id: requestId,
-      model: '@cf/facebook/bart-large-cnn',
-      processing_time_ms: aiTime,
-      input_length_chars: transcriptionText.length,
-      input_word_count: transcriptionWordCount,
-      summary_length_chars: summaryText.length,
-      summary_word_count: summaryWordCount,
-      compression_ratio_percent: parseFloat(compressionRatio),
-      timestamp: new Date().toISOString()
-    });
-
-    // Store summary in R2
-    const r2StoreStart = Date.now();
-    const summaryKey = finalTranscriptionKey.replace('-transcription.json', '-summary.json');
-    const summaryData = {
-      summary: summaryText,
+    const result = await summarizeStoredTranscription(env, {
       transcriptionKey: finalTranscriptionKey,
-      audioKey: audioKey || transcriptionData.audioKey,
-      timestamp: new Date().toISOString(),
-      model: '@cf/facebook/bart-large-cnn',
-      processing_time_ms: aiTime,
-      word_count: summaryWordCount,
-      compression_ratio_percent: parseFloat(compressionRatio),
-      original_transcription_word_count: transcriptionWordCount
-    };
-
-    await env.GIST_RECORDINGS.put(summaryKey, JSON.stringify(summaryData), {
-      httpMetadata: {
-        contentType: 'application/json',
-      },
-    });
-
-    const r2StoreTime = Date.now() - r2StoreStart;
-    console.log({
-      event: 'summary_stored_r2',
-      request_id: requestId,
-      summary_key: summaryKey,
-      storage_time_ms: r2StoreTime,
-      data_size_bytes: JSON.stringify(summaryData).length,
-      timestamp: new Date().toISOString()
+      audioKey: audioKey,
+      requestId: requestId,
+      force: force === true,
+      style: style
     });
 
     const totalTime = Date.now() - startTime;
@@ -710,13 +902,14 @@ async function handleSummarize(request, env) {
       request_id: requestId,
       total_processing_time_ms: totalTime,
       success: true,
-      input_word_count: transcriptionWordCount,
-      summary_word_count: summaryWordCount,
-      compression_ratio_percent: parseFloat(compressionRatio),
+      input_word_count: result.inputWordCount,
+      summary_word_count: result.summaryWordCount,
+      compression_ratio_percent: result.compressionRatioPercent,
+      section_count: result.sectionCount,
       performance_metrics: {
-        r2_fetch_time_ms: r2FetchTime,
-        ai_processing_time_ms: aiTime,
-        r2_store_time_ms: r2StoreTime,
+        r2_fetch_time_ms: result.r2FetchTimeMs,
+        ai_processing_time_ms: result.aiProcessingTimeMs,
+        r2_store_time_ms: result.r2StoreTimeMs,
         total_time_ms: totalTime
       },
       timestamp: new Date().toISOString()
@@ -724,13 +917,16 @@ async function handleSummarize(request, env) {
 
     return new Response(JSON.stringify({
       success: true,
-      summary: summaryText,
-      summaryKey: summaryKey,
-      transcriptionKey: finalTranscriptionKey,
+      summary: result.summary,
+      summaryKey: result.summaryKey,
+      transcriptionKey: result.transcriptionKey,
+      style: result.style || 'default',
       timestamp: new Date().toISOString(),
       request_id: requestId,
       processing_time_ms: totalTime,
-      compression_ratio_percent: parseFloat(compressionRatio)
+      compression_ratio_percent: result.compressionRatioPercent,
+      section_count: result.sectionCount,
+      cached: result.cached
     }), {
       status: 200,
       headers: {
@@ -740,6 +936,22 @@ async function handleSummarize(request, env) {
     });
 
   } catch (error) {
+    // Missing, empty or non-English transcriptions are the caller's to fix
+    if (error instanceof PipelineError && error.status < 500) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: error.message,
+        code: error.code,
+        ...error.details
+      }), {
+        status: error.status,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+        },
+      });
+    }
+
     const errorTime = Date.now() - startTime;
     console.log({
       event: 'summarization_request_failed',
@@ -748,7 +960,7 @@ async function handleSummarize(request, env) {
       error_message: error.message,
       processing_time_ms: errorTime,
       stack_trace: error.stack,
-      model_used: '@cf/facebook/bart-large-cnn',
+      model_used: error.model || null,
       timestamp: new Date().toISOString()
     });
 
@@ -759,7 +971,7 @@ async function handleSummarize(request, env) {
       details: {
         stack: error.stack,
         name: error.name,
-        modelUsed: '@cf/facebook/bart-large-cnn'
+        modelUsed: error.model || null
       }
     }), {
       status: 500,
@@ -0,0 +1,68 @@
+// Recording metadata stored as R2 customMetadata
+// The extension sends it URI-encoded JSON in the X-Recording-Metadata header (single uploads)
+// or as a `metadata` object in the multipart create body.
+
+export const METADATA_HEADER = 'X-Recording-Metadata';
+
+// Fields accepted from the client and the maximum length kept for each
+// R2 caps customMetadata at 2KB in total, so long titles and URLs are trimmed
+const ALLOWED_FIELDS = {
+  'session-id': 128,
+  'timestamp': 64,
+  'duration': 32,
+  'tab-title': 256,
+  'tab-url': 512
+};
+
+// Build customMetadata from client-supplied fields plus the verified identity
+// Identity fields always come from the token, never from the client
+export function buildCustomMetadata(clientMetadata, user) {
+  const customMetadata = {};
+
+  for (const [field, maxLength] of Object.entries(ALLOWED_FIELDS)) {
+    const value = clientMetadata?.[field];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    customMetadata[field] = String(value).slice(0, maxLength);
+  }
+
+  customMetadata['user-id'] = user.id;
+  if (user.email) {
+    customMetadata['user-email'] = user.email;
+  }
+
+  return customMetadata;
+}
+
+// Parse the metadata header; throws on malformed input
+export function parseMetadataHeader(headerValue) {
+  if (!headerValue) {
+    return {};
+  }
+
+  const parsed = JSON.parse(decodeURIComponent(headerValue));
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Recording metadata must be a JSON object');
+  }
+  return parsed;
+}
+
+// Encode customMetadata for a response header (titles may contain non-ASCII text)
+export function encodeMetadataHeader(customMetadata) {
+  return encodeURIComponent(JSON.stringify(customMetadata || {}));
+}
+
+export function invalidMetadataResponse(error) {
+  return new Response(JSON.stringify({
+    success: false,
+    error: `Invalid recording metadata: ${error.message}`,
+    code: 'invalid_metadata'
+  }), {
+    status: 400,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
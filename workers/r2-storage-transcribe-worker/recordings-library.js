@@ -0,0 +1,392 @@
+// Recordings library: every session a user has recorded, with cursor pagination
+// Sessions are the folders under the user's namespace. A page is read from one flat listing
+// of the namespace (R2 returns up to 1000 objects per call), grouped by session folder, so
+// it doesn't cost an extra list call per session.
+
+import { getUserNamespace, isOwnedKey, forbiddenKeyResponse } from './ownership.js';
+import {
+  isAudioKey,
+  getRecordingStem,
+  getKeepMarkerKey,
+  getManifestKey,
+  getSessionPrefix,
+  getSessionIdFromPrefix
+} from './artifact-keys.js';
+import { getManifest } from './session-manifest.js';
+import { getJobKey } from './job-queue.js';
+import { getHashIndexKey, findAudioHash } from './content-hash.js';
+import { getShareIndexKey } from './share-links.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// R2 deletes at most 1000 keys per call
+const DELETE_BATCH_SIZE = 1000;
+
+// Handle GET /api/sessions?cursor=&limit=
+export async function handleListSessions(request, env, user) {
+  try {
+    const url = new URL(request.url);
+    const cursor = url.searchParams.get('cursor') || undefined;
+    const requestedLimit = parseInt(url.searchParams.get('limit'), 10);
+    const limit = requestedLimit > 0 ? Math.min(requestedLimit, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+
+    if (cursor && cursor.includes('/')) {
+      return new Response('Invalid cursor', { status: 400 });
+    }
+
+    // The cursor is the last session ID of the previous page; skip everything inside that folder
+    const namespace = getUserNamespace(user);
+    const startAfter = cursor ? `${namespace}${cursor}/\uffff` : undefined;
+    const { groups, hasMore } = await listSessionObjects(env, namespace, startAfter, limit);
+
+    const sessionPrefixes = [...groups.keys()];
+    const sessions = await Promise.all(
+      sessionPrefixes.map(sessionPrefix => buildSessionEntry(env, sessionPrefix, namespace, groups.get(sessionPrefix)))
+    );
+    const lastPrefix = sessionPrefixes[sessionPrefixes.length - 1];
+
+    // R2 pages in key order; newest first reads better within a page
+    sessions.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+
+    return new Response(JSON.stringify({
+      success: true,
+      sessions: sessions,
+      cursor: hasMore ? getSessionIdFromPrefix(lastPrefix, namespace) : null,
+      hasMore: hasMore
+    }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    return new Response(JSON.stringify({
+      success: false,
+      error: error.message
+    }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  }
+}
+
+// Objects of the first `limit` session folders after `startAfter`, grouped by folder
+// Returns { groups: Map<sessionPrefix, objects>, hasMore }
+async function listSessionObjects(env, namespace, startAfter, limit) {
+  const groups = new Map();
+  let cursor;
+
+  do {
+    const listed = await env.GIST_RECORDINGS.list({
+      prefix: namespace,
+      startAfter: cursor ? undefined : startAfter,
+      cursor: cursor,
+      include: ['customMetadata']
+    });
+
+    for (const obj of listed.objects) {
+      const sessionPrefix = getSessionPrefix(obj.key);
+      if (!sessionPrefix) {
+        continue;
+      }
+      if (!groups.has(sessionPrefix)) {
+        if (groups.size === limit) {
+          return { groups, hasMore: true };
+        }
+        groups.set(sessionPrefix, []);
+      }
+      groups.get(sessionPrefix).push(obj);
+    }
+
+    cursor = listed.truncated ? listed.cursor : undefined;
+  } while (cursor);
+
+  return { groups, hasMore: false };
+}
+
+// Describe one session folder from the objects inside it
+async function buildSessionEntry(env, sessionPrefix, namespace, objects) {
+  const keys = new Set(objects.map(obj => obj.key));
+
+  // A session normally holds one recording; prefer the newest if there are several
+  const audio = objects
+    .filter(obj => isAudioKey(obj.key))
+    .sort((a, b) => new Date(b.uploaded) - new Date(a.uploaded))[0];
+
+  // The retention sweep may have removed the audio, so fall back to the JSON artifacts
+  const artifact = audio || objects.find(obj => /-(transcription|summary)\.json$/.test(obj.key));
+  const stem = artifact ? getRecordingStem(artifact.key) : null;
+  const transcriptionKey = stem ? `${stem}-transcription.json` : null;
+  const summaryKey = stem ? `${stem}-summary.json` : null;
+  const hasTranscription = transcriptionKey !== null && keys.has(transcriptionKey);
+  const hasSummary = summaryKey !== null && keys.has(summaryKey);
+  const summaryStyles = stem
+    ? [...keys].filter(key => key.startsWith(`${stem}-summary-`)).map(key => key.slice(`${stem}-summary-`.length, -'.json'.length))
+    : [];
+
+  const uploadedTimes = objects.map(obj => new Date(obj.uploaded).getTime());
+  const metadata = audio?.customMetadata || {};
+  const duration = parseFloat(metadata.duration);
+  const pipelineStatus = await getPipelineStatus(env, sessionPrefix, objects);
+
+  return {
+    sessionId: getSessionIdFromPrefix(sessionPrefix, namespace),
+    prefix: sessionPrefix,
+    audioKey: audio ? audio.key : null,
+    transcriptionKey: hasTranscription ? transcriptionKey : null,
+    summaryKey: hasSummary ? summaryKey : null,
+    summaryStyles: summaryStyles,
+    status: getProcessingStatus(audio, hasTranscription, hasSummary),
+    pipelineStatus: pipelineStatus,
+    duration: Number.isFinite(duration) ? duration : null,
+    title: metadata['tab-title'] || null,
+    url: metadata['tab-url'] || null,
+    size: audio ? audio.size : 0,
+    keep: keys.has(getKeepMarkerKey(sessionPrefix)),
+    archived: audio ? audio.storageClass === 'InfrequentAccess' : false,
+    createdAt: audio ? audio.uploaded : (uploadedTimes.length ? new Date(Math.min(...uploadedTimes)) : null),
+    updatedAt: uploadedTimes.length ? new Date(Math.max(...uploadedTimes)) : null
+  };
+}
+
+// Manifests carry their overall status in custom metadata, which the listing already returned
+// Manifests written before that are read in full
+async function getPipelineStatus(env, sessionPrefix, objects) {
+  const manifestObject = objects.find(obj => obj.key === getManifestKey(sessionPrefix));
+  if (!manifestObject) {
+    return null;
+  }
+  if (manifestObject.customMetadata && manifestObject.customMetadata.status) {
+    return manifestObject.customMetadata.status;
+  }
+
+  const manifest = await getManifest(env, sessionPrefix);
+  return manifest ? manifest.status : null;
+}
+
+function getProcessingStatus(audio, hasTranscription, hasSummary) {
+  if (hasSummary) {
+    return 'summarized';
+  }
+  if (hasTranscription) {
+    return 'transcribed';
+  }
+  return audio ? 'uploaded' : 'empty';
+}
+
+// Handle DELETE /api/sessions?sessionId= (or ?key=<any key in the session>)
+// Removes the whole session folder: the recording and everything derived from it
+export async function handleDeleteSession(request, env, user) {
+  try {
+    const url = new URL(request.url);
+    const sessionId = url.searchParams.get('sessionId');
+    const key = url.searchParams.get('key');
+    const namespace = getUserNamespace(user);
+
+    let sessionPrefix;
+    if (sessionId) {
+      if (sessionId.includes('/')) {
+        return new Response('Invalid sessionId', { status: 400 });
+      }
+      sessionPrefix = `${namespace}${sessionId}/`;
+    } else if (key) {
+      if (!isOwnedKey(key, user)) {
+        return forbiddenKeyResponse(key, user);
+      }
+      sessionPrefix = getSessionPrefix(key);
+    }
+
+    if (!sessionPrefix) {
+      return new Response('Missing sessionId or key parameter', { status: 400 });
+    }
+
+    const objects = await listAllObjects(env, sessionPrefix);
+
+    if (objects.length === 0) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Session not found'
+      }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+        },
+      });
+    }
+
+    // Read before the session folder is gone: the manifest and transcripts say which records point into it
+    const recordKeys = await listSessionRecordKeys(env, sessionPrefix, objects, user.id);
+
+    const keys = [...objects.map(obj => obj.key), ...recordKeys];
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+      await env.GIST_RECORDINGS.delete(keys.slice(i, i + DELETE_BATCH_SIZE));
+    }
+
+    const report = {
+      sessionId: getSessionIdFromPrefix(sessionPrefix, namespace),
+      prefix: sessionPrefix,
+      deleted: objects.map(obj => ({ key: obj.key, size: obj.size })),
+      deletedCount: objects.length,
+      deletedRecords: recordKeys,
+      bytesFreed: objects.reduce((total, obj) => total + obj.size, 0)
+    };
+
+    console.log({
+      event: 'session_deleted',
+      user_id: user.id,
+      session_prefix: sessionPrefix,
+      deleted_count: report.deletedCount,
+      deleted_records_count: recordKeys.length,
+      bytes_freed: report.bytesFreed,
+      timestamp: new Date().toISOString()
+    });
+
+    return new Response(JSON.stringify({
+      success: true,
+      ...report
+    }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    console.error('Delete session error:', error);
+    return new Response(JSON.stringify({
+      success: false,
+      error: error.message
+    }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  }
+}
+
+// Handle PUT /api/sessions/keep with { sessionId, keep }
+// Kept sessions are skipped by the scheduled audio retention sweep
+export async function handleSetSessionKeep(request, env, user) {
+  try {
+    const { sessionId, keep } = await request.json();
+
+    if (!sessionId || sessionId.includes('/')) {
+      return new Response('Missing or invalid sessionId', { status: 400 });
+    }
+
+    const sessionPrefix = `${getUserNamespace(user)}${sessionId}/`;
+    const markerKey = getKeepMarkerKey(sessionPrefix);
+
+    const listed = await env.GIST_RECORDINGS.list({ prefix: sessionPrefix, limit: 1 });
+    if (listed.objects.length === 0) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Session not found'
+      }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+        },
+      });
+    }
+
+    if (keep === false) {
+      await env.GIST_RECORDINGS.delete(markerKey);
+    } else {
+      await env.GIST_RECORDINGS.put(markerKey, JSON.stringify({
+        keep: true,
+        updatedAt: new Date().toISOString()
+      }), {
+        httpMetadata: {
+          contentType: 'application/json',
+        },
+      });
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      sessionId: sessionId,
+      keep: keep !== false
+    }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    console.error('Set session keep error:', error);
+    return new Response(JSON.stringify({
+      success: false,
+      error: error.message
+    }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  }
+}
+
+// List every object under a prefix, following R2's cursor
+// Records outside the session folder that belong to it
+//   jobs/<user-id>/<job-id>.json for every job in the manifest's request IDs
+//   shares/<share-id>.json for every share record in the folder
+//   hashes/<user-id>/<sha>.json while the index still points at this session, not a later re-upload
+async function listSessionRecordKeys(env, sessionPrefix, objects, userId) {
+  const manifest = await getManifest(env, sessionPrefix);
+  const jobKeys = await Promise.all((manifest ? manifest.requestIds : []).map(async requestId => {
+    const jobKey = getJobKey(userId, requestId);
+    return await env.GIST_RECORDINGS.head(jobKey) ? jobKey : null;
+  }));
+
+  const transcriptionObjects = objects.filter(obj => obj.key.endsWith('-transcription.json'));
+  const hashKeys = await Promise.all(transcriptionObjects.map(async obj => {
+    const transcriptionObj = await env.GIST_RECORDINGS.get(obj.key);
+    const audioSha256 = transcriptionObj ? (await transcriptionObj.json()).audio_sha256 : null;
+    if (!audioSha256) {
+      return null;
+    }
+    const indexed = await findAudioHash(env, userId, audioSha256);
+    return indexed && getSessionPrefix(indexed.audioKey) === sessionPrefix ? getHashIndexKey(userId, audioSha256) : null;
+  }));
+
+  const sharesPrefix = `${sessionPrefix}shares/`;
+  const shareIndexKeys = objects
+    .filter(obj => obj.key.startsWith(sharesPrefix))
+    .map(obj => getShareIndexKey(obj.key.slice(sharesPrefix.length).replace(/\.json$/, '')));
+
+  // Two transcripts of the same audio share one index entry
+  return [...new Set([...jobKeys, ...hashKeys, ...shareIndexKeys].filter(Boolean))];
+}
+
+export async function listAllObjects(env, prefix) {
+  const objects = [];
+  let cursor;
+
+  do {
+    const listed = await env.GIST_RECORDINGS.list({
+      prefix: prefix,
+      cursor: cursor,
+      include: ['customMetadata']
+    });
+    objects.push(...listed.objects);
+    cursor = listed.truncated ? listed.cursor : undefined;
+  } while (cursor);
+
+  return objects;
+}
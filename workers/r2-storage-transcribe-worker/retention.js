@@ -0,0 +1,257 @@
+// Scheduled retention policy for raw audio
+// Transcripts and summaries are what the app uses, so audio older than the retention
+// window is deleted (or moved to Infrequent Access) while the JSON artifacts stay.
+// A cron run scans at most RETENTION_MAX_SCAN_OBJECTS keys; where it stopped is saved in
+// retention/sweep-state.json and the next run resumes there, so a large bucket is covered
+// over several runs instead of being listed into memory at once.
+
+import { isAudioKey, getSessionPrefix, getKeepMarkerKey, getManifestKey } from './artifact-keys.js';
+import { recordAudioRetention } from './session-manifest.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_MAX_SCAN_OBJECTS = 10000;
+const ARCHIVE_STORAGE_CLASS = 'InfrequentAccess';
+const SWEEP_STATE_KEY = 'retention/sweep-state.json';
+
+// R2 deletes at most 1000 keys per call
+const DELETE_BATCH_SIZE = 1000;
+
+// Run one sweep step, resuming after the last key the previous run scanned
+export async function runRetentionSweep(env, event) {
+  const startTime = Date.now();
+  const sweepId = crypto.randomUUID();
+  const retentionDays = getRetentionDays(env);
+  const action = env.AUDIO_RETENTION_ACTION === 'archive' ? 'archive' : 'delete';
+  const cutoff = (event?.scheduledTime || Date.now()) - retentionDays * 24 * 60 * 60 * 1000;
+  const maxScanObjects = getMaxScanObjects(env);
+  const state = await getSweepState(env);
+  const resumeAfter = state ? state.startAfter : null;
+
+  console.log({
+    event: 'retention_sweep_started',
+    sweep_id: sweepId,
+    cron: event?.cron || null,
+    retention_days: retentionDays,
+    action: action,
+    cutoff: new Date(cutoff).toISOString(),
+    resume_after: resumeAfter,
+    max_scan_objects: maxScanObjects,
+    timestamp: new Date().toISOString()
+  });
+
+  const stats = {
+    scanned_objects: 0,
+    expired_audio: 0,
+    kept: 0,
+    already_archived: 0,
+    deleted: 0,
+    archived: 0,
+    failed: 0,
+    manifests_updated: 0,
+    bytes_affected: 0,
+    pass_completed: false
+  };
+
+  try {
+    // Keep markers and manifests sort after the audio in a session folder, so collect the scanned range first
+    const expiredAudio = [];
+    const keptSessions = new Set();
+    const manifestSessions = new Set();
+    let cursor;
+    let truncated = false;
+    let lastKey = null;
+
+    do {
+      const listed = await env.GIST_RECORDINGS.list({
+        prefix: 'recordings/',
+        cursor: cursor,
+        startAfter: cursor ? undefined : resumeAfter || undefined,
+        limit: Math.min(1000, maxScanObjects - stats.scanned_objects),
+        include: ['customMetadata']
+      });
+
+      for (const obj of listed.objects) {
+        stats.scanned_objects++;
+        lastKey = obj.key;
+        const sessionPrefix = getSessionPrefix(obj.key);
+
+        if (sessionPrefix && obj.key === getKeepMarkerKey(sessionPrefix)) {
+          keptSessions.add(sessionPrefix);
+        } else if (sessionPrefix && obj.key === getManifestKey(sessionPrefix)) {
+          manifestSessions.add(sessionPrefix);
+        } else if (isAudioKey(obj.key) && new Date(obj.uploaded).getTime() < cutoff) {
+          expiredAudio.push(obj);
+        }
+      }
+
+      truncated = listed.truncated;
+      cursor = listed.truncated ? listed.cursor : undefined;
+    } while (cursor && stats.scanned_objects < maxScanObjects);
+
+    // The scan may have stopped inside the last session folder, before its marker and manifest
+    const openSession = truncated && lastKey ? getSessionPrefix(lastKey) : null;
+    if (openSession && expiredAudio.some(obj => getSessionPrefix(obj.key) === openSession)) {
+      const [keepMarker, manifest] = await Promise.all([
+        env.GIST_RECORDINGS.head(getKeepMarkerKey(openSession)),
+        env.GIST_RECORDINGS.head(getManifestKey(openSession))
+      ]);
+      if (keepMarker) {
+        keptSessions.add(openSession);
+      }
+      if (manifest) {
+        manifestSessions.add(openSession);
+      }
+    }
+
+    stats.expired_audio = expiredAudio.length;
+
+    const affected = [];
+    const toDelete = [];
+
+    for (const obj of expiredAudio) {
+      if (keptSessions.has(getSessionPrefix(obj.key)) || obj.customMetadata?.keep === 'true') {
+        stats.kept++;
+        continue;
+      }
+
+      if (action === 'archive' && obj.storageClass === ARCHIVE_STORAGE_CLASS) {
+        stats.already_archived++;
+        continue;
+      }
+
+      if (action === 'delete') {
+        toDelete.push(obj);
+        continue;
+      }
+
+      try {
+        await archiveObject(env, obj);
+        stats.archived++;
+        stats.bytes_affected += obj.size;
+        affected.push(obj);
+      } catch (error) {
+        stats.failed++;
+        logObjectFailed(sweepId, obj.key, action, error);
+      }
+    }
+
+    for (let i = 0; i < toDelete.length; i += DELETE_BATCH_SIZE) {
+      const batch = toDelete.slice(i, i + DELETE_BATCH_SIZE);
+      try {
+        await env.GIST_RECORDINGS.delete(batch.map(obj => obj.key));
+        stats.deleted += batch.length;
+        stats.bytes_affected += batch.reduce((total, obj) => total + obj.size, 0);
+        affected.push(...batch);
+      } catch (error) {
+        stats.failed += batch.length;
+        logObjectFailed(sweepId, batch[0].key, action, error, batch.length);
+      }
+    }
+
+    // Keep manifests in step, so nothing links to audio that is gone
+    for (const obj of affected) {
+      if (!manifestSessions.has(getSessionPrefix(obj.key))) {
+        continue;
+      }
+      try {
+        await recordAudioRetention(env, obj.key, action === 'archive' ? 'archived' : 'deleted', ARCHIVE_STORAGE_CLASS);
+        stats.manifests_updated++;
+      } catch (error) {
+        logObjectFailed(sweepId, getManifestKey(getSessionPrefix(obj.key)), 'manifest_update', error);
+      }
+    }
+
+    // Resume after the last scanned key next run, or start over once the listing is exhausted
+    if (truncated) {
+      await saveSweepState(env, { startAfter: lastKey, sweepId: sweepId });
+    } else {
+      stats.pass_completed = true;
+      if (state) {
+        await env.GIST_RECORDINGS.delete(SWEEP_STATE_KEY);
+      }
+    }
+
+    console.log({
+      event: 'retention_sweep_completed',
+      sweep_id: sweepId,
+      cron: event?.cron || null,
+      retention_days: retentionDays,
+      action: action,
+      success: stats.failed === 0,
+      ...stats,
+      total_processing_time_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+
+    return stats;
+
+  } catch (error) {
+    console.log({
+      event: 'retention_sweep_failed',
+      sweep_id: sweepId,
+      error_type: error.name,
+      error_message: error.message,
+      processing_time_ms: Date.now() - startTime,
+      stack_trace: error.stack,
+      ...stats,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+function logObjectFailed(sweepId, key, action, error, batchSize = 1) {
+  console.log({
+    event: 'retention_object_failed',
+    sweep_id: sweepId,
+    key: key,
+    batch_size: batchSize,
+    action: action,
+    error_message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function getRetentionDays(env) {
+  const configured = parseFloat(env.AUDIO_RETENTION_DAYS);
+  return configured > 0 ? configured : DEFAULT_RETENTION_DAYS;
+}
+
+function getMaxScanObjects(env) {
+  const configured = parseInt(env.RETENTION_MAX_SCAN_OBJECTS, 10);
+  return configured > 0 ? configured : DEFAULT_MAX_SCAN_OBJECTS;
+}
+
+async function getSweepState(env) {
+  const obj = await env.GIST_RECORDINGS.get(SWEEP_STATE_KEY);
+  return obj ? await obj.json() : null;
+}
+
+async function saveSweepState(env, { startAfter, sweepId }) {
+  await env.GIST_RECORDINGS.put(SWEEP_STATE_KEY, JSON.stringify({
+    startAfter: startAfter,
+    sweepId: sweepId,
+    updatedAt: new Date().toISOString()
+  }), {
+    httpMetadata: {
+      contentType: 'application/json',
+    },
+  });
+}
+
+// Rewrite an object in place under the Infrequent Access storage class
+async function archiveObject(env, obj) {
+  const source = await env.GIST_RECORDINGS.get(obj.key);
+  if (!source) {
+    return;
+  }
+
+  await env.GIST_RECORDINGS.put(obj.key, source.body, {
+    httpMetadata: source.httpMetadata,
+    customMetadata: {
+      ...source.customMetadata,
+      'archived-at': new Date().toISOString()
+    },
+    storageClass: ARCHIVE_STORAGE_CLASS
+  });
+}
@@ -0,0 +1,254 @@
+// Session manifest: one JSON object per session tracking every pipeline artifact
+// Records artifact keys, each stage's status, errors, timings, models and request IDs.
+// Writes use the manifest's ETag so concurrent stages don't overwrite each other.
+
+import { getUserNamespace, isOwnedKey, forbiddenKeyResponse } from './ownership.js';
+import { getSessionPrefix, getSessionIdFromPrefix, getManifestKey } from './artifact-keys.js';
+import { notifyStageWebhooks } from './webhooks.js';
+
+const MANIFEST_VERSION = 1;
+const MAX_WRITE_ATTEMPTS = 5;
+const MAX_HISTORY_ENTRIES = 50;
+
+// Overall session status after a stage transition
+const OVERALL_STATUS = {
+  upload: { running: 'uploading', completed: 'uploaded', failed: 'failed' },
+  transcription: {
+    queued: 'queued',
+    running: 'transcribing',
+    retrying: 'retrying',
+    completed: 'transcribed',
+    no_speech: 'no_speech',
+    failed: 'failed'
+  },
+  summary: {
+    queued: 'queued',
+    running: 'summarizing',
+    retrying: 'retrying',
+    completed: 'summarized',
+    skipped: 'transcribed',
+    no_speech: 'no_speech',
+    failed: 'failed'
+  }
+};
+
+export async function getManifest(env, key) {
+  const obj = await env.GIST_RECORDINGS.get(getManifestKey(getSessionPrefix(key)));
+  return obj ? await obj.json() : null;
+}
+
+// Apply `updater` to the session's manifest, creating it if needed
+// Retries when another write landed between our read and our put
+export async function updateManifest(env, key, updater) {
+  const sessionPrefix = getSessionPrefix(key);
+  const manifestKey = getManifestKey(sessionPrefix);
+
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const existing = await env.GIST_RECORDINGS.get(manifestKey);
+    const manifest = existing ? await existing.json() : createManifest(sessionPrefix);
+
+    updater(manifest);
+    manifest.updatedAt = new Date().toISOString();
+
+    const written = await env.GIST_RECORDINGS.put(manifestKey, JSON.stringify(manifest), {
+      httpMetadata: {
+        contentType: 'application/json',
+      },
+      // Lets the recordings library show the status straight from a bucket listing
+      customMetadata: { status: manifest.status },
+      onlyIf: existing ? { etagMatches: existing.etag } : { etagDoesNotMatch: '*' },
+    });
+
+    if (written) {
+      return manifest;
+    }
+  }
+
+  throw new Error(`Manifest ${manifestKey} changed during ${MAX_WRITE_ATTEMPTS} write attempts`);
+}
+
+// Record a stage transition; never throws so a manifest problem can't fail the pipeline
+// `details` may include status, requestId, model, error, artifacts and any stage fields
+export async function recordStage(env, key, stage, details) {
+  // Keys outside a session folder have no manifest
+  if (!getSessionPrefix(key)) {
+    return null;
+  }
+
+  let manifest;
+  try {
+    manifest = await updateManifest(env, key, manifest => {
+      const { status, requestId, error, artifacts, ...fields } = details;
+      const now = new Date().toISOString();
+      const previous = manifest.stages[stage] || {};
+
+      const next = {
+        ...previous,
+        ...fields,
+        status: status,
+        requestId: requestId || previous.requestId || null,
+        updatedAt: now
+      };
+
+      if (status === 'queued') {
+        next.queuedAt = now;
+        next.startedAt = null;
+        next.completedAt = null;
+        next.durationMs = null;
+        next.error = null;
+      } else if (status === 'running') {
+        next.startedAt = now;
+        next.completedAt = null;
+        next.durationMs = null;
+        next.error = null;
+      } else if (status === 'retrying') {
+        // A failed attempt that the job queue will run again; the stage isn't over
+        next.completedAt = null;
+        next.durationMs = null;
+        next.error = error || 'Unknown error';
+      } else {
+        next.completedAt = now;
+        if (previous.startedAt && previous.status === 'running') {
+          next.durationMs = Date.parse(now) - Date.parse(previous.startedAt);
+        }
+        next.error = status === 'failed' ? (error || 'Unknown error') : null;
+      }
+
+      manifest.stages[stage] = next;
+      manifest.artifacts = { ...manifest.artifacts, ...artifacts };
+      // Styled summary stages (summary_<style>) leave the overall status alone
+      manifest.status = (OVERALL_STATUS[stage] || {})[status] || manifest.status;
+
+      if (requestId && !manifest.requestIds.includes(requestId)) {
+        manifest.requestIds.push(requestId);
+      }
+
+      manifest.history.push({ stage, status, at: now, requestId: requestId || null, error: next.error });
+      manifest.history = manifest.history.slice(-MAX_HISTORY_ENTRIES);
+    });
+  } catch (error) {
+    console.log({
+      event: 'manifest_update_failed',
+      key: key,
+      stage: stage,
+      stage_status: details.status,
+      error_message: error.message,
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  await notifyStageWebhooks(env, key, stage, manifest);
+  return manifest;
+}
+
+// Note that the retention sweep deleted or archived the session's audio
+// Deleted audio is cleared from artifacts.audio so clients stop offering a missing download
+export async function recordAudioRetention(env, audioKey, action, storageClass) {
+  return await updateManifest(env, audioKey, manifest => {
+    if (action === 'deleted' && manifest.artifacts.audio === audioKey) {
+      manifest.artifacts = { ...manifest.artifacts, audio: null };
+    }
+    manifest.audioRetention = {
+      action: action,
+      audioKey: audioKey,
+      storageClass: action === 'archived' ? storageClass : null,
+      at: new Date().toISOString()
+    };
+  });
+}
+
+function createManifest(sessionPrefix) {
+  const now = new Date().toISOString();
+  const namespaceEnd = sessionPrefix.indexOf('-', 'recordings/'.length);
+
+  return {
+    version: MANIFEST_VERSION,
+    sessionPrefix: sessionPrefix,
+    sessionId: getSessionIdFromPrefix(sessionPrefix, sessionPrefix.slice(0, namespaceEnd + 1)),
+    status: 'pending',
+    artifacts: {},
+    stages: {},
+    requestIds: [],
+    history: [],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Resolve ?sessionId= (or ?key=<any key in the session>) to a key inside the caller's session
+// Returns { sessionKey } or { response } with the 400/403 to send back
+export function resolveSessionKey(request, user) {
+  const url = new URL(request.url);
+  const sessionId = url.searchParams.get('sessionId');
+  const key = url.searchParams.get('key');
+
+  let sessionKey;
+  if (sessionId) {
+    if (sessionId.includes('/')) {
+      return { response: new Response('Invalid sessionId', { status: 400 }) };
+    }
+    sessionKey = `${getUserNamespace(user)}${sessionId}/`;
+  } else if (key) {
+    if (!isOwnedKey(key, user)) {
+      return { response: forbiddenKeyResponse(key, user) };
+    }
+    sessionKey = key;
+  }
+
+  if (!sessionKey || !getSessionPrefix(sessionKey)) {
+    return { response: new Response('Missing sessionId or key parameter', { status: 400 }) };
+  }
+
+  return { sessionKey };
+}
+
+// Handle GET /api/sessions/status?sessionId= (or ?key=<any key in the session>)
+export async function handleSessionStatus(request, env, user) {
+  try {
+    const { sessionKey, response } = resolveSessionKey(request, user);
+    if (response) {
+      return response;
+    }
+
+    const manifest = await getManifest(env, sessionKey);
+
+    if (!manifest) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Session manifest not found'
+      }), {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+        },
+      });
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      manifest: manifest
+    }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    console.error('Session status error:', error);
+    return new Response(JSON.stringify({
+      success: false,
+      error: error.message
+    }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+  }
+}
@@ -0,0 +1,159 @@
+// Live session status over Server-Sent Events
+// R2 has no change notifications, so the stream re-reads the session manifest every couple of
+// seconds and pushes each new stage transition. It ends once the session is done or failed, or
+// after SESSION_STREAM_MAX_SECONDS; the first event of every connection is a full snapshot, so
+// a client that reconnects never misses a state.
+
+import { getManifest, resolveSessionKey } from './session-manifest.js';
+
+const POLL_INTERVAL_MS = 2000;
+const HEARTBEAT_INTERVAL_MS = 15000;
+const DEFAULT_MAX_SECONDS = 300;
+
+// Phase reported to clients for each overall manifest status
+const PHASES = {
+  pending: 'pending',
+  uploading: 'uploading',
+  uploaded: 'uploaded',
+  queued: 'queued',
+  transcribing: 'transcribing',
+  retrying: 'retrying',
+  transcribed: 'transcribed',
+  summarizing: 'summarizing',
+  summarized: 'done',
+  no_speech: 'done',
+  failed: 'failed'
+};
+
+const FINAL_PHASES = ['done', 'failed'];
+
+export function getSessionPhase(manifest) {
+  if (!manifest) {
+    return 'pending';
+  }
+
+  // A skipped (non-English) summary leaves the session transcribed, but nothing else is coming
+  if (manifest.stages.summary && manifest.stages.summary.status === 'skipped') {
+    return 'done';
+  }
+
+  // Likewise for a transcribe-only job (e.g. an upload with process=transcribe)
+  const transcription = manifest.stages.transcription;
+  if (manifest.status === 'transcribed' && transcription && transcription.summaryRequested === false) {
+    return 'done';
+  }
+
+  return PHASES[manifest.status] || manifest.status;
+}
+
+function getMaxStreamMs(env) {
+  const seconds = parseFloat(env.SESSION_STREAM_MAX_SECONDS);
+  return (seconds > 0 ? seconds : DEFAULT_MAX_SECONDS) * 1000;
+}
+
+function historyEntryId(entry) {
+  return `${entry.at}|${entry.stage}|${entry.status}`;
+}
+
+// Handle GET /api/sessions/stream?sessionId= (or ?key=<any key in the session>)
+// Events: snapshot (on connect), stage (each transition), status (phase changes), end
+export async function handleSessionStream(request, env, user) {
+  const { sessionKey, response } = resolveSessionKey(request, user);
+  if (response) {
+    return response;
+  }
+
+  const { readable, writable } = new TransformStream();
+
+  // Not awaited: the loop writes to the response while it streams out
+  streamSession(env, sessionKey, writable.getWriter());
+
+  return new Response(readable, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
+
+async function streamSession(env, sessionKey, writer) {
+  const encoder = new TextEncoder();
+  const startTime = Date.now();
+  const deadline = startTime + getMaxStreamMs(env);
+  let lastWrite = startTime;
+  let eventsSent = 0;
+  let endReason = null;
+  let errorMessage = null;
+
+  const write = async text => {
+    await writer.write(encoder.encode(text));
+    lastWrite = Date.now();
+  };
+  const send = async (event, data) => {
+    await write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    eventsSent++;
+  };
+
+  console.log({
+    event: 'session_stream_opened',
+    session_key: sessionKey,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    let manifest = await getManifest(env, sessionKey);
+    let phase = getSessionPhase(manifest);
+    const seen = new Set((manifest ? manifest.history : []).map(historyEntryId));
+
+    await send('snapshot', { phase: phase, status: manifest ? manifest.status : null, manifest: manifest });
+
+    while (!FINAL_PHASES.includes(phase) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+
+      manifest = await getManifest(env, sessionKey);
+      if (!manifest) {
+        if (Date.now() - lastWrite >= HEARTBEAT_INTERVAL_MS) {
+          await write(': keep-alive\n\n');
+        }
+        continue;
+      }
+
+      for (const entry of manifest.history) {
+        if (!seen.has(historyEntryId(entry))) {
+          seen.add(historyEntryId(entry));
+          await send('stage', entry);
+        }
+      }
+
+      const nextPhase = getSessionPhase(manifest);
+      if (nextPhase !== phase) {
+        phase = nextPhase;
+        await send('status', { phase: phase, status: manifest.status, manifest: manifest });
+      } else if (Date.now() - lastWrite >= HEARTBEAT_INTERVAL_MS) {
+        await write(': keep-alive\n\n');
+      }
+    }
+
+    endReason = FINAL_PHASES.includes(phase) ? 'finished' : 'timeout';
+    await send('end', { phase: phase, reason: endReason });
+    await writer.close();
+
+  } catch (error) {
+    // Includes the write that fails once the client disconnects
+    endReason = 'error';
+    errorMessage = error.message;
+    writer.abort(error).catch(() => {});
+  }
+
+  console.log({
+    event: 'session_stream_closed',
+    session_key: sessionKey,
+    reason: endReason,
+    error_message: errorMessage,
+    events_sent: eventsSent,
+    duration_ms: Date.now() - startTime,
+    timestamp: new Date().toISOString()
+  });
+}
@@ -0,0 +1,380 @@
+// Expiring share links for a session's summary and transcript
+// A link carries only an opaque share ID and its HMAC signature. The share record lives under
+// <session>/shares/<id>.json (audio key, expiry), and shares/<id>.json points a share ID at its
+// session; deleting the record revokes the link, and deleting the session removes both.
+
+import { isOwnedKey, forbiddenKeyResponse } from './ownership.js';
+import {
+  isAudioKey,
+  getTranscriptionKey,
+  getSummaryKey,
+  getSessionPrefix
+} from './artifact-keys.js';
+import { serveObject } from './object-delivery.js';
+
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 30 * 24;
+
+const SHARE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Handle POST /api/shares with { audioKey, expiresInHours?, includeAudio? }
+export async function handleCreateShare(request, env, user) {
+  try {
+    const secret = env.SHARE_LINK_SECRET;
+    if (!secret) {
+      return jsonResponse({ success: false, error: 'Share links are not configured' }, 500);
+    }
+
+    const { audioKey, expiresInHours, includeAudio } = await request.json();
+
+    if (!audioKey) {
+      return new Response('Missing audioKey', { status: 400 });
+    }
+
+    if (!isAudioKey(audioKey)) {
+      return new Response('audioKey must be a recording', { status: 400 });
+    }
+
+    if (!isOwnedKey(audioKey, user)) {
+      return forbiddenKeyResponse(audioKey, user);
+    }
+
+    // Nothing to share until there is at least a transcript
+    const transcription = await env.GIST_RECORDINGS.head(getTranscriptionKey(audioKey));
+    if (!transcription) {
+      return jsonResponse({ success: false, error: 'Transcription not found' }, 404);
+    }
+
+    const hours = Math.min(parseFloat(expiresInHours) > 0 ? parseFloat(expiresInHours) : DEFAULT_EXPIRY_HOURS, MAX_EXPIRY_HOURS);
+    const shareId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + Math.round(hours * 3600) * 1000);
+
+    const record = {
+      shareId: shareId,
+      audioKey: audioKey,
+      includeAudio: includeAudio === true,
+      createdBy: user.id,
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt.toISOString()
+    };
+
+    await env.GIST_RECORDINGS.put(getShareRecordKey(audioKey, shareId), JSON.stringify(record), {
+      httpMetadata: {
+        contentType: 'application/json',
+      },
+    });
+    await env.GIST_RECORDINGS.put(getShareIndexKey(shareId), JSON.stringify({ shareId: shareId, audioKey: audioKey }), {
+      httpMetadata: {
+        contentType: 'application/json',
+      },
+    });
+
+    const token = await signShareToken(secret, shareId);
+    const url = `${new URL(request.url).origin}/share/${token}`;
+
+    console.log({
+      event: 'share_link_created',
+      user_id: user.id,
+      share_id: shareId,
+      audio_key: audioKey,
+      include_audio: record.includeAudio,
+      expires_at: record.expiresAt,
+      timestamp: new Date().toISOString()
+    });
+
+    return jsonResponse({ success: true, ...record, url: url });
+
+  } catch (error) {
+    console.error('Create share error:', error);
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+// Handle GET /api/shares?audioKey= (active and expired shares for a recording)
+export async function handleListShares(request, env, user) {
+  try {
+    const audioKey = new URL(request.url).searchParams.get('audioKey');
+
+    if (!audioKey) {
+      return new Response('Missing audioKey parameter', { status: 400 });
+    }
+
+    if (!isOwnedKey(audioKey, user)) {
+      return forbiddenKeyResponse(audioKey, user);
+    }
+
+    const listed = await env.GIST_RECORDINGS.list({ prefix: `${getSessionPrefix(audioKey)}shares/` });
+    const records = await Promise.all(listed.objects.map(async obj => {
+      const recordObj = await env.GIST_RECORDINGS.get(obj.key);
+      return recordObj ? await recordObj.json() : null;
+    }));
+
+    return jsonResponse({
+      success: true,
+      shares: records.filter(record => record && record.audioKey === audioKey)
+    });
+
+  } catch (error) {
+    console.error('List shares error:', error);
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+// Handle DELETE /api/shares?audioKey=&shareId=
+export async function handleRevokeShare(request, env, user) {
+  try {
+    const url = new URL(request.url);
+    const audioKey = url.searchParams.get('audioKey');
+    const shareId = url.searchParams.get('shareId');
+
+    if (!audioKey || !shareId) {
+      return new Response('Missing audioKey or shareId parameter', { status: 400 });
+    }
+
+    if (!isOwnedKey(audioKey, user)) {
+      return forbiddenKeyResponse(audioKey, user);
+    }
+
+    const recordKey = getShareRecordKey(audioKey, shareId);
+    const existing = await env.GIST_RECORDINGS.head(recordKey);
+    if (!existing) {
+      return jsonResponse({ success: false, error: 'Share not found' }, 404);
+    }
+
+    await env.GIST_RECORDINGS.delete([recordKey, getShareIndexKey(shareId)]);
+
+    console.log({
+      event: 'share_link_revoked',
+      user_id: user.id,
+      share_id: shareId,
+      audio_key: audioKey,
+      timestamp: new Date().toISOString()
+    });
+
+    return jsonResponse({ success: true, shareId: shareId, revoked: true });
+
+  } catch (error) {
+    console.error('Revoke share error:', error);
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+// Handle public GET /share/<token> and /share/<token>/audio (no Google sign-in)
+export async function handlePublicShare(request, env, path) {
+  try {
+    const [, , token, resource] = path.split('/');
+
+    const share = await resolveShare(env, token);
+    if (!share) {
+      return htmlResponse(renderMessagePage('Link unavailable', 'This share link is invalid, has expired, or was revoked.'), 404);
+    }
+
+    if (resource === 'audio') {
+      if (!share.includeAudio) {
+        return new Response('Not Found', { status: 404 });
+      }
+      return await serveObject(request, env, share.audioKey, { cacheControl: 'private, max-age=300' });
+    }
+
+    if (resource) {
+      return new Response('Not Found', { status: 404 });
+    }
+
+    const [summaryObj, transcriptionObj, audioHead] = await Promise.all([
+      env.GIST_RECORDINGS.get(getSummaryKey(share.audioKey)),
+      env.GIST_RECORDINGS.get(getTranscriptionKey(share.audioKey)),
+      env.GIST_RECORDINGS.head(share.audioKey)
+    ]);
+
+    const summary = summaryObj ? await summaryObj.json() : null;
+    const transcription = transcriptionObj ? await transcriptionObj.json() : null;
+
+    console.log({
+      event: 'share_link_viewed',
+      share_id: share.shareId,
+      audio_key: share.audioKey,
+      timestamp: new Date().toISOString()
+    });
+
+    return htmlResponse(renderSharePage({
+      title: audioHead?.customMetadata?.['tab-title'] || 'Lecture notes',
+      recordedAt: audioHead?.customMetadata?.timestamp || transcription?.timestamp,
+      summary: summary?.summary,
+      transcript: transcription?.text,
+      audioUrl: share.includeAudio && audioHead ? `/share/${token}/audio` : null,
+      expiresAt: share.expiresAt
+    }));
+
+  } catch (error) {
+    console.error('Public share error:', error);
+    return htmlResponse(renderMessagePage('Something went wrong', 'This page could not be loaded. Please try again later.'), 500);
+  }
+}
+
+// Verify a token, then find its record through the share index; the record holds key and expiry
+async function resolveShare(env, token) {
+  if (!env.SHARE_LINK_SECRET || !token) {
+    return null;
+  }
+
+  const shareId = await verifyShareToken(env.SHARE_LINK_SECRET, token);
+  if (!shareId) {
+    return null;
+  }
+
+  const indexObj = await env.GIST_RECORDINGS.get(getShareIndexKey(shareId));
+  if (!indexObj) {
+    return null;
+  }
+
+  const { audioKey } = await indexObj.json();
+  const recordObj = await env.GIST_RECORDINGS.get(getShareRecordKey(audioKey, shareId));
+  if (!recordObj) {
+    return null;
+  }
+
+  const record = await recordObj.json();
+  if (record.audioKey !== audioKey || Date.parse(record.expiresAt) < Date.now()) {
+    return null;
+  }
+  return record;
+}
+
+function getShareRecordKey(audioKey, shareId) {
+  return `${getSessionPrefix(audioKey)}shares/${shareId}.json`;
+}
+
+export function getShareIndexKey(shareId) {
+  return `shares/${shareId}.json`;
+}
+
+async function getHmacKey(secret) {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+// Token: <share-id>.<signature>
+async function signShareToken(secret, shareId) {
+  const signature = await crypto.subtle.sign('HMAC', await getHmacKey(secret), new TextEncoder().encode(shareId));
+  return `${shareId}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+// Returns the share ID of a correctly signed token, or null
+async function verifyShareToken(secret, token) {
+  const [shareId, encodedSignature] = token.split('.');
+  if (!SHARE_ID_PATTERN.test(shareId || '') || !encodedSignature) {
+    return null;
+  }
+
+  try {
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await getHmacKey(secret),
+      base64UrlDecode(encodedSignature),
+      new TextEncoder().encode(shareId)
+    );
+    return valid ? shareId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const PAGE_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 760px; margin: 40px auto; padding: 0 20px; color: #1f2933; line-height: 1.6; }
+  h1 { font-size: 1.6rem; margin-bottom: 0.2rem; }
+  h2 { font-size: 1.15rem; margin-top: 2rem; border-bottom: 1px solid #e4e7eb; padding-bottom: 0.3rem; }
+  .meta { color: #616e7c; font-size: 0.9rem; }
+  .transcript { white-space: pre-wrap; }
+  audio { width: 100%; margin-top: 1rem; }
+  footer { margin-top: 3rem; color: #9aa5b1; font-size: 0.8rem; }
+`;
+
+function renderSharePage({ title, recordedAt, summary, transcript, audioUrl, expiresAt }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} - Gist</title>
+  <style>${PAGE_STYLES}</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${recordedAt ? `<div class="meta">Recorded ${escapeHtml(new Date(recordedAt).toUTCString())}</div>` : ''}
+  ${audioUrl ? `<audio controls preload="metadata" src="${escapeHtml(audioUrl)}"></audio>` : ''}
+  <h2>Summary</h2>
+  <p>${summary ? escapeHtml(summary) : '<em>No summary is available yet.</em>'}</p>
+  <h2>Transcript</h2>
+  <div class="transcript">${transcript ? escapeHtml(transcript) : '<em>No transcript is available.</em>'}</div>
+  <footer>Shared read-only with Gist. This link expires ${escapeHtml(new Date(expiresAt).toUTCString())}.</footer>
+</body>
+</html>`;
+}
+
+function renderMessagePage(heading, message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(heading)} - Gist</title>
+  <style>${PAGE_STYLES}</style>
+</head>
+<body>
+  <h1>${escapeHtml(heading)}</h1>
+  <p>${escapeHtml(message)}</p>
+</body>
+</html>`;
+}
+
+function htmlResponse(html, status = 200) {
+  return new Response(html, {
+    status: status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; media-src 'self'",
+      'Referrer-Policy': 'no-referrer',
+      'X-Robots-Tag': 'noindex',
+    },
+  });
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status: status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
@@ -0,0 +1,102 @@
+// No-speech detection for Whisper output
+// A muted tab or a silent room gives Whisper nothing to transcribe, and it answers with
+// empty text, stock phrases from its training subtitles, or one line repeated over and
+// over. Those transcripts are stored with status no_speech instead of being summarized.
+
+// Above this (duration-weighted) no_speech_prob the audio is treated as silence
+const NO_SPEECH_PROBABILITY = 0.6;
+
+// Phrases Whisper produces from silence; a transcript made only of these is discarded
+const HALLUCINATION_PHRASES = [
+  'thank you',
+  'thanks',
+  'thank you very much',
+  'thanks for watching',
+  'thank you for watching',
+  'thank you so much for watching',
+  'please subscribe',
+  'like and subscribe',
+  'subtitles by the amara org community',
+  'you',
+  'bye',
+  'okay',
+  'so'
+];
+
+// A transcript with this many segments mostly repeating one line is a loop, not a lecture
+const MIN_REPEATED_SEGMENTS = 3;
+const REPEATED_SEGMENT_SHARE = 0.8;
+
+// ...or this many words with almost no vocabulary
+const MIN_REPEATED_WORDS = 20;
+const MIN_DISTINCT_WORD_RATIO = 0.1;
+
+// Returns null when the transcript looks like speech, otherwise { reason, ...details }
+// `segments` are Whisper's segments, with `noSpeechProb` when the model reports it
+export function detectNoSpeech({ text, segments = [] }) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    return { reason: 'empty_text' };
+  }
+
+  const noSpeechProbability = getNoSpeechProbability(segments);
+  if (noSpeechProbability !== null && noSpeechProbability >= NO_SPEECH_PROBABILITY) {
+    return { reason: 'silence', no_speech_probability: noSpeechProbability };
+  }
+
+  const sentences = trimmed
+    .split(/[.!?…]+(?=\s|$)/)
+    .map(normalize)
+    .filter(Boolean);
+  if (sentences.length && sentences.every(sentence => HALLUCINATION_PHRASES.includes(sentence))) {
+    return { reason: 'hallucination', pattern: 'stock_phrase', phrase: sentences[0] };
+  }
+
+  const segmentTexts = segments.map(segment => normalize(segment.text)).filter(Boolean);
+  if (segmentTexts.length >= MIN_REPEATED_SEGMENTS) {
+    const [line, count] = mostCommon(segmentTexts);
+    if (count / segmentTexts.length >= REPEATED_SEGMENT_SHARE) {
+      return { reason: 'hallucination', pattern: 'repeated_segment', phrase: line, repeats: count };
+    }
+  }
+
+  const words = normalize(trimmed).split(' ');
+  if (words.length >= MIN_REPEATED_WORDS && new Set(words).size / words.length < MIN_DISTINCT_WORD_RATIO) {
+    return { reason: 'hallucination', pattern: 'repeated_words', phrase: mostCommon(words)[0], repeats: words.length };
+  }
+
+  return null;
+}
+
+// Mean no_speech_prob weighted by segment length, or null if the model didn't report it
+function getNoSpeechProbability(segments) {
+  let weighted = 0;
+  let total = 0;
+
+  for (const segment of segments) {
+    if (typeof segment.noSpeechProb !== 'number') {
+      continue;
+    }
+    const duration = Math.max(segment.end - segment.start, 0.01);
+    weighted += segment.noSpeechProb * duration;
+    total += duration;
+  }
+
+  return total > 0 ? parseFloat((weighted / total).toFixed(3)) : null;
+}
+
+function normalize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+}
@@ -0,0 +1,111 @@
+// Streaming upload helpers
+// Request bodies are piped straight into R2 through a FixedLengthStream, so the worker
+// never holds a whole recording in memory and a cut-short stream fails the write.
+
+// Default cap on a single recording (override with MAX_UPLOAD_BYTES)
+const DEFAULT_MAX_UPLOAD_BYTES = 500 * 1024 * 1024;
+
+export function getMaxUploadBytes(env) {
+  const configured = parseInt(env.MAX_UPLOAD_BYTES, 10);
+  return configured > 0 ? configured : DEFAULT_MAX_UPLOAD_BYTES;
+}
+
+// Check Content-Length and the client's declared size before reading the body
+// Returns { size } when the upload may proceed, or { response } to send back
+export function checkUploadSize(request, env) {
+  const contentLengthHeader = request.headers.get('Content-Length');
+  const declaredSizeHeader = request.headers.get('X-Declared-Size');
+  const maxBytes = getMaxUploadBytes(env);
+
+  if (contentLengthHeader === null || !request.body) {
+    return {
+      response: uploadErrorResponse(411, 'length_required', 'Content-Length header is required for uploads')
+    };
+  }
+
+  const contentLength = parseInt(contentLengthHeader, 10);
+
+  if (!Number.isSafeInteger(contentLength) || contentLength < 0) {
+    return {
+      response: uploadErrorResponse(400, 'invalid_content_length', 'Content-Length must be a non-negative integer')
+    };
+  }
+
+  if (contentLength === 0) {
+    return { response: new Response('Empty file', { status: 400 }) };
+  }
+
+  if (declaredSizeHeader !== null && parseInt(declaredSizeHeader, 10) !== contentLength) {
+    return {
+      response: uploadErrorResponse(400, 'size_mismatch', 'X-Declared-Size does not match Content-Length', {
+        declaredSize: parseInt(declaredSizeHeader, 10),
+        contentLength: contentLength
+      })
+    };
+  }
+
+  if (contentLength > maxBytes) {
+    return {
+      response: uploadErrorResponse(413, 'file_too_large', `Upload exceeds the ${maxBytes} byte limit`, {
+        size: contentLength,
+        maxBytes: maxBytes
+      })
+    };
+  }
+
+  return { size: contentLength };
+}
+
+// Pipe a request body into an R2 write of exactly `size` bytes
+// `write` receives the readable side, e.g. stream => bucket.put(key, stream, options)
+export async function pipeBodyToR2(body, size, write) {
+  const { readable, writable } = new FixedLengthStream(size);
+
+  let streamError = null;
+  const pipePromise = body.pipeTo(writable).catch(error => {
+    streamError = error;
+    throw error;
+  });
+
+  try {
+    const [result] = await Promise.all([write(readable), pipePromise]);
+    return result;
+  } catch (error) {
+    if (streamError) {
+      throw new IncompleteUploadError(size, streamError);
+    }
+    throw error;
+  }
+}
+
+// Raised when the client stream ends (or errors) before the declared length
+export class IncompleteUploadError extends Error {
+  constructor(expectedSize, cause) {
+    super(`Upload stream ended before ${expectedSize} bytes were received`);
+    this.name = 'IncompleteUploadError';
+    this.expectedSize = expectedSize;
+    this.cause = cause;
+  }
+}
+
+export function incompleteUploadResponse(error) {
+  return uploadErrorResponse(400, 'incomplete_upload', error.message, {
+    expectedSize: error.expectedSize,
+    cause: error.cause?.message
+  });
+}
+
+export function uploadErrorResponse(status, code, message, details = {}) {
+  return new Response(JSON.stringify({
+    success: false,
+    error: message,
+    code: code,
+    ...details
+  }), {
+    status: status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
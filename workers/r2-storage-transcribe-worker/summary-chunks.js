@@ -0,0 +1,65 @@
+// Split long transcripts into chunks that fit the summary model
+// bart-large-cnn reads at most 1024 tokens, so a lecture is cut on sentence boundaries into
+// chunks of a few hundred words, each chunk is summarized (map), and the section summaries
+// are summarized again (reduce) until they fit a single call. Summary styles do the same with
+// larger chunks on the instruction-tuned model.
+
+// ~1.4 tokens per English word leaves headroom under BART's 1024-token input
+const DEFAULT_CHUNK_WORDS = 600;
+
+// The instruction-tuned model for summary styles reads ~8k tokens, prompt and reply included
+const DEFAULT_STYLED_CHUNK_WORDS = 3000;
+
+// Chunk size in words (override with SUMMARY_CHUNK_WORDS, or STYLED_SUMMARY_CHUNK_WORDS for styles)
+export function getChunkWords(env, { styled = false } = {}) {
+  const words = parseInt(styled ? env.STYLED_SUMMARY_CHUNK_WORDS : env.SUMMARY_CHUNK_WORDS, 10);
+  if (words > 0) {
+    return words;
+  }
+  return styled ? DEFAULT_STYLED_CHUNK_WORDS : DEFAULT_CHUNK_WORDS;
+}
+
+// Sentences with their closing punctuation; text without any punctuation is one sentence
+export function splitSentences(text) {
+  return (text || '')
+    .split(/(?<=[.!?…]["')\]]*)\s+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+// Group whole sentences into chunks of at most `maxWords` words
+// A single sentence longer than that (Whisper output without punctuation) is cut between words
+export function chunkTranscript(text, maxWords) {
+  const chunks = [];
+  let current = [];
+  let currentWords = 0;
+
+  const flush = () => {
+    if (current.length) {
+      chunks.push(current.join(' '));
+      current = [];
+      currentWords = 0;
+    }
+  };
+
+  for (const sentence of splitSentences(text)) {
+    const words = sentence.split(/\s+/);
+
+    if (words.length > maxWords) {
+      flush();
+      for (let i = 0; i < words.length; i += maxWords) {
+        chunks.push(words.slice(i, i + maxWords).join(' '));
+      }
+      continue;
+    }
+
+    if (currentWords + words.length > maxWords) {
+      flush();
+    }
+    current.push(sentence);
+    currentWords += words.length;
+  }
+
+  flush();
+  return chunks;
+}
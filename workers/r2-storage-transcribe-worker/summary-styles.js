@@ -0,0 +1,67 @@
+// Prompt templates for styled summaries
+// Each style runs on the instruction-tuned model (model registry task 'styled_summary') and is
+// stored beside the BART summary as <recording>-summary-<style>.json. Bump a template's version
+// whenever its prompt changes: summaries stored from an older version are then regenerated.
+
+const SYSTEM_PROMPT = 'You turn lecture and meeting transcripts into written summaries for students. ' +
+  'Use only information from the text you are given, keep names, terms and numbers exactly as they appear, ' +
+  'and write in English.';
+
+export const SUMMARY_STYLES = {
+  key_points: {
+    version: 1,
+    instructions: 'List the key points as 5 to 10 short bullet points, each on its own line starting with "- ". ' +
+      'Reply with the bullet points only.',
+    maxTokens: 512
+  },
+  study_notes: {
+    version: 1,
+    instructions: 'Write detailed study notes in Markdown: a "##" heading for each main topic in the order it was covered, ' +
+      'with the definitions, formulas, examples and explanations given under it. ' +
+      'End with a "## Review questions" section of 3 to 5 questions. Reply with the notes only.',
+    maxTokens: 2048
+  },
+  executive_brief: {
+    version: 1,
+    instructions: 'Write an executive brief: one sentence with the main message, then at most three short paragraphs ' +
+      'on the key takeaways and why they matter. Plain prose, no headings or lists. Reply with the brief only.',
+    maxTokens: 512
+  },
+  meeting_minutes: {
+    version: 1,
+    instructions: 'Write meeting minutes in Markdown with the sections "## Participants" (only people named in the text, ' +
+      'otherwise "Not recorded"), "## Topics discussed", "## Decisions" and "## Action items" (owner and task for each, ' +
+      'or "None"). Reply with the minutes only.',
+    maxTokens: 1024
+  }
+};
+
+// Used on each chunk of a long transcript (and to condense the notes again) before the style is applied
+export const SECTION_NOTES_TEMPLATE = {
+  version: 1,
+  instructions: 'Write thorough notes on this part of the text, keeping every fact, definition, example, name, ' +
+    'decision and action item. Reply with the notes only.',
+  maxTokens: 1024
+};
+
+export function isSummaryStyle(style) {
+  return Object.prototype.hasOwnProperty.call(SUMMARY_STYLES, style);
+}
+
+// Stored with each styled summary; includes the notes template, which shapes long transcripts too
+export function getPromptVersion(style) {
+  return `${style}-v${SUMMARY_STYLES[style].version}.notes-v${SECTION_NOTES_TEMPLATE.version}`;
+}
+
+// Chat input for a template; `source` says whether `text` is transcript or notes taken from it
+export function buildStyleInput(template, text, source) {
+  const label = source === 'sections' ? 'Notes taken from consecutive parts of the transcript' : 'Transcript';
+
+  return {
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: `${template.instructions}\n\n${label}:\n${text}` }
+    ],
+    max_tokens: template.maxTokens
+  };
+}
@@ -0,0 +1,85 @@
+// Upload validation: container sniffing and the content type stored for multipart uploads
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sniffAudioFormat } from '../audio-format.js';
+import { handleMultipartCreate, handleMultipartComplete } from '../multipart-upload.js';
+import { FakeR2 } from './helpers/fake-r2.js';
+
+const user = { id: '111' };
+
+function base64(bytes) {
+  return Buffer.from(bytes).toString('base64');
+}
+
+function ftyp(brand) {
+  const bytes = new Uint8Array(16);
+  bytes.set(new TextEncoder().encode(`\0\0\0\x18ftyp${brand}`));
+  return bytes;
+}
+
+test('accepts audio-only MP4 brands and rejects generic MP4 video brands', () => {
+  assert.equal(sniffAudioFormat(ftyp('M4A ')), 'm4a');
+  assert.equal(sniffAudioFormat(ftyp('M4B ')), 'm4a');
+  for (const brand of ['isom', 'iso2', 'mp41', 'mp42', 'dash']) {
+    assert.equal(sniffAudioFormat(ftyp(brand)), null, brand);
+  }
+});
+
+test('multipart uploads are stored with the sniffed content type, not the declared one', async () => {
+  const bucket = new FakeR2();
+  const env = { GIST_RECORDINGS: bucket };
+  const key = 'recordings/111-session/complete-recording-1.webm';
+  const webm = new Uint8Array(32);
+  webm.set([0x1A, 0x45, 0xDF, 0xA3]);
+
+  const created = await handleMultipartCreate(new Request('https://worker.example/r2-multipart/create', {
+    method: 'POST',
+    body: JSON.stringify({ key, contentType: 'video/mp4', size: 32, head: base64(webm.subarray(0, 16)), metadata: { 'tab-title': 'Lecture' } })
+  }), env, user);
+  const { uploadId } = await created.json();
+
+  const part = await bucket.resumeMultipartUpload(key, uploadId).uploadPart(1, webm);
+
+  const completed = await handleMultipartComplete(new Request('https://worker.example/r2-multipart/complete', {
+    method: 'POST',
+    body: JSON.stringify({ key, uploadId, parts: [part] })
+  }), env, user, { waitUntil() {} });
+
+  assert.equal(completed.status, 200);
+  const stored = await bucket.head(key);
+  assert.equal(stored.httpMetadata.contentType, 'audio/webm');
+  assert.equal(stored.customMetadata['tab-title'], 'Lecture');
+  assert.equal(stored.size, 32);
+
+  // Nothing is rewritten on complete: the type was set from the head when the upload was created
+  assert.equal(stored.httpEtag, (await completed.json()).etag);
+});
+
+test('multipart uploads need the recording head, and complete rejects parts of another container', async () => {
+  const bucket = new FakeR2();
+  const env = { GIST_RECORDINGS: bucket };
+  const key = 'recordings/111-session/complete-recording-1.webm';
+  const create = head => handleMultipartCreate(new Request('https://worker.example/r2-multipart/create', {
+    method: 'POST',
+    body: JSON.stringify({ key, contentType: 'audio/webm', head })
+  }), env, user);
+
+  assert.equal((await create(undefined)).status, 400);
+  assert.equal((await create(base64(new TextEncoder().encode('%PDF-1.7 not audio')))).status, 415);
+
+  const { uploadId, format } = await (await create(base64(ftyp('M4A ')))).json();
+  assert.equal(format, 'm4a');
+
+  const ogg = new Uint8Array(32);
+  ogg.set(new TextEncoder().encode('OggS'));
+  const part = await bucket.resumeMultipartUpload(key, uploadId).uploadPart(1, ogg);
+  const completed = await handleMultipartComplete(new Request('https://worker.example/r2-multipart/complete', {
+    method: 'POST',
+    body: JSON.stringify({ key, uploadId, parts: [part] })
+  }), env, user, { waitUntil() {} });
+
+  assert.equal(completed.status, 415);
+  assert.equal((await completed.json()).validation.reason, 'format_mismatch');
+  assert.equal(await bucket.head(key), null);
+});
@@ -0,0 +1,61 @@
+// Caption exports: timestamp formats, cue splitting and the WebVTT/SRT/text renderers
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTimestamp, buildCues, renderWebVtt, renderSrt, renderTimestampedText } from '../captions.js';
+
+test('formats WebVTT and SRT timestamps', () => {
+  assert.equal(formatTimestamp(3725.5), '01:02:05.500');
+  assert.equal(formatTimestamp(3725.5, ','), '01:02:05,500');
+  assert.equal(formatTimestamp(0), '00:00:00.000');
+  assert.equal(formatTimestamp(59.9996), '00:01:00.000');
+  assert.equal(formatTimestamp(-2), '00:00:00.000');
+  assert.equal(formatTimestamp(36000.042, ','), '10:00:00,042');
+});
+
+test('renders numbered SRT cues and a WebVTT file with escaped text', () => {
+  const segments = [
+    { start: 0, end: 2.5, text: ' Limits come first. ' },
+    { start: 2.5, end: 4, text: 'f(x) < g(x) & more' }
+  ];
+
+  assert.equal(renderSrt(segments), [
+    '1\n00:00:00,000 --> 00:00:02,500\nLimits come first.\n',
+    '2\n00:00:02,500 --> 00:00:04,000\nf(x) < g(x) & more\n'
+  ].join('\n'));
+
+  assert.equal(renderWebVtt(segments), [
+    'WEBVTT',
+    '00:00:00.000 --> 00:00:02.500\nLimits come first.',
+    '00:00:02.500 --> 00:00:04.000\nf(x) &lt; g(x) &amp; more'
+  ].join('\n\n') + '\n');
+
+  assert.equal(renderTimestampedText([...segments, { start: 5, end: 6, text: '  ' }]),
+    '[00:00:00] Limits come first.\n[00:00:02] f(x) < g(x) & more\n');
+});
+
+test('splits long segments into cues of two 42-character lines and at most 7 seconds', () => {
+  const words = 'the derivative of a composition is the derivative of the outer function times the derivative of the inner one'.split(' ');
+  const cues = buildCues([{
+    start: 10,
+    end: 30,
+    text: words.join(' '),
+    words: words.map((word, i) => ({ word: ` ${word}`, start: 10 + i, end: 10.8 + i }))
+  }]);
+
+  assert.ok(cues.length > 1);
+  for (const cue of cues) {
+    assert.ok(cue.lines.length <= 2);
+    assert.ok(cue.lines.every(line => line.length <= 42));
+    assert.ok(cue.end - cue.start <= 7);
+  }
+  assert.equal(cues.flatMap(cue => cue.lines).join(' '), words.join(' '));
+  assert.equal(cues[0].start, 10);
+  for (let i = 1; i < cues.length; i++) {
+    assert.ok(cues[i].start > cues[i - 1].end);
+  }
+
+  // Without word timings the segment's time is shared out by word length
+  const [estimated] = buildCues([{ start: 0, end: 4, text: 'ab abcdef' }]);
+  assert.deepEqual(estimated, { start: 0, end: 4, lines: ['ab abcdef'] });
+});
@@ -0,0 +1,120 @@
+// Google ID token verification against a local stand-in key set (GOOGLE_JWKS_URL)
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyGoogleRequest } from '../google-auth.js';
+import { startServer } from './helpers/http-server.js';
+
+const CLIENT_ID = 'test-client.apps.googleusercontent.com';
+const KID = 'test-key-1';
+
+let jwksServer;
+let signingKey;
+let otherKey;
+let env;
+
+before(async () => {
+  const algorithm = { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' };
+  signingKey = await crypto.subtle.generateKey(algorithm, true, ['sign', 'verify']);
+  otherKey = await crypto.subtle.generateKey(algorithm, true, ['sign', 'verify']);
+  const publicJwk = await crypto.subtle.exportKey('jwk', signingKey.publicKey);
+
+  jwksServer = await startServer(() => ({
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=3600' },
+    body: JSON.stringify({ keys: [{ ...publicJwk, kid: KID, use: 'sig', alg: 'RS256' }] })
+  }));
+
+  env = { GOOGLE_CLIENT_ID: CLIENT_ID, GOOGLE_JWKS_URL: `${jwksServer.url}/certs` };
+});
+
+after(async () => {
+  await jwksServer.close();
+});
+
+function base64Url(bytes) {
+  return Buffer.from(bytes).toString('base64url');
+}
+
+async function signToken(claims, { key = signingKey.privateKey, kid = KID } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64Url(JSON.stringify({ alg: 'RS256', kid: kid, typ: 'JWT' }));
+  const payload = base64Url(JSON.stringify({
+    iss: 'https://accounts.google.com',
+    aud: CLIENT_ID,
+    sub: '1234567890',
+    email: 'student@example.com',
+    email_verified: true,
+    iat: now,
+    exp: now + 3600,
+    ...claims
+  }));
+  const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', key, new TextEncoder().encode(`${header}.${payload}`));
+  return `${header}.${payload}.${base64Url(new Uint8Array(signature))}`;
+}
+
+function requestWithToken(token) {
+  return new Request('https://worker.example/api/sessions', {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+}
+
+test('accepts a valid ID token', async () => {
+  const user = await verifyGoogleRequest(requestWithToken(await signToken({})), env);
+
+  assert.equal(user.id, '1234567890');
+  assert.equal(user.email, 'student@example.com');
+  assert.equal(user.tokenType, 'id_token');
+});
+
+test('rejects an expired token', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const token = await signToken({ iat: now - 7200, exp: now - 3600 });
+
+  await assert.rejects(verifyGoogleRequest(requestWithToken(token), env), { message: 'token_expired', status: 401 });
+});
+
+test('rejects a token issued for another client', async () => {
+  const token = await signToken({ aud: 'someone-else.apps.googleusercontent.com' });
+
+  await assert.rejects(verifyGoogleRequest(requestWithToken(token), env), { message: 'invalid_token_audience' });
+});
+
+test('rejects a token from another issuer', async () => {
+  const token = await signToken({ iss: 'https://login.example.com' });
+
+  await assert.rejects(verifyGoogleRequest(requestWithToken(token), env), { message: 'invalid_token_issuer' });
+});
+
+test('rejects a token signed with the wrong key', async () => {
+  const token = await signToken({}, { key: otherKey.privateKey });
+
+  await assert.rejects(verifyGoogleRequest(requestWithToken(token), env), { message: 'invalid_token_signature' });
+});
+
+test('rejects a tampered payload', async () => {
+  const [header, , signature] = (await signToken({})).split('.');
+  const payload = base64Url(JSON.stringify({ iss: 'accounts.google.com', aud: CLIENT_ID, sub: 'attacker', exp: 9999999999 }));
+
+  await assert.rejects(verifyGoogleRequest(requestWithToken(`${header}.${payload}.${signature}`), env), { message: 'invalid_token_signature' });
+});
+
+test('unknown kids do not refetch the key set on every request', async () => {
+  // Make sure the key set is cached, then count fetches from here
+  await verifyGoogleRequest(requestWithToken(await signToken({})), env);
+  const fetchesBefore = jwksServer.requests.length;
+
+  for (let i = 0; i < 5; i++) {
+    const token = await signToken({}, { kid: `random-kid-${i}` });
+    await assert.rejects(verifyGoogleRequest(requestWithToken(token), env), { message: 'unknown_signing_key' });
+  }
+
+  assert.equal(jwksServer.requests.length, fetchesBefore);
+});
+
+test('rejects requests without a bearer token', async () => {
+  await assert.rejects(verifyGoogleRequest(new Request('https://worker.example/'), env), { message: 'missing_or_invalid_bearer_token' });
+});
+
+test('fails closed when no client ID is configured', async () => {
+  await assert.rejects(verifyGoogleRequest(requestWithToken(await signToken({})), { GOOGLE_JWKS_URL: env.GOOGLE_JWKS_URL }), { status: 500 });
+});
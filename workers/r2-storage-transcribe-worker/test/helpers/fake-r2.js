@@ -0,0 +1,192 @@
+// In-memory stand-in for the R2 bucket binding (env.GIST_RECORDINGS)
+// Covers the parts of the R2 API the worker uses: get/head/put with onlyIf, ranges,
+// list with prefix/delimiter/cursor, batch delete, and multipart uploads.
+
+export class FakeR2 {
+  constructor() {
+    this.objects = new Map();
+    this.version = 0;
+    this.calls = { get: 0, head: 0, put: 0, list: 0, delete: 0 };
+    this.uploads = new Map();
+  }
+
+  async createMultipartUpload(key, options = {}) {
+    const uploadId = `upload-${++this.version}`;
+    this.uploads.set(uploadId, { key, options, parts: new Map() });
+    return { key, uploadId };
+  }
+
+  // Like R2, a resumed handle only fails once it is used on an unknown or finished upload
+  resumeMultipartUpload(key, uploadId) {
+    const getUpload = () => {
+      const upload = this.uploads.get(uploadId);
+      if (!upload) {
+        throw new Error('The specified multipart upload does not exist. (10024)');
+      }
+      return upload;
+    };
+    return {
+      key,
+      uploadId,
+      uploadPart: async (partNumber, value) => {
+        const upload = getUpload();
+        upload.parts.set(partNumber, await toBytes(value));
+        return { partNumber, etag: `part-${partNumber}` };
+      },
+      complete: async parts => {
+        const upload = getUpload();
+        if (parts.some(part => !upload.parts.has(part.partNumber))) {
+          throw new Error('One or more of the specified parts could not be found. (10025)');
+        }
+        const chunks = parts.map(part => upload.parts.get(part.partNumber));
+        const data = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+          data.set(chunk, offset);
+          offset += chunk.length;
+        }
+        this.uploads.delete(uploadId);
+        return this.put(key, data, upload.options);
+      },
+      abort: async () => {
+        getUpload();
+        this.uploads.delete(uploadId);
+      }
+    };
+  }
+
+  async put(key, value, options = {}) {
+    this.calls.put++;
+    const existing = this.objects.get(key);
+    const condition = options.onlyIf;
+    if (condition) {
+      if (condition.etagMatches && (!existing || existing.etag !== condition.etagMatches.replace(/"/g, ''))) {
+        return null;
+      }
+      if (condition.etagDoesNotMatch === '*' && existing) {
+        return null;
+      }
+    }
+
+    const entry = {
+      data: await toBytes(value),
+      etag: `etag-${++this.version}`,
+      uploaded: new Date(Date.now() + this.version),
+      httpMetadata: options.httpMetadata || {},
+      customMetadata: options.customMetadata || {},
+      storageClass: options.storageClass || 'Standard'
+    };
+    this.objects.set(key, entry);
+    return describe(key, entry);
+  }
+
+  async get(key, options = {}) {
+    this.calls.get++;
+    const entry = this.objects.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    let data = entry.data;
+    let range;
+    if (options.range && !(options.range instanceof Headers)) {
+      const offset = options.range.offset ?? (options.range.suffix != null ? data.length - options.range.suffix : 0);
+      const length = options.range.length ?? data.length - offset;
+      data = data.slice(offset, offset + length);
+      range = { offset, length: data.length };
+    }
+
+    return {
+      ...describe(key, entry),
+      range: range,
+      body: new Response(data).body,
+      arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+      text: async () => new TextDecoder().decode(data),
+      json: async () => JSON.parse(new TextDecoder().decode(data))
+    };
+  }
+
+  async head(key) {
+    this.calls.head++;
+    const entry = this.objects.get(key);
+    return entry ? describe(key, entry) : null;
+  }
+
+  async delete(keys) {
+    this.calls.delete++;
+    for (const key of [].concat(keys)) {
+      this.objects.delete(key);
+    }
+  }
+
+  async list({ prefix = '', delimiter, cursor, startAfter, limit = 1000 } = {}) {
+    this.calls.list++;
+    const items = [];
+    const prefixes = new Set();
+    const keys = [...this.objects.keys()]
+      .filter(key => key.startsWith(prefix) && (!startAfter || Buffer.compare(Buffer.from(key), Buffer.from(startAfter)) > 0))
+      .sort((a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b)));
+    for (const key of keys) {
+      const end = delimiter ? key.indexOf(delimiter, prefix.length) : -1;
+      if (end !== -1) {
+        const delimited = key.slice(0, end + 1);
+        if (!prefixes.has(delimited)) {
+          prefixes.add(delimited);
+          items.push({ prefix: delimited });
+        }
+        continue;
+      }
+      items.push({ key });
+    }
+
+    const start = cursor ? parseInt(cursor, 10) : 0;
+    const page = items.slice(start, start + limit);
+    const truncated = start + limit < items.length;
+
+    return {
+      objects: page.filter(item => item.key).map(item => describe(item.key, this.objects.get(item.key))),
+      delimitedPrefixes: page.filter(item => item.prefix).map(item => item.prefix),
+      truncated: truncated,
+      cursor: truncated ? String(start + limit) : undefined
+    };
+  }
+
+  async json(key) {
+    const obj = await this.get(key);
+    return obj ? obj.json() : null;
+  }
+}
+
+function describe(key, entry) {
+  return {
+    key: key,
+    size: entry.data.length,
+    etag: entry.etag,
+    httpEtag: `"${entry.etag}"`,
+    uploaded: entry.uploaded,
+    httpMetadata: entry.httpMetadata,
+    customMetadata: entry.customMetadata,
+    storageClass: entry.storageClass,
+    writeHttpMetadata(headers) {
+      if (entry.httpMetadata.contentType) {
+        headers.set('content-type', entry.httpMetadata.contentType);
+      }
+    }
+  };
+}
+
+async function toBytes(value) {
+  if (value == null) {
+    return new Uint8Array();
+  }
+  if (typeof value === 'string') {
+    return new TextEncoder().encode(value);
+  }
+  if (value instanceof ArrayBuffer) {
+    return new Uint8Array(value);
+  }
+  if (ArrayBuffer.isView(value)) {
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  }
+  return new Uint8Array(await new Response(value).arrayBuffer());
+}
@@ -0,0 +1,29 @@
+// Local HTTP stand-in for external services (Google's key set, webhook receivers)
+
+import http from 'node:http';
+
+// Start a server on a free port; `handler(request)` gets { method, url, headers, body } and returns { status, headers, body }
+export async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', async () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: body };
+      requests.push(request);
+      const reply = await handler(request);
+      res.writeHead(reply.status || 200, reply.headers || {});
+      res.end(reply.body || '');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests: requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
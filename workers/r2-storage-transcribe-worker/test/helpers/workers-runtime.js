@@ -0,0 +1,50 @@
+// Workers runtime APIs that Node doesn't provide, installed for the tests that import this
+// crypto.DigestStream: a WritableStream whose `digest` promise resolves once it is closed
+// FixedLengthStream: an identity TransformStream that errors when more or fewer bytes than declared pass through
+
+import { createHash } from 'node:crypto';
+
+if (!globalThis.crypto.DigestStream) {
+  globalThis.crypto.DigestStream = class DigestStream extends WritableStream {
+    constructor(algorithm) {
+      const hash = createHash(algorithm.replace('-', '').toLowerCase());
+      let resolveDigest;
+      const digest = new Promise(resolve => {
+        resolveDigest = resolve;
+      });
+
+      super({
+        write(chunk) {
+          hash.update(chunk);
+        },
+        close() {
+          const bytes = hash.digest();
+          resolveDigest(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+        }
+      });
+      this.digest = digest;
+    }
+  };
+}
+
+if (!globalThis.FixedLengthStream) {
+  globalThis.FixedLengthStream = class FixedLengthStream extends TransformStream {
+    constructor(expectedLength) {
+      let received = 0;
+      super({
+        transform(chunk, controller) {
+          received += chunk.byteLength;
+          if (received > expectedLength) {
+            throw new TypeError(`Stream exceeded the declared length of ${expectedLength} bytes`);
+          }
+          controller.enqueue(chunk);
+        },
+        flush() {
+          if (received < expectedLength) {
+            throw new TypeError(`Stream ended after ${received} of ${expectedLength} bytes`);
+          }
+        }
+      });
+    }
+  };
+}
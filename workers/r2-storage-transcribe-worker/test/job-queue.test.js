@@ -0,0 +1,113 @@
+// Job queue: success, retries and dead letters through the in-memory queue and the consumer
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { enqueueJob, handleJobBatch } from '../job-queue.js';
+import { getManifest } from '../session-manifest.js';
+import { FakeR2 } from './helpers/fake-r2.js';
+
+const transcriptionKey = 'recordings/111-session/complete-recording-1-transcription.json';
+const audioKey = 'recordings/111-session/complete-recording-1.webm';
+
+// `answers` are returned (or thrown, for Errors) by successive model calls; the last one repeats
+async function setup(answers, vars = {}) {
+  const bucket = new FakeR2();
+  const ai = {
+    calls: 0,
+    async run() {
+      const answer = answers[Math.min(this.calls++, answers.length - 1)];
+      if (answer instanceof Error) {
+        throw answer;
+      }
+      return answer;
+    }
+  };
+  const env = { GIST_RECORDINGS: bucket, AI: ai, ...vars };
+  await bucket.put(transcriptionKey, JSON.stringify({ text: 'Today we covered limits. Next week is derivatives.', audioKey }));
+  return env;
+}
+
+function createContext() {
+  const pending = [];
+  return {
+    waitUntil(promise) {
+      pending.push(promise);
+    },
+    async settle() {
+      await Promise.all(pending);
+    }
+  };
+}
+
+async function runSummarizeJob(env) {
+  const ctx = createContext();
+  const job = await enqueueJob(env, ctx, { type: 'summarize', userId: '111', input: { transcriptionKey, audioKey } });
+  await ctx.settle();
+  return { job: await env.GIST_RECORDINGS.json(`jobs/111/${job.jobId}.json`), manifest: await getManifest(env, transcriptionKey) };
+}
+
+function summaryHistory(manifest) {
+  return manifest.history.filter(entry => entry.stage === 'summary').map(entry => entry.status);
+}
+
+test('completes a job on the first attempt', async () => {
+  const env = await setup([{ summary: 'Limits, then derivatives.' }]);
+  const { job, manifest } = await runSummarizeJob(env);
+
+  assert.equal(job.status, 'completed');
+  assert.equal(job.attempts, 1);
+  assert.equal(job.result.summaryKey, 'recordings/111-session/complete-recording-1-summary.json');
+  assert.equal(manifest.status, 'summarized');
+  assert.deepEqual(summaryHistory(manifest), ['queued', 'running', 'completed']);
+});
+
+test('marks the stage retrying, not failed, while attempts remain', async () => {
+  const env = await setup([new Error('Model overloaded'), { summary: 'Limits, then derivatives.' }]);
+  const { job, manifest } = await runSummarizeJob(env);
+
+  assert.equal(job.status, 'completed');
+  assert.equal(job.attempts, 2);
+  assert.equal(job.errors.length, 1);
+  assert.equal(manifest.status, 'summarized');
+  assert.deepEqual(summaryHistory(manifest), ['queued', 'running', 'retrying', 'running', 'completed']);
+  assert.equal(manifest.stages.summary.error, null);
+});
+
+test('dead-letters a job once its attempts are used up', async () => {
+  const env = await setup([new Error('Model overloaded')], { JOB_MAX_ATTEMPTS: '2' });
+  const { job, manifest } = await runSummarizeJob(env);
+
+  assert.equal(job.status, 'dead_letter');
+  assert.equal(job.attempts, 2);
+  assert.equal(env.AI.calls, 2);
+  assert.equal(manifest.status, 'failed');
+  assert.equal(manifest.stages.summary.error, 'Model overloaded');
+  assert.deepEqual(summaryHistory(manifest), ['queued', 'running', 'retrying', 'running', 'failed']);
+});
+
+test('retries queue messages with backoff and dead-letters what the queue drops', async () => {
+  const env = await setup([new Error('Model overloaded')]);
+  const job = await enqueueJob(env, { waitUntil() {} }, { type: 'summarize', userId: '111', input: { transcriptionKey, audioKey } });
+  const message = (attempts, calls) => ({
+    body: { jobId: job.jobId, userId: '111' },
+    attempts: attempts,
+    ack() {
+      calls.push('ack');
+    },
+    retry(options) {
+      calls.push(options);
+    }
+  });
+
+  const calls = [];
+  await handleJobBatch({ queue: 'gist-jobs', messages: [message(1, calls)] }, env);
+  await handleJobBatch({ queue: 'gist-jobs', messages: [message(2, calls)] }, env);
+  assert.deepEqual(calls, [{ delaySeconds: 30 }, { delaySeconds: 60 }]);
+  assert.equal((await getManifest(env, transcriptionKey)).stages.summary.status, 'retrying');
+
+  const dropped = [];
+  await handleJobBatch({ queue: 'gist-jobs-dlq', messages: [message(3, dropped)] }, env);
+  assert.deepEqual(dropped, ['ack']);
+  assert.equal((await env.GIST_RECORDINGS.json(`jobs/111/${job.jobId}.json`)).status, 'dead_letter');
+  assert.equal((await getManifest(env, transcriptionKey)).status, 'failed');
+});
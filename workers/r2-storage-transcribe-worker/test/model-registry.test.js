@@ -0,0 +1,98 @@
+// Model registry: env overrides and falling back to the next model when the primary fails
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getModelConfig, runModel } from '../model-registry.js';
+
+// Workers AI stand-in: `answers[model]` is a response, an Error to throw, or 'hang' to never answer
+function createAi(answers) {
+  return {
+    calls: [],
+    async run(model, input, options) {
+      this.calls.push({ model, input, options });
+      const answer = answers[model];
+      if (answer === 'hang') {
+        return new Promise(() => {});
+      }
+      if (answer instanceof Error) {
+        throw answer;
+      }
+      return answer;
+    }
+  };
+}
+
+test('reads models, gateway and timeout from the environment', () => {
+  assert.deepEqual(getModelConfig({}, 'transcription'), {
+    primary: '@cf/openai/whisper-large-v3-turbo',
+    fallback: '@cf/openai/whisper',
+    gatewayId: 'your-ai-gateway',
+    timeoutMs: 120000
+  });
+
+  const config = getModelConfig({
+    SUMMARY_MODEL: '@cf/custom/summarizer',
+    SUMMARY_FALLBACK_MODEL: '@cf/facebook/bart-large-cnn',
+    AI_GATEWAY_ID: 'lectures',
+    AI_TIMEOUT_SECONDS: '30'
+  }, 'summary');
+  assert.deepEqual(config, {
+    primary: '@cf/custom/summarizer',
+    fallback: '@cf/facebook/bart-large-cnn',
+    gatewayId: 'lectures',
+    timeoutMs: 30000
+  });
+
+  assert.equal(getModelConfig({ TRANSCRIPTION_FALLBACK_MODEL: 'none' }, 'transcription').fallback, null);
+  assert.throws(() => getModelConfig({}, 'translation'), /Unknown model task/);
+});
+
+test('falls back to the next model when the primary is out of capacity', async () => {
+  const env = {
+    AI: createAi({
+      '@cf/openai/whisper-large-v3-turbo': new Error('3040: Capacity temporarily exceeded'),
+      '@cf/openai/whisper': { text: 'hello' }
+    })
+  };
+
+  const result = await runModel(env, 'transcription', { buildInput: model => ({ model }), requestId: 'request-1' });
+  assert.deepEqual(result.response, { text: 'hello' });
+  assert.equal(result.model, '@cf/openai/whisper');
+  assert.equal(result.fallbackUsed, true);
+  assert.deepEqual(result.attempts, [{ model: '@cf/openai/whisper-large-v3-turbo', error: '3040: Capacity temporarily exceeded' }]);
+
+  // Each model gets its own input, through the gateway
+  assert.deepEqual(env.AI.calls.map(call => call.input.model), ['@cf/openai/whisper-large-v3-turbo', '@cf/openai/whisper']);
+  assert.equal(env.AI.calls[0].options.gateway.id, 'your-ai-gateway');
+});
+
+test('falls back when the primary times out', async () => {
+  const env = {
+    AI_TIMEOUT_SECONDS: '0.05',
+    AI: createAi({
+      '@cf/meta/llama-3.1-8b-instruct': 'hang',
+      '@cf/mistral/mistral-7b-instruct-v0.1': { response: 'notes' }
+    })
+  };
+
+  const result = await runModel(env, 'styled_summary', { buildInput: () => ({}), requestId: 'request-1' });
+  assert.equal(result.model, '@cf/mistral/mistral-7b-instruct-v0.1');
+  assert.match(result.attempts[0].error, /timed out after 50ms/);
+});
+
+test('does not fall back on errors another model would repeat, or without a fallback', async () => {
+  const invalid = {
+    AI: createAi({ '@cf/openai/whisper-large-v3-turbo': new Error('Invalid audio input') })
+  };
+  await assert.rejects(
+    runModel(invalid, 'transcription', { buildInput: () => ({}), requestId: 'request-1' }),
+    error => error.message === 'Invalid audio input' && error.model === '@cf/openai/whisper-large-v3-turbo'
+  );
+  assert.equal(invalid.AI.calls.length, 1);
+
+  const noFallback = {
+    AI: createAi({ '@cf/facebook/bart-large-cnn': new Error('3040: Capacity temporarily exceeded') })
+  };
+  await assert.rejects(runModel(noFallback, 'summary', { buildInput: () => ({}), requestId: 'request-1' }), /Capacity/);
+  assert.equal(noFallback.AI.calls.length, 1);
+});
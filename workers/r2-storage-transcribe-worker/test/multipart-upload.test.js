@@ -0,0 +1,112 @@
+// Multipart uploads: resuming an interrupted upload, the parts list check and the total size check on complete
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleMultipartCreate, handleMultipartPart, handleMultipartComplete } from '../multipart-upload.js';
+import { getManifest } from '../session-manifest.js';
+import { FakeR2 } from './helpers/fake-r2.js';
+import './helpers/workers-runtime.js';
+
+const user = { id: '111' };
+const key = 'recordings/111-session/complete-recording-1.webm';
+
+// 32-byte parts; the first one starts with the WebM (EBML) magic bytes
+function partBytes(partNumber) {
+  const bytes = new Uint8Array(32).fill(partNumber);
+  if (partNumber === 1) {
+    bytes.set([0x1A, 0x45, 0xDF, 0xA3]);
+  }
+  return bytes;
+}
+
+async function createUpload(env, size = 64) {
+  const response = await handleMultipartCreate(new Request('https://worker.example/r2-multipart/create', {
+    method: 'POST',
+    body: JSON.stringify({ key, contentType: 'audio/webm', size, head: Buffer.from(partBytes(1).subarray(0, 16)).toString('base64') })
+  }), env, user);
+  return (await response.json()).uploadId;
+}
+
+// `body` defaults to the whole part; pass a shorter one to cut the stream off
+async function uploadPart(env, uploadId, partNumber, body = partBytes(partNumber)) {
+  const query = `key=${encodeURIComponent(key)}&uploadId=${uploadId}&partNumber=${partNumber}`;
+  return handleMultipartPart(new Request(`https://worker.example/r2-multipart/part?${query}`, {
+    method: 'PUT',
+    headers: { 'Content-Length': '32' },
+    body: body
+  }), env, user);
+}
+
+async function complete(env, uploadId, parts) {
+  return handleMultipartComplete(new Request('https://worker.example/r2-multipart/complete', {
+    method: 'POST',
+    body: JSON.stringify({ key, uploadId, parts })
+  }), env, user, { waitUntil() {} });
+}
+
+test('resumes an interrupted upload with the same uploadId', async () => {
+  const env = { GIST_RECORDINGS: new FakeR2() };
+  const uploadId = await createUpload(env);
+
+  const first = await (await uploadPart(env, uploadId, 1)).json();
+
+  // The connection drops halfway through part 2
+  const cut = await uploadPart(env, uploadId, 2, partBytes(2).subarray(0, 10));
+  assert.equal(cut.status, 400);
+  assert.equal((await cut.json()).code, 'incomplete_upload');
+
+  // The client resumes: only part 2 is sent again
+  const second = await (await uploadPart(env, uploadId, 2)).json();
+  const completed = await complete(env, uploadId, [first, second]);
+  assert.equal(completed.status, 200);
+
+  const stored = await env.GIST_RECORDINGS.get(key);
+  const bytes = new Uint8Array(await stored.arrayBuffer());
+  assert.deepEqual(bytes, new Uint8Array([...partBytes(1), ...partBytes(2)]));
+
+  const { stages } = await getManifest(env, key);
+  assert.equal(stages.upload.status, 'completed');
+  assert.equal(stages.upload.partCount, 2);
+
+  // A finished upload can't be resumed again; the client starts over on 404
+  const stale = await uploadPart(env, uploadId, 2);
+  assert.equal(stale.status, 404);
+  assert.equal((await stale.json()).uploadMissing, true);
+});
+
+test('rejects a parts list with gaps or repeated part numbers, and sorts the rest', async () => {
+  const env = { GIST_RECORDINGS: new FakeR2() };
+  const uploadId = await createUpload(env);
+  const parts = [];
+  for (const partNumber of [1, 2, 3]) {
+    parts.push(await (await uploadPart(env, uploadId, partNumber)).json());
+  }
+
+  assert.equal((await complete(env, uploadId, [parts[0], parts[2]])).status, 400);
+  assert.equal((await complete(env, uploadId, [parts[0], parts[0], parts[1]])).status, 400);
+  assert.equal((await complete(env, uploadId, [parts[0], { partNumber: 2 }, parts[2]])).status, 400);
+  assert.equal(await env.GIST_RECORDINGS.head(key), null);
+
+  const completed = await complete(env, uploadId, [parts[2], parts[0], parts[1]]);
+  assert.equal(completed.status, 200);
+  assert.equal((await completed.json()).size, 96);
+});
+
+test('deletes the assembled object when the parts add up to more than the limit', async () => {
+  const env = { GIST_RECORDINGS: new FakeR2(), MAX_UPLOAD_BYTES: '48' };
+  // The size declared on create is only the client's word
+  const uploadId = await createUpload(env, 32);
+  const first = await (await uploadPart(env, uploadId, 1)).json();
+  const second = await (await uploadPart(env, uploadId, 2)).json();
+
+  const completed = await complete(env, uploadId, [first, second]);
+  assert.equal(completed.status, 413);
+  const body = await completed.json();
+  assert.equal(body.code, 'file_too_large');
+  assert.equal(body.size, 64);
+
+  assert.equal(await env.GIST_RECORDINGS.head(key), null);
+  const { stages } = await getManifest(env, key);
+  assert.equal(stages.upload.status, 'failed');
+  assert.equal(stages.upload.error, 'file_too_large');
+});
@@ -0,0 +1,37 @@
+// Conditional requests on /r2-get: HEAD answers 304 and 412 the way GET does
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { serveObject } from '../object-delivery.js';
+import { FakeR2 } from './helpers/fake-r2.js';
+
+const key = 'recordings/111-session/complete-recording-1-transcription.json';
+
+async function head(env, headers) {
+  return serveObject(new Request('https://worker.example/r2-get', { method: 'HEAD', headers }), env, key);
+}
+
+test('HEAD evaluates If-None-Match and If-Modified-Since', async () => {
+  const bucket = new FakeR2();
+  const env = { GIST_RECORDINGS: bucket };
+  const stored = await bucket.put(key, JSON.stringify({ text: 'hello' }), { httpMetadata: { contentType: 'application/json' } });
+
+  const plain = await head(env, {});
+  assert.equal(plain.status, 200);
+  assert.equal(plain.headers.get('Content-Length'), String(stored.size));
+
+  assert.equal((await head(env, { 'If-None-Match': stored.httpEtag })).status, 304);
+  assert.equal((await head(env, { 'If-None-Match': `"other", W/${stored.httpEtag}` })).status, 304);
+  assert.equal((await head(env, { 'If-None-Match': '"other"' })).status, 200);
+
+  const later = new Date(stored.uploaded.getTime() + 60000).toUTCString();
+  const earlier = new Date(stored.uploaded.getTime() - 60000).toUTCString();
+  assert.equal((await head(env, { 'If-Modified-Since': later })).status, 304);
+  assert.equal((await head(env, { 'If-Modified-Since': earlier })).status, 200);
+
+  // If-None-Match wins over If-Modified-Since
+  assert.equal((await head(env, { 'If-None-Match': '"other"', 'If-Modified-Since': later })).status, 200);
+
+  assert.equal((await head(env, { 'If-Match': '"other"' })).status, 412);
+  assert.equal((await head(env, { 'If-Match': stored.httpEtag })).status, 200);
+});
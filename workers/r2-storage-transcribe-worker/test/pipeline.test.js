@@ -0,0 +1,259 @@
+// Segmented transcription: WAV and WebM window boundaries, stitching overlaps without repeats,
+// every window getting the caller's decoding options and vocabulary, and transcripts hashed
+// under older settings versions not being reused
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { transcribeStoredAudio, describeTranscriptionSource } from '../pipeline.js';
+import { sha256Hex } from '../content-hash.js';
+import { getSegmentOptions, segmentStoredAudio, parseWavHeader, stitchTranscripts } from '../audio-segments.js';
+import { FakeR2 } from './helpers/fake-r2.js';
+import './helpers/workers-runtime.js';
+
+const audioKey = 'recordings/111-session/complete-recording-1.wav';
+
+// 16 kHz mono 16-bit PCM silence
+function buildWav(seconds) {
+  const dataSize = seconds * 16000 * 2;
+  const bytes = new Uint8Array(44 + dataSize);
+  const view = new DataView(bytes.buffer);
+  const ascii = (offset, text) => bytes.set(new TextEncoder().encode(text), offset);
+  ascii(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, 16000, true);
+  view.setUint32(28, 32000, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  ascii(36, 'data');
+  view.setUint32(40, dataSize, true);
+  return bytes;
+}
+
+// Whisper stand-in that records its inputs and answers with one sentence per window
+function createWhisper() {
+  return {
+    inputs: [],
+    async run(model, input) {
+      this.inputs.push(input);
+      const text = `Window ${this.inputs.length} covers teh chain rule.`;
+      return {
+        text: text,
+        segments: [{ start: 0, end: 1, text: text, no_speech_prob: 0.01 }],
+        transcription_info: { language: 'de', language_probability: 0.9 }
+      };
+    }
+  };
+}
+
+async function setup() {
+  const bucket = new FakeR2();
+  const env = {
+    GIST_RECORDINGS: bucket,
+    AI: createWhisper(),
+    TRANSCRIPTION_SEGMENT_SECONDS: '1',
+    TRANSCRIPTION_OVERLAP_SECONDS: '0'
+  };
+  await bucket.put(audioKey, buildWav(3), { customMetadata: { format: 'wav' } });
+  return env;
+}
+
+test('sends the requested language and task with every window', async () => {
+  const env = await setup();
+  const result = await transcribeStoredAudio(env, {
+    audioKey,
+    requestId: 'request-1',
+    options: { language: 'de', task: 'translate' }
+  });
+
+  assert.ok(env.AI.inputs.length >= 3);
+  for (const input of env.AI.inputs) {
+    assert.equal(input.language, 'de');
+    assert.equal(input.task, 'translate');
+  }
+
+  const stored = await env.GIST_RECORDINGS.json(result.transcriptionKey);
+  assert.equal(stored.segmented, true);
+  assert.equal(stored.language, 'de');
+  assert.equal(stored.language_source, 'requested');
+  assert.equal(stored.task, 'translate');
+});
+
+test('applies the vocabulary to a segmented recording', async () => {
+  const env = await setup();
+  const vocabulary = {
+    terms: ['chain rule', 'Leibniz'],
+    corrections: [{ from: 'teh', to: 'the' }]
+  };
+  const result = await transcribeStoredAudio(env, { audioKey, requestId: 'request-1', options: { vocabulary } });
+
+  for (const input of env.AI.inputs) {
+    assert.match(input.initial_prompt, /chain rule, Leibniz/);
+  }
+
+  const stored = await env.GIST_RECORDINGS.json(result.transcriptionKey);
+  assert.doesNotMatch(stored.text, /teh/);
+  assert.match(stored.text, /covers the chain rule/);
+  assert.match(stored.initial_prompt, /chain rule, Leibniz/);
+  assert.equal(stored.corrections_applied[0].from, 'teh');
+  assert.ok(stored.segments.every(segment => !segment.text.includes('teh')));
+});
+
+test('does not reuse a transcript stored under an older settings hash version', async () => {
+  const env = await setup();
+  const options = { language: 'de', task: 'translate' };
+  const first = await transcribeStoredAudio(env, { audioKey, requestId: 'request-1', options });
+  const calls = env.AI.inputs.length;
+
+  // Reused while the settings hash matches
+  const again = await transcribeStoredAudio(env, { audioKey, requestId: 'request-2', options });
+  assert.equal(again.cached, true);
+  assert.equal(env.AI.inputs.length, calls);
+
+  // A transcript stored before the version was part of the hash, for the same settings
+  const stored = await env.GIST_RECORDINGS.json(first.transcriptionKey);
+  const unversionedSha256 = await sha256Hex(JSON.stringify({
+    model: stored.model,
+    language: 'de',
+    task: 'translate',
+    initialPrompt: null,
+    corrections: []
+  }));
+  const { settingsSha256 } = await describeTranscriptionSource(env, { audioSha256: stored.audio_sha256, options });
+  assert.notEqual(unversionedSha256, settingsSha256);
+  await env.GIST_RECORDINGS.put(first.transcriptionKey, JSON.stringify({ ...stored, settings_sha256: unversionedSha256 }));
+
+  const redone = await transcribeStoredAudio(env, { audioKey, requestId: 'request-3', options });
+  assert.notEqual(redone.cached, true);
+  assert.ok(env.AI.inputs.length > calls);
+});
+
+// EBML header, a Segment of unknown size and a 1ms TimecodeScale, then one Cluster per second
+function buildWebm(seconds) {
+  const header = [
+    0x1A, 0x45, 0xDF, 0xA3, 0x80,
+    0x18, 0x53, 0x80, 0x67, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF,
+    0x2A, 0xD7, 0xB1, 0x83, 0x0F, 0x42, 0x40
+  ];
+  const clusters = [];
+  for (let second = 0; second < seconds; second++) {
+    const timecode = second * 1000;
+    clusters.push(0x1F, 0x43, 0xB6, 0x75, 0x98, 0xE7, 0x82, timecode >> 8, timecode & 0xFF, ...new Array(20).fill(0));
+  }
+  return new Uint8Array([...header, ...clusters]);
+}
+
+async function collectWindows(env, key, format, options) {
+  const object = await env.GIST_RECORDINGS.head(key);
+  const windows = [];
+  for await (const audioWindow of segmentStoredAudio(env, key, object, format, options)) {
+    windows.push(audioWindow);
+  }
+  return windows;
+}
+
+test('cuts WAV recordings into overlapping windows on sample boundaries', async () => {
+  const env = { GIST_RECORDINGS: new FakeR2() };
+  await env.GIST_RECORDINGS.put(audioKey, buildWav(10));
+
+  const windows = await collectWindows(env, audioKey, 'wav', { windowSeconds: 4, overlapSeconds: 1 });
+  assert.deepEqual(windows.map(({ index, start, end }) => ({ index, start, end })), [
+    { index: 0, start: 0, end: 4 },
+    { index: 1, start: 3, end: 7 },
+    { index: 2, start: 6, end: 10 }
+  ]);
+
+  // Every window is a playable WAV holding exactly its own samples
+  for (const audioWindow of windows) {
+    const wav = parseWavHeader(audioWindow.bytes, audioWindow.bytes.byteLength);
+    assert.equal(wav.dataSize, (audioWindow.end - audioWindow.start) * wav.byteRate);
+    assert.equal(wav.dataSize % wav.blockAlign, 0);
+  }
+
+  // Overlaps are capped at a quarter of the window
+  assert.deepEqual(getSegmentOptions({ TRANSCRIPTION_SEGMENT_SECONDS: '4', TRANSCRIPTION_OVERLAP_SECONDS: '10' }), {
+    windowSeconds: 4,
+    overlapSeconds: 1
+  });
+});
+
+test('cuts WebM recordings at cluster boundaries, carrying the overlap into the next window', async () => {
+  const env = { GIST_RECORDINGS: new FakeR2() };
+  const key = audioKey.replace('.wav', '.webm');
+  const webm = buildWebm(10);
+  await env.GIST_RECORDINGS.put(key, webm);
+
+  const windows = await collectWindows(env, key, 'webm', { windowSeconds: 4, overlapSeconds: 1 });
+  assert.deepEqual(windows.map(({ start, end }) => ({ start, end })), [
+    { start: 0, end: 4 },
+    { start: 3, end: 7 },
+    { start: 6, end: null }
+  ]);
+
+  // Each window replays the header, followed by whole clusters only
+  const headerLength = 24;
+  const clusterLength = 29;
+  for (const audioWindow of windows) {
+    assert.deepEqual(audioWindow.bytes.subarray(0, headerLength), webm.subarray(0, headerLength));
+    const clusterCount = (audioWindow.bytes.byteLength - headerLength) / clusterLength;
+    assert.equal(clusterCount, (audioWindow.end ?? 10) - audioWindow.start);
+    const firstCluster = headerLength + audioWindow.start * clusterLength;
+    assert.deepEqual(audioWindow.bytes.subarray(headerLength), webm.subarray(firstCluster, firstCluster + clusterCount * clusterLength));
+  }
+});
+
+test('cuts each overlap at its midpoint and drops words repeated across a join', () => {
+  const stitched = stitchTranscripts([
+    { start: 0, end: 4, segments: [{ start: 0, end: 1.5, text: 'Limits come first.' }, { start: 3.2, end: 3.9, text: 'Then derivatives' }] },
+    { start: 3, end: 7, segments: [{ start: 0.2, end: 0.9, text: 'Then derivatives' }, { start: 1, end: 3.8, text: 'measure change.' }] }
+  ]);
+  assert.equal(stitched.text, 'Limits come first. Then derivatives measure change.');
+  assert.deepEqual(stitched.segments.map(segment => [segment.start, segment.end]), [[0, 1.5], [3.2, 3.9], [4, 6.8]]);
+
+  // Without timestamps only the repeated words are dropped, and never a single common word
+  const textOnly = stitchTranscripts([
+    { start: 0, end: 4, text: 'we take the limit of x' },
+    { start: 3, end: 7, text: 'the limit of x as h goes to zero' },
+    { start: 6, end: null, text: 'zero is the answer' }
+  ]);
+  assert.equal(textOnly.text, 'we take the limit of x as h goes to zero zero is the answer');
+});
+
+test('transcribes a stored WebM recording window by window into one transcript', async () => {
+  const responses = [
+    [{ start: 0, end: 1.5, text: 'Limits come first.' }, { start: 3.2, end: 3.9, text: 'Then derivatives' }],
+    [{ start: 0.2, end: 0.9, text: 'Then derivatives' }, { start: 1, end: 3.8, text: 'measure change.' }],
+    [{ start: 0.6, end: 2, text: 'The chain rule follows.' }]
+  ];
+  const key = audioKey.replace('.wav', '.webm');
+  const env = {
+    GIST_RECORDINGS: new FakeR2(),
+    TRANSCRIPTION_SEGMENT_SECONDS: '4',
+    TRANSCRIPTION_OVERLAP_SECONDS: '1',
+    AI: {
+      calls: 0,
+      async run() {
+        const segments = responses[this.calls++].map(segment => ({ ...segment, no_speech_prob: 0.01 }));
+        return {
+          text: segments.map(segment => segment.text).join(' '),
+          segments: segments,
+          transcription_info: { language: 'en', language_probability: 0.99 }
+        };
+      }
+    }
+  };
+  await env.GIST_RECORDINGS.put(key, buildWebm(10), { customMetadata: { format: 'webm' } });
+
+  const result = await transcribeStoredAudio(env, { audioKey: key, requestId: 'request-1' });
+  assert.equal(env.AI.calls, 3);
+
+  const stored = await env.GIST_RECORDINGS.json(result.transcriptionKey);
+  assert.equal(stored.text, 'Limits come first. Then derivatives measure change. The chain rule follows.');
+  assert.equal(stored.segmented, true);
+  assert.deepEqual(stored.windows.map(({ start, end }) => [start, end]), [[0, 4], [3, 7], [6, null]]);
+  assert.deepEqual(stored.segments.map(segment => segment.start), [0, 3.2, 4, 6.6]);
+});
@@ -0,0 +1,114 @@
+// Worker routes end to end, signed in through a local stand-in for Google's tokeninfo endpoint (GOOGLE_TOKENINFO_URL)
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../r2-worker.js';
+import { FakeR2 } from './helpers/fake-r2.js';
+import { startServer } from './helpers/http-server.js';
+import './helpers/workers-runtime.js';
+
+const CLIENT_ID = 'test-client.apps.googleusercontent.com';
+const ctx = { waitUntil() {} };
+
+let tokeninfoServer;
+
+before(async () => {
+  tokeninfoServer = await startServer(() => ({
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ azp: CLIENT_ID, sub: '111', expires_in: 3600 })
+  }));
+});
+
+after(async () => {
+  await tokeninfoServer.close();
+});
+
+// Whisper stand-in that answers every window with the same sentence
+function createWhisper() {
+  return {
+    inputs: [],
+    async run(model, input) {
+      this.inputs.push(input);
+      return {
+        text: 'Ogg lectures are recordings too.',
+        segments: [{ start: 0, end: 2, text: 'Ogg lectures are recordings too.', no_speech_prob: 0.01 }],
+        transcription_info: { language: 'en', language_probability: 0.99 }
+      };
+    }
+  };
+}
+
+function createEnv() {
+  return {
+    GIST_RECORDINGS: new FakeR2(),
+    AI: createWhisper(),
+    GOOGLE_CLIENT_ID: CLIENT_ID,
+    GOOGLE_TOKENINFO_URL: `${tokeninfoServer.url}/tokeninfo`
+  };
+}
+
+function call(env, path, init = {}) {
+  const headers = { Authorization: 'Bearer test-access-token', ...init.headers };
+  return worker.fetch(new Request(`https://worker.example${path}`, { ...init, headers }), env, ctx);
+}
+
+function oggBytes() {
+  const bytes = new Uint8Array(64);
+  bytes.set(new TextEncoder().encode('OggS'));
+  return bytes;
+}
+
+test('an uploaded Ogg recording is listed and transcribed like any other audio', async () => {
+  const env = createEnv();
+  const audioKey = 'recordings/111-session/complete-recording-1.ogg';
+
+  const uploaded = await call(env, `/r2-upload?key=${encodeURIComponent(audioKey)}`, {
+    method: 'PUT',
+    headers: { 'Content-Length': '64', 'Content-Type': 'audio/ogg' },
+    body: oggBytes()
+  });
+  assert.equal(uploaded.status, 200);
+  assert.equal((await uploaded.json()).format, 'ogg');
+
+  const library = await (await call(env, '/api/sessions')).json();
+  assert.equal(library.sessions.length, 1);
+  assert.equal(library.sessions[0].audioKey, audioKey);
+  assert.equal(library.sessions[0].status, 'uploaded');
+
+  const transcribed = await call(env, '/api/transcribe', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ key: audioKey, wait: true })
+  });
+  assert.equal(transcribed.status, 200);
+  const transcription = await transcribed.json();
+  assert.equal(transcription.transcriptionKey, 'recordings/111-session/complete-recording-1-transcription.json');
+  assert.equal(transcription.text, 'Ogg lectures are recordings too.');
+
+  // The recording itself is untouched
+  const audio = await env.GIST_RECORDINGS.get(audioKey);
+  assert.deepEqual(new Uint8Array(await audio.arrayBuffer()), oggBytes());
+  assert.equal(audio.httpMetadata.contentType, 'audio/ogg');
+
+  await env.GIST_RECORDINGS.put('recordings/111-session/complete-recording-1-summary.json', JSON.stringify({ summary: 'Ogg works.' }));
+  const listed = await (await call(env, '/r2-list', {
+    method: 'POST',
+    body: JSON.stringify({ prefix: 'recordings/111-session/' })
+  })).json();
+  assert.deepEqual(listed.recordings.map(recording => recording.key), [audioKey]);
+});
+
+test('form transcription refuses keys that are not recordings instead of overwriting them', async () => {
+  const env = createEnv();
+  const keepKey = 'recordings/111-session/keep.json';
+  await env.GIST_RECORDINGS.put(keepKey, JSON.stringify({ keep: true }));
+
+  const form = new FormData();
+  form.append('audio', new Blob([oggBytes()], { type: 'audio/ogg' }), 'recording.ogg');
+  form.append('key', keepKey);
+  const response = await call(env, '/api/transcribe', { method: 'POST', body: form });
+
+  assert.equal(response.status, 400);
+  assert.equal(env.AI.inputs.length, 0);
+  assert.deepEqual(await env.GIST_RECORDINGS.json(keepKey), { keep: true });
+});
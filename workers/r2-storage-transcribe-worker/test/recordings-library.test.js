@@ -0,0 +1,89 @@
+// Recordings library pages (grouping, cursors, R2 calls per page) and session deletion
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleListSessions, handleDeleteSession } from '../recordings-library.js';
+import { recordStage } from '../session-manifest.js';
+import { FakeR2 } from './helpers/fake-r2.js';
+
+const user = { id: '111' };
+
+async function seedSessions(bucket, count) {
+  const env = { GIST_RECORDINGS: bucket };
+  for (let i = 0; i < count; i++) {
+    const stem = `recordings/111-session${String(i).padStart(2, '0')}/complete-recording-${i}`;
+    await bucket.put(`${stem}.webm`, new Uint8Array(16), { customMetadata: { duration: '60', 'tab-title': `Lecture ${i}` } });
+    await bucket.put(`${stem}-transcription.json`, JSON.stringify({ text: 'hello' }));
+    await recordStage(env, `${stem}.webm`, 'transcription', { status: 'completed', requestId: `r${i}` });
+  }
+  // Another user's session must never show up
+  await bucket.put('recordings/222-other/complete-recording-1.webm', new Uint8Array(16));
+  return env;
+}
+
+async function listPage(env, query = '') {
+  const response = await handleListSessions(new Request(`https://worker.example/api/sessions?${query}`), env, user);
+  return response.json();
+}
+
+test('pages through sessions with one list call per page', async () => {
+  const bucket = new FakeR2();
+  const env = await seedSessions(bucket, 5);
+
+  bucket.calls.list = 0;
+  bucket.calls.get = 0;
+  const first = await listPage(env, 'limit=2');
+  assert.equal(bucket.calls.list, 1);
+  assert.equal(bucket.calls.get, 0);
+  assert.deepEqual(first.sessions.map(session => session.sessionId).sort(), ['session00', 'session01']);
+  assert.equal(first.hasMore, true);
+  assert.equal(first.cursor, 'session01');
+
+  const entry = first.sessions.find(session => session.sessionId === 'session00');
+  assert.equal(entry.status, 'transcribed');
+  assert.equal(entry.pipelineStatus, 'transcribed');
+  assert.equal(entry.title, 'Lecture 0');
+  assert.equal(entry.transcriptionKey, 'recordings/111-session00/complete-recording-0-transcription.json');
+
+  const second = await listPage(env, `limit=2&cursor=${first.cursor}`);
+  assert.deepEqual(second.sessions.map(session => session.sessionId).sort(), ['session02', 'session03']);
+
+  const last = await listPage(env, `limit=2&cursor=${second.cursor}`);
+  assert.deepEqual(last.sessions.map(session => session.sessionId), ['session04']);
+  assert.equal(last.hasMore, false);
+  assert.equal(last.cursor, null);
+});
+
+test('rejects cursors that leave the namespace', async () => {
+  const env = await seedSessions(new FakeR2(), 1);
+  const response = await handleListSessions(new Request('https://worker.example/api/sessions?cursor=../222-other'), env, user);
+  assert.equal(response.status, 400);
+});
+
+test('deleting a session removes its job records, hash and share index entries', async () => {
+  const bucket = new FakeR2();
+  const env = await seedSessions(bucket, 2);
+  const stem = 'recordings/111-session00/complete-recording-0';
+  const jobId = '6f1c2b1e-0000-4000-8000-000000000001';
+
+  await bucket.put(`${stem}-transcription.json`, JSON.stringify({ text: 'hello', audio_sha256: 'aaa' }));
+  await recordStage(env, `${stem}.webm`, 'transcription', { status: 'queued', requestId: jobId, jobId: jobId });
+  await bucket.put(`jobs/111/${jobId}.json`, JSON.stringify({ jobId: jobId }));
+  await bucket.put('hashes/111/aaa.json', JSON.stringify({ audioKey: `${stem}.webm` }));
+  await bucket.put('recordings/111-session00/shares/s1.json', JSON.stringify({ shareId: 's1' }));
+  await bucket.put('shares/s1.json', JSON.stringify({ shareId: 's1', audioKey: `${stem}.webm` }));
+
+  // Same audio re-uploaded into another session: that index entry must stay
+  await bucket.put('recordings/111-session01/complete-recording-1-transcription.json', JSON.stringify({ text: 'hello', audio_sha256: 'bbb' }));
+  await bucket.put('hashes/111/bbb.json', JSON.stringify({ audioKey: 'recordings/111-session01/complete-recording-1.webm' }));
+
+  const response = await handleDeleteSession(new Request('https://worker.example/api/sessions?sessionId=session00', { method: 'DELETE' }), env, user);
+  const report = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(report.deletedRecords.sort(), ['hashes/111/aaa.json', `jobs/111/${jobId}.json`, 'shares/s1.json']);
+  assert.deepEqual([...bucket.objects.keys()].filter(key => key.includes('session00') || key.startsWith('jobs/')), []);
+  assert.ok(bucket.objects.has('hashes/111/bbb.json'));
+  assert.ok(!bucket.objects.has('hashes/111/aaa.json'));
+  assert.ok(!bucket.objects.has('shares/s1.json'));
+});
@@ -0,0 +1,73 @@
+// Audio retention sweep: batched deletes, resumable scans, keep markers and manifest updates
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runRetentionSweep } from '../retention.js';
+import { recordStage, getManifest } from '../session-manifest.js';
+import { FakeR2 } from './helpers/fake-r2.js';
+
+// Far enough ahead that every seeded object is past the retention window
+const event = { cron: '0 3 * * *', scheduledTime: Date.now() + 365 * 24 * 60 * 60 * 1000 };
+
+async function seedSession(env, sessionId, { keep = false } = {}) {
+  const audioKey = `recordings/111-${sessionId}/complete-recording-1.webm`;
+  await env.GIST_RECORDINGS.put(audioKey, new Uint8Array(10));
+  await env.GIST_RECORDINGS.put(audioKey.replace('.webm', '-transcription.json'), JSON.stringify({ text: 'hello' }));
+  await recordStage(env, audioKey, 'upload', { status: 'completed', artifacts: { audio: audioKey } });
+  if (keep) {
+    await env.GIST_RECORDINGS.put(`recordings/111-${sessionId}/keep.json`, JSON.stringify({ keep: true }));
+  }
+  return audioKey;
+}
+
+test('deletes expired audio in one batch and clears it from the manifest', async () => {
+  const bucket = new FakeR2();
+  const env = { GIST_RECORDINGS: bucket };
+  const expired = await seedSession(env, 'a');
+  const kept = await seedSession(env, 'b', { keep: true });
+  const other = await seedSession(env, 'c');
+
+  bucket.calls.delete = 0;
+  const stats = await runRetentionSweep(env, event);
+
+  assert.equal(stats.deleted, 2);
+  assert.equal(stats.kept, 1);
+  assert.equal(stats.manifests_updated, 2);
+  assert.equal(stats.pass_completed, true);
+  assert.equal(bucket.calls.delete, 1);
+  assert.ok(!bucket.objects.has(expired) && !bucket.objects.has(other));
+  assert.ok(bucket.objects.has(kept));
+  assert.ok(bucket.objects.has('recordings/111-a/complete-recording-1-transcription.json'));
+
+  const manifest = await getManifest(env, expired);
+  assert.equal(manifest.artifacts.audio, null);
+  assert.equal(manifest.audioRetention.action, 'deleted');
+  assert.equal((await getManifest(env, kept)).artifacts.audio, kept);
+});
+
+test('resumes a partial scan where the previous run stopped', async () => {
+  const bucket = new FakeR2();
+  const env = { GIST_RECORDINGS: bucket, RETENTION_MAX_SCAN_OBJECTS: '2' };
+  const keptKey = await seedSession(env, 'a', { keep: true });
+  const expiredKey = await seedSession(env, 'b');
+
+  // Each run stops after the audio, before the session's keep marker and manifest are listed
+  const first = await runRetentionSweep(env, event);
+  assert.equal(first.scanned_objects, 2);
+  assert.equal(first.kept, 1);
+  assert.equal(first.pass_completed, false);
+  assert.equal((await bucket.json('retention/sweep-state.json')).startAfter, keptKey);
+
+  const second = await runRetentionSweep(env, event);
+  assert.equal(second.expired_audio, 0);
+
+  const third = await runRetentionSweep(env, event);
+  assert.equal(third.deleted, 1);
+  assert.equal(third.manifests_updated, 1);
+  assert.ok(!bucket.objects.has(expiredKey));
+
+  const fourth = await runRetentionSweep(env, event);
+  assert.equal(fourth.pass_completed, true);
+  assert.ok(!bucket.objects.has('retention/sweep-state.json'));
+  assert.ok(bucket.objects.has(keptKey));
+});
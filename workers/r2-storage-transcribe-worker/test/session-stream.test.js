@@ -0,0 +1,73 @@
+// Live session status: phases, and the snapshot/stage/status/end events of the stream
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSessionPhase, handleSessionStream } from '../session-stream.js';
+import { enqueueJob } from '../job-queue.js';
+import { recordStage } from '../session-manifest.js';
+import { FakeR2 } from './helpers/fake-r2.js';
+
+const user = { id: '111' };
+const audioKey = 'recordings/111-session/complete-recording-1.webm';
+const transcriptionKey = 'recordings/111-session/complete-recording-1-transcription.json';
+
+function createEnv() {
+  return {
+    GIST_RECORDINGS: new FakeR2(),
+    JOBS_QUEUE: {
+      async send() {}
+    }
+  };
+}
+
+// Read the whole event stream into [{ event, data }]
+async function readEvents(response) {
+  const text = await new Response(response.body).text();
+  return text.split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+}
+
+test('a transcript is final only when no summary was asked for', async () => {
+  const manifest = status => ({ status, stages: {}, history: [] });
+  assert.equal(getSessionPhase(null), 'pending');
+  assert.equal(getSessionPhase(manifest('summarized')), 'done');
+  assert.equal(getSessionPhase(manifest('transcribed')), 'transcribed');
+
+  const transcribed = manifest('transcribed');
+  transcribed.stages.summary = { status: 'skipped' };
+  assert.equal(getSessionPhase(transcribed), 'done');
+
+  for (const summarize of [false, true]) {
+    const env = createEnv();
+    await enqueueJob(env, {}, { type: 'transcribe', userId: user.id, input: { audioKey, summarize } });
+    const written = await recordStage(env, audioKey, 'transcription', { status: 'completed', artifacts: { transcription: transcriptionKey } });
+    assert.equal(written.stages.transcription.summaryRequested, summarize);
+    assert.equal(getSessionPhase(written), summarize ? 'transcribed' : 'done');
+  }
+});
+
+test('streams a snapshot, each stage transition, then ends once a transcribe-only session is done', async () => {
+  const env = createEnv();
+  const job = await enqueueJob(env, {}, { type: 'transcribe', userId: user.id, input: { audioKey, summarize: false } });
+
+  const response = await handleSessionStream(new Request('https://worker.example/api/sessions/stream?sessionId=session'), env, user);
+  assert.equal(response.headers.get('Content-Type'), 'text/event-stream');
+
+  // Both land before the stream's first re-read of the manifest
+  await recordStage(env, audioKey, 'transcription', { status: 'running', requestId: job.jobId });
+  await recordStage(env, audioKey, 'transcription', { status: 'completed', requestId: job.jobId });
+
+  const events = await readEvents(response);
+  assert.deepEqual(events.map(event => event.event), ['snapshot', 'stage', 'stage', 'status', 'end']);
+  assert.equal(events[0].data.phase, 'queued');
+  assert.deepEqual(events.slice(1, 3).map(event => [event.data.stage, event.data.status]), [
+    ['transcription', 'running'],
+    ['transcription', 'completed']
+  ]);
+  assert.equal(events[3].data.phase, 'done');
+  assert.deepEqual(events[4].data, { phase: 'done', reason: 'finished' });
+});
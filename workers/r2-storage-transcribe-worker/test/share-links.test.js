@@ -0,0 +1,68 @@
+// Share links: opaque tokens, record lookup, revocation and key validation
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleCreateShare, handleRevokeShare, handlePublicShare } from '../share-links.js';
+import { handleDeleteSession } from '../recordings-library.js';
+import { FakeR2 } from './helpers/fake-r2.js';
+
+const user = { id: '111' };
+const audioKey = 'recordings/111-session/complete-recording-1.webm';
+
+async function setup() {
+  const bucket = new FakeR2();
+  const env = { GIST_RECORDINGS: bucket, SHARE_LINK_SECRET: 'test-secret' };
+  await bucket.put(audioKey, new Uint8Array(16));
+  await bucket.put(audioKey.replace('.webm', '-transcription.json'), JSON.stringify({ text: 'Shared transcript' }));
+  return env;
+}
+
+async function createShare(env, body) {
+  return handleCreateShare(new Request('https://worker.example/api/shares', {
+    method: 'POST',
+    body: JSON.stringify(body)
+  }), env, user);
+}
+
+async function viewShare(env, url) {
+  const path = new URL(url).pathname;
+  return handlePublicShare(new Request(url), env, path);
+}
+
+test('tokens carry only a signed share ID and resolve through the share record', async () => {
+  const env = await setup();
+  const share = await (await createShare(env, { audioKey })).json();
+
+  const token = share.url.split('/share/')[1];
+  const [shareId] = token.split('.');
+  assert.equal(shareId, share.shareId);
+  assert.ok(!token.includes('111'));
+
+  const page = await viewShare(env, share.url);
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /Shared transcript/);
+
+  // A valid share ID with a forged signature is rejected
+  assert.equal((await viewShare(env, `https://worker.example/share/${shareId}.AAAA`)).status, 404);
+});
+
+test('rejects share requests for keys that are not recordings', async () => {
+  const env = await setup();
+  const response = await createShare(env, { audioKey: audioKey.replace('.webm', '-transcription.json') });
+  assert.equal(response.status, 400);
+});
+
+test('revoking a share or deleting its session ends the link', async () => {
+  const env = await setup();
+  const revoked = await (await createShare(env, { audioKey })).json();
+  const kept = await (await createShare(env, { audioKey })).json();
+
+  await handleRevokeShare(new Request(`https://worker.example/api/shares?audioKey=${audioKey}&shareId=${revoked.shareId}`, { method: 'DELETE' }), env, user);
+  assert.equal((await viewShare(env, revoked.url)).status, 404);
+  assert.ok(!env.GIST_RECORDINGS.objects.has(`shares/${revoked.shareId}.json`));
+  assert.equal((await viewShare(env, kept.url)).status, 200);
+
+  await handleDeleteSession(new Request('https://worker.example/api/sessions?sessionId=session', { method: 'DELETE' }), env, user);
+  assert.equal((await viewShare(env, kept.url)).status, 404);
+  assert.ok(!env.GIST_RECORDINGS.objects.has(`shares/${kept.shareId}.json`));
+});
@@ -0,0 +1,55 @@
+// No-speech detection: the no_speech_prob threshold, stock phrases and repetition loops
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectNoSpeech } from '../speech-detection.js';
+
+const lecture = 'Today we look at limits and how they lead to the derivative.';
+
+test('treats a duration-weighted no_speech_prob of 0.6 or more as silence', () => {
+  assert.deepEqual(detectNoSpeech({
+    text: lecture,
+    segments: [{ start: 0, end: 10, text: lecture, noSpeechProb: 0.6 }]
+  }), { reason: 'silence', no_speech_probability: 0.6 });
+
+  assert.equal(detectNoSpeech({
+    text: lecture,
+    segments: [{ start: 0, end: 10, text: lecture, noSpeechProb: 0.59 }]
+  }), null);
+
+  // One long spoken segment outweighs a short silent one
+  assert.equal(detectNoSpeech({
+    text: lecture,
+    segments: [
+      { start: 0, end: 9, text: lecture, noSpeechProb: 0.1 },
+      { start: 9, end: 10, text: 'you', noSpeechProb: 0.99 }
+    ]
+  }), null);
+
+  // Models that don't report it fall through to the text checks
+  assert.equal(detectNoSpeech({ text: lecture, segments: [{ start: 0, end: 10, text: lecture }] }), null);
+});
+
+test('flags empty text and transcripts made only of stock phrases', () => {
+  assert.deepEqual(detectNoSpeech({ text: '  ' }), { reason: 'empty_text' });
+  assert.deepEqual(detectNoSpeech({ text: 'Thank you. Thanks for watching!' }), {
+    reason: 'hallucination',
+    pattern: 'stock_phrase',
+    phrase: 'thank you'
+  });
+  assert.equal(detectNoSpeech({ text: `Thank you. ${lecture}` }), null);
+});
+
+test('flags one line repeated across segments, or a long run with almost no vocabulary', () => {
+  const loop = Array.from({ length: 5 }, (_, i) => ({ start: i, end: i + 1, text: 'I will see you next time.' }));
+  const repeated = detectNoSpeech({ text: loop.map(segment => segment.text).join(' '), segments: loop });
+  assert.equal(repeated.pattern, 'repeated_segment');
+  assert.equal(repeated.repeats, 5);
+
+  const words = detectNoSpeech({ text: 'la '.repeat(30) });
+  assert.equal(words.pattern, 'repeated_words');
+  assert.equal(words.phrase, 'la');
+
+  // Short repeats stay below both minimums
+  assert.equal(detectNoSpeech({ text: 'la la la la' }), null);
+});
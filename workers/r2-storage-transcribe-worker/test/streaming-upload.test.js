@@ -0,0 +1,99 @@
+// Streaming uploads: declared sizes, FixedLengthStream enforcement and sniffing the first chunk
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkUploadSize, pipeBodyToR2, IncompleteUploadError } from '../streaming-upload.js';
+import { peekStream, SNIFF_BYTES } from '../audio-format.js';
+import { handleMultipartCreate, handleMultipartPart } from '../multipart-upload.js';
+import { FakeR2 } from './helpers/fake-r2.js';
+import './helpers/workers-runtime.js';
+
+const user = { id: '111' };
+const key = 'recordings/111-session/complete-recording-1.webm';
+
+// A body that arrives in the given chunks, like a request stream
+function chunkedStream(...chunks) {
+  return new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) {
+        controller.enqueue(new Uint8Array(chunk));
+      }
+      controller.close();
+    }
+  });
+}
+
+function uploadRequest(headers) {
+  return new Request('https://worker.example/r2-upload', { method: 'PUT', headers, body: new Uint8Array(8) });
+}
+
+test('checks Content-Length and the declared size before reading the body', async () => {
+  const env = { MAX_UPLOAD_BYTES: '16' };
+
+  assert.deepEqual(checkUploadSize(uploadRequest({ 'Content-Length': '8', 'X-Declared-Size': '8' }), env), { size: 8 });
+  assert.equal(checkUploadSize(new Request('https://worker.example/r2-upload', { method: 'PUT' }), env).response.status, 411);
+  assert.equal(checkUploadSize(uploadRequest({ 'Content-Length': '-1' }), env).response.status, 400);
+
+  const mismatch = checkUploadSize(uploadRequest({ 'Content-Length': '8', 'X-Declared-Size': '9' }), env).response;
+  assert.equal(mismatch.status, 400);
+  assert.equal((await mismatch.json()).code, 'size_mismatch');
+
+  const tooLarge = checkUploadSize(uploadRequest({ 'Content-Length': '17' }), env).response;
+  assert.equal(tooLarge.status, 413);
+  assert.equal((await tooLarge.json()).maxBytes, 16);
+});
+
+test('writes a body of exactly the declared length', async () => {
+  const bucket = new FakeR2();
+  const object = await pipeBodyToR2(chunkedStream([1, 2, 3], [4, 5]), 5, stream => bucket.put(key, stream));
+  assert.equal(object.size, 5);
+});
+
+test('fails the write when the body is shorter or longer than declared', async () => {
+  const bucket = new FakeR2();
+
+  await assert.rejects(
+    pipeBodyToR2(chunkedStream([1, 2, 3]), 5, stream => bucket.put(key, stream)),
+    error => error instanceof IncompleteUploadError && error.expectedSize === 5
+  );
+  await assert.rejects(
+    pipeBodyToR2(chunkedStream([1, 2, 3], [4, 5, 6]), 5, stream => bucket.put(key, stream)),
+    IncompleteUploadError
+  );
+  assert.equal(await bucket.head(key), null);
+});
+
+test('sniffs magic bytes split across chunks without losing any of the body', async () => {
+  const { head, stream } = await peekStream(chunkedStream([0x1A, 0x45], [0xDF], [0xA3, 1, 2], new Array(20).fill(7)), SNIFF_BYTES);
+  assert.deepEqual([...head.subarray(0, 4)], [0x1A, 0x45, 0xDF, 0xA3]);
+  assert.equal(head.length, SNIFF_BYTES);
+
+  const replayed = new Uint8Array(await new Response(stream).arrayBuffer());
+  assert.equal(replayed.length, 26);
+  assert.deepEqual([...replayed.subarray(0, 6)], [0x1A, 0x45, 0xDF, 0xA3, 1, 2]);
+});
+
+test('rejects a first part without audio magic bytes before storing it', async () => {
+  const bucket = new FakeR2();
+  const env = { GIST_RECORDINGS: bucket };
+  const created = await handleMultipartCreate(new Request('https://worker.example/r2-multipart/create', {
+    method: 'POST',
+    body: JSON.stringify({ key, contentType: 'audio/webm', head: Buffer.from([0x1A, 0x45, 0xDF, 0xA3]).toString('base64') })
+  }), env, user);
+  const { uploadId } = await created.json();
+
+  const png = new Uint8Array(32);
+  png.set([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+  const query = `key=${encodeURIComponent(key)}&uploadId=${uploadId}&partNumber=1`;
+  const response = await handleMultipartPart(new Request(`https://worker.example/r2-multipart/part?${query}`, {
+    method: 'PUT',
+    headers: { 'Content-Length': '32', 'Content-Type': 'audio/webm' },
+    body: png
+  }), env, user);
+
+  assert.equal(response.status, 415);
+  const body = await response.json();
+  assert.equal(body.code, 'validation_failed');
+  assert.equal(body.validation.reason, 'unrecognized_format');
+  assert.equal(bucket.uploads.get(uploadId).parts.size, 0);
+});
@@ -0,0 +1,107 @@
+// Long transcript summaries: sentence chunking and the map-reduce over section summaries
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getChunkWords, splitSentences, chunkTranscript } from '../summary-chunks.js';
+import { summarizeStoredTranscription } from '../pipeline.js';
+import { FakeR2 } from './helpers/fake-r2.js';
+
+const transcriptionKey = 'recordings/111-session/complete-recording-1-transcription.json';
+
+// Six five-word sentences
+const lecture = [
+  'Limits describe values near points.',
+  'Derivatives measure instant rates precisely.',
+  'The chain rule composes functions.',
+  'Integrals accumulate many small pieces.',
+  'The fundamental theorem links both.',
+  'Series approximate functions with polynomials.'
+].join(' ');
+
+// BART stand-in: `summarize(text)` decides each summary; every input is recorded
+async function setup(summarize, vars = {}) {
+  const env = {
+    GIST_RECORDINGS: new FakeR2(),
+    AI: {
+      inputs: [],
+      async run(model, input) {
+        this.inputs.push(input.input_text);
+        return { summary: summarize(input.input_text) };
+      }
+    },
+    ...vars
+  };
+  await env.GIST_RECORDINGS.put(transcriptionKey, JSON.stringify({ text: lecture, text_language: 'en' }));
+  return env;
+}
+
+function firstWords(text, count) {
+  return text.split(/\s+/).slice(0, count).join(' ');
+}
+
+test('splits on sentence ends and groups whole sentences up to the word limit', () => {
+  assert.deepEqual(splitSentences('He said "stop." Then? Yes! no punctuation here'), [
+    'He said "stop."',
+    'Then?',
+    'Yes!',
+    'no punctuation here'
+  ]);
+
+  assert.deepEqual(chunkTranscript(lecture, 10), [
+    'Limits describe values near points. Derivatives measure instant rates precisely.',
+    'The chain rule composes functions. Integrals accumulate many small pieces.',
+    'The fundamental theorem links both. Series approximate functions with polynomials.'
+  ]);
+  assert.deepEqual(chunkTranscript(lecture, 12).map(chunk => chunk.split(' ').length), [10, 10, 10]);
+
+  // Whisper output without punctuation is cut between words
+  assert.deepEqual(chunkTranscript('one two three four five six seven', 3), ['one two three', 'four five six', 'seven']);
+
+  assert.equal(getChunkWords({}), 600);
+  assert.equal(getChunkWords({}, { styled: true }), 3000);
+  assert.equal(getChunkWords({ SUMMARY_CHUNK_WORDS: '200', STYLED_SUMMARY_CHUNK_WORDS: 'lots' }), 200);
+  assert.equal(getChunkWords({ STYLED_SUMMARY_CHUNK_WORDS: 'lots' }, { styled: true }), 3000);
+});
+
+test('summarizes a transcript that fits one chunk in a single call', async () => {
+  const env = await setup(text => firstWords(text, 3));
+  await summarizeStoredTranscription(env, { transcriptionKey, requestId: 'request-1' });
+
+  const stored = await env.GIST_RECORDINGS.json('recordings/111-session/complete-recording-1-summary.json');
+  assert.equal(stored.strategy, 'single');
+  assert.equal(stored.reduce_passes, 0);
+  assert.deepEqual(env.AI.inputs, [lecture]);
+});
+
+test('summarizes each chunk, then combines the section summaries', async () => {
+  const env = await setup(text => firstWords(text, 3), { SUMMARY_CHUNK_WORDS: '10' });
+  const result = await summarizeStoredTranscription(env, { transcriptionKey, requestId: 'request-1' });
+
+  assert.equal(result.sectionCount, 3);
+  assert.deepEqual(env.AI.inputs, [
+    ...chunkTranscript(lecture, 10),
+    'Limits describe values\n\nThe chain rule\n\nThe fundamental theorem'
+  ]);
+
+  const stored = await env.GIST_RECORDINGS.json(result.summaryKey);
+  assert.equal(stored.strategy, 'map_reduce');
+  assert.equal(stored.reduce_passes, 1);
+  assert.equal(stored.summary, 'Limits describe values');
+  assert.deepEqual(stored.sections.map(section => [section.index, section.input_word_count, section.word_count]), [
+    [0, 10, 3],
+    [1, 10, 3],
+    [2, 10, 3]
+  ]);
+});
+
+test('stops condensing section summaries after MAX_REDUCE_PASSES', async () => {
+  // A model that never shortens anything would otherwise loop forever
+  const env = await setup(text => text, { SUMMARY_CHUNK_WORDS: '10' });
+  const result = await summarizeStoredTranscription(env, { transcriptionKey, requestId: 'request-1' });
+
+  const stored = await env.GIST_RECORDINGS.json(result.summaryKey);
+  assert.equal(stored.reduce_passes, 3);
+  // 3 sections, 2 condensing passes of 3 groups each, then the final call
+  assert.equal(env.AI.inputs.length, 3 + 3 + 3 + 1);
+  assert.equal(stored.summary.split(/\s+/).length, 30);
+});
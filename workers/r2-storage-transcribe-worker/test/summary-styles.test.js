@@ -0,0 +1,71 @@
+// Summary styles: style validation, prompt versions and the chat input each style sends
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SUMMARY_STYLES, SECTION_NOTES_TEMPLATE, getPromptVersion, buildStyleInput } from '../summary-styles.js';
+import { parseSummaryStyle, summarizeStoredTranscription, PipelineError } from '../pipeline.js';
+import { FakeR2 } from './helpers/fake-r2.js';
+
+const transcriptionKey = 'recordings/111-session/complete-recording-1-transcription.json';
+
+test('accepts the known styles and treats default as the plain summary', () => {
+  for (const style of [undefined, null, '', 'default']) {
+    assert.equal(parseSummaryStyle(style), null);
+  }
+  for (const style of Object.keys(SUMMARY_STYLES)) {
+    assert.equal(parseSummaryStyle(style), style);
+  }
+});
+
+test('rejects unknown styles, including inherited object keys', () => {
+  for (const style of ['haiku', 'Key_Points', 'toString', '__proto__', 42]) {
+    assert.throws(() => parseSummaryStyle(style), error =>
+      error instanceof PipelineError && error.status === 400 && error.code === 'invalid_style'
+    );
+  }
+});
+
+test('builds the chat input and prompt version of a style', () => {
+  const input = buildStyleInput(SUMMARY_STYLES.key_points, 'Limits come first.', 'transcript');
+  assert.equal(input.max_tokens, 512);
+  assert.equal(input.messages[0].role, 'system');
+  assert.equal(input.messages[1].content, `${SUMMARY_STYLES.key_points.instructions}\n\nTranscript:\nLimits come first.`);
+
+  const notes = buildStyleInput(SECTION_NOTES_TEMPLATE, 'Notes.', 'sections');
+  assert.match(notes.messages[1].content, /Notes taken from consecutive parts of the transcript:\nNotes\.$/);
+
+  assert.equal(getPromptVersion('study_notes'), 'study_notes-v1.notes-v1');
+});
+
+test('writes a styled summary beside the plain one, notes first for long transcripts', async () => {
+  const env = {
+    GIST_RECORDINGS: new FakeR2(),
+    STYLED_SUMMARY_CHUNK_WORDS: '6',
+    AI: {
+      inputs: [],
+      async run(model, input) {
+        this.inputs.push({ model, prompt: input.messages[1].content });
+        return { response: `- point ${this.inputs.length}` };
+      }
+    }
+  };
+  await env.GIST_RECORDINGS.put(transcriptionKey, JSON.stringify({
+    text: 'Limits describe values near points. Derivatives measure instant rates precisely.',
+    text_language: 'en'
+  }));
+
+  const result = await summarizeStoredTranscription(env, { transcriptionKey, requestId: 'request-1', style: 'key_points' });
+  assert.equal(result.summaryKey, 'recordings/111-session/complete-recording-1-summary-key_points.json');
+
+  // Each chunk is turned into notes; only the final call uses the style's prompt
+  assert.equal(env.AI.inputs.length, 3);
+  assert.ok(env.AI.inputs.every(input => input.model === '@cf/meta/llama-3.1-8b-instruct'));
+  assert.ok(env.AI.inputs.slice(0, 2).every(input => input.prompt.startsWith(SECTION_NOTES_TEMPLATE.instructions)));
+  assert.ok(env.AI.inputs[2].prompt.startsWith(SUMMARY_STYLES.key_points.instructions));
+
+  const stored = await env.GIST_RECORDINGS.json(result.summaryKey);
+  assert.equal(stored.summary, '- point 3');
+  assert.equal(stored.style, 'key_points');
+  assert.equal(stored.prompt_version, 'key_points-v1.notes-v1');
+  assert.equal(await env.GIST_RECORDINGS.head('recordings/111-session/complete-recording-1-summary.json'), null);
+});
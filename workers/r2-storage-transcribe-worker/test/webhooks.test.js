@@ -0,0 +1,178 @@
+// Webhooks: queued dispatch, signatures, retries and the delivery log, against a local receiver
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { handleCreateWebhook, handleListWebhookDeliveries } from '../webhooks.js';
+import { handleJobBatch } from '../job-queue.js';
+import { recordStage } from '../session-manifest.js';
+import { FakeR2 } from './helpers/fake-r2.js';
+import { startServer } from './helpers/http-server.js';
+
+const user = { id: '111' };
+const audioKey = 'recordings/111-session/complete-recording-1.webm';
+
+async function setup(receiver) {
+  const queue = {
+    sent: [],
+    async send(body) {
+      this.sent.push(body);
+    }
+  };
+  const env = { GIST_RECORDINGS: new FakeR2(), JOBS_QUEUE: queue, WEBHOOK_ALLOW_HTTP: 'true' };
+  const response = await handleCreateWebhook(new Request('https://worker.example/api/webhooks', {
+    method: 'POST',
+    body: JSON.stringify({ url: `${receiver.url}/hooks`, events: ['transcription.completed'] })
+  }), env, user);
+  const { webhook } = await response.json();
+  return { env, queue, webhook };
+}
+
+// Run queued messages through the consumer; returns what each message was told (ack or retry options)
+async function consume(env, bodies, attempts = 1) {
+  const outcomes = [];
+  for (const body of bodies) {
+    await handleJobBatch({
+      queue: 'gist-jobs',
+      messages: [{
+        body: body,
+        attempts: attempts,
+        ack() {
+          outcomes.push('ack');
+        },
+        retry(options) {
+          outcomes.push(options);
+        }
+      }]
+    }, env);
+  }
+  return outcomes;
+}
+
+async function listDeliveries(env) {
+  const response = await handleListWebhookDeliveries(new Request('https://worker.example/api/webhooks/deliveries'), env, user);
+  return (await response.json()).deliveries;
+}
+
+test('recording a stage only queues the delivery; the consumer sends it signed', async () => {
+  const receiver = await startServer(() => ({ status: 200, body: 'ok' }));
+  try {
+    const { env, queue, webhook } = await setup(receiver);
+
+    await recordStage(env, audioKey, 'transcription', { status: 'completed', requestId: 'request-1' });
+    assert.equal(queue.sent.length, 1);
+    assert.equal(receiver.requests.length, 0);
+
+    assert.deepEqual(await consume(env, queue.sent), ['ack']);
+    assert.equal(receiver.requests.length, 1);
+
+    const request = receiver.requests[0];
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(request.headers['x-webhook-signature']);
+    const expected = createHmac('sha256', webhook.secret).update(`${timestamp}.${request.body}`).digest('hex');
+    assert.equal(signature, expected);
+    assert.equal(request.headers['x-webhook-event'], 'transcription.completed');
+
+    const event = JSON.parse(request.body);
+    assert.equal(event.type, 'transcription.completed');
+    assert.equal(event.data.request_id, 'request-1');
+
+    // Stages the webhook isn't subscribed to queue nothing
+    await recordStage(env, audioKey, 'summary', { status: 'completed', requestId: 'request-1' });
+    assert.equal(queue.sent.length, 1);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('retries failed deliveries with backoff and logs every attempt', async () => {
+  let answers = 0;
+  const receiver = await startServer(() => (answers++ === 0 ? { status: 500, body: 'busy' } : { status: 204 }));
+  try {
+    const { env, queue } = await setup(receiver);
+    await recordStage(env, audioKey, 'transcription', { status: 'completed', requestId: 'request-1' });
+
+    assert.deepEqual(await consume(env, queue.sent, 1), [{ delaySeconds: 30 }]);
+    assert.equal((await listDeliveries(env))[0].status, 'retrying');
+
+    assert.deepEqual(await consume(env, queue.sent, 2), ['ack']);
+    const [delivery] = await listDeliveries(env);
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 204]);
+    assert.equal(delivery.attempts[0].responseBody, 'busy');
+    assert.equal(delivery.payload, undefined);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('keeps the delivery log to the newest 200 entries', async () => {
+  const receiver = await startServer(() => ({ status: 200 }));
+  try {
+    const { env } = await setup(receiver);
+    const prefix = 'settings/111/webhook-deliveries/';
+    for (let i = 0; i < 210; i++) {
+      await env.GIST_RECORDINGS.put(`${prefix}9000000000${String(i).padStart(3, '0')}-old.json`, JSON.stringify({ status: 'delivered' }));
+    }
+
+    await recordStage(env, audioKey, 'transcription', { status: 'completed', requestId: 'request-1' });
+
+    const keys = [...env.GIST_RECORDINGS.objects.keys()].filter(key => key.startsWith(prefix)).sort();
+    assert.equal(keys.length, 200);
+    assert.ok(!keys[0].endsWith('-old.json'));
+    assert.ok(keys.includes(`${prefix}9000000000198-old.json`));
+    assert.ok(!keys.includes(`${prefix}9000000000199-old.json`));
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('styled summary events can be subscribed to, and the log filters by webhook across pages', async () => {
+  const { env, queue } = await setup({ url: 'http://receiver.example' });
+  const register = events => handleCreateWebhook(new Request('https://worker.example/api/webhooks', {
+    method: 'POST',
+    body: JSON.stringify({ url: 'http://receiver.example/styled', events })
+  }), env, user);
+
+  assert.equal((await register(['summary_haiku.completed'])).status, 400);
+  const { webhook: styled } = await (await register(['summary_key_points.completed'])).json();
+
+  // Two styled events, then three newer transcription events ahead of them in the log
+  for (const session of ['a', 'b']) {
+    await recordStage(env, `recordings/111-${session}/complete-recording-1.webm`, 'summary_key_points', { status: 'completed', requestId: 'request-1' });
+  }
+  await new Promise(resolve => setTimeout(resolve, 5));
+  for (const session of ['c', 'd', 'e']) {
+    await recordStage(env, `recordings/111-${session}/complete-recording-1.webm`, 'transcription', { status: 'completed', requestId: 'request-1' });
+  }
+  assert.equal(queue.sent.length, 5);
+
+  const page = async query => (await handleListWebhookDeliveries(
+    new Request(`https://worker.example/api/webhooks/deliveries?${new URLSearchParams(query)}`), env, user
+  )).json();
+
+  const first = await page({ webhookId: styled.id, limit: '1' });
+  assert.equal(first.deliveries.length, 1);
+  assert.equal(first.deliveries[0].webhookId, styled.id);
+  assert.equal(first.deliveries[0].eventType, 'summary_key_points.completed');
+  assert.ok(first.cursor);
+
+  const second = await page({ webhookId: styled.id, limit: '1', cursor: first.cursor });
+  assert.equal(second.deliveries.length, 1);
+  assert.notEqual(second.deliveries[0].deliveryId, first.deliveries[0].deliveryId);
+
+  const rest = await page({ webhookId: styled.id, limit: '1', cursor: second.cursor });
+  assert.deepEqual([rest.deliveries, rest.cursor], [[], null]);
+
+  // Unfiltered pages still hold `limit` entries each
+  const all = await page({ limit: '4' });
+  assert.equal(all.deliveries.length, 4);
+  assert.equal((await page({ limit: '4', cursor: all.cursor })).deliveries.length, 1);
+});
+
+test('webhooks can not be registered without the jobs queue', async () => {
+  const response = await handleCreateWebhook(new Request('https://worker.example/api/webhooks', {
+    method: 'POST',
+    body: JSON.stringify({ url: 'https://receiver.example/hooks' })
+  }), { GIST_RECORDINGS: new FakeR2() }, user);
+  assert.equal(response.status, 500);
+});
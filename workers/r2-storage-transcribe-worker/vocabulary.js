@@ -0,0 +1,201 @@
+// Per-user custom vocabulary for transcription
+// Terms (course jargon, speaker names) are sent to Whisper as an initial prompt, and
+// find/replace corrections are applied to the text it returns. One object per user:
+//   settings/<user-id>/vocabulary.json
+
+const MAX_TERMS = 200;
+const MAX_CORRECTIONS = 200;
+const MAX_ENTRY_CHARS = 100;
+
+// Whisper only reads the last ~224 tokens of its prompt
+const MAX_PROMPT_CHARS = 800;
+
+function getVocabularyKey(userId) {
+  return `settings/${userId}/vocabulary.json`;
+}
+
+function emptyVocabulary() {
+  return { terms: [], corrections: [], updatedAt: null };
+}
+
+export async function getVocabulary(env, userId) {
+  const obj = await env.GIST_RECORDINGS.get(getVocabularyKey(userId));
+  return obj ? await obj.json() : emptyVocabulary();
+}
+
+// Whisper prompt listing the user's terms, or null when there are none
+export function buildInitialPrompt(vocabulary) {
+  if (!vocabulary || !vocabulary.terms.length) {
+    return null;
+  }
+
+  let prompt = 'Glossary:';
+  for (const term of vocabulary.terms) {
+    const next = `${prompt} ${term},`;
+    if (next.length > MAX_PROMPT_CHARS) {
+      break;
+    }
+    prompt = next;
+  }
+
+  return prompt.replace(/,$/, '.');
+}
+
+// Apply the corrections to `text`; returns the new text and [{ from, to, count }] for each one that matched
+// Matches whole words, ignoring case unless the correction sets caseSensitive
+export function applyCorrections(text, corrections) {
+  const applied = [];
+  let corrected = text;
+
+  for (const correction of corrections || []) {
+    const pattern = correctionPattern(correction);
+    let count = 0;
+    corrected = corrected.replace(pattern, () => {
+      count++;
+      return correction.to;
+    });
+
+    if (count > 0) {
+      applied.push({ from: correction.from, to: correction.to, count: count });
+    }
+  }
+
+  return { text: corrected, applied: applied };
+}
+
+function correctionPattern(correction) {
+  const escaped = correction.from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, correction.caseSensitive ? 'gu' : 'giu');
+}
+
+// Validate a PUT body; returns { vocabulary } or { error }
+function parseVocabulary(body) {
+  const { terms = [], corrections = [] } = body || {};
+
+  if (!Array.isArray(terms) || !Array.isArray(corrections)) {
+    return { error: 'terms and corrections must be arrays' };
+  }
+
+  if (terms.length > MAX_TERMS) {
+    return { error: `At most ${MAX_TERMS} terms are allowed` };
+  }
+
+  if (corrections.length > MAX_CORRECTIONS) {
+    return { error: `At most ${MAX_CORRECTIONS} corrections are allowed` };
+  }
+
+  const cleanTerms = [];
+  for (const term of terms) {
+    if (typeof term !== 'string' || !term.trim() || term.trim().length > MAX_ENTRY_CHARS) {
+      return { error: `Each term must be a non-empty string of at most ${MAX_ENTRY_CHARS} characters` };
+    }
+    if (!cleanTerms.includes(term.trim())) {
+      cleanTerms.push(term.trim());
+    }
+  }
+
+  const cleanCorrections = [];
+  for (const correction of corrections) {
+    const from = typeof correction?.from === 'string' ? correction.from.trim() : '';
+    const to = typeof correction?.to === 'string' ? correction.to.trim() : null;
+
+    if (!from || to === null || from.length > MAX_ENTRY_CHARS || to.length > MAX_ENTRY_CHARS) {
+      return { error: `Each correction needs "from" and "to" strings of at most ${MAX_ENTRY_CHARS} characters` };
+    }
+
+    cleanCorrections.push({ from: from, to: to, caseSensitive: correction.caseSensitive === true });
+  }
+
+  return {
+    vocabulary: {
+      terms: cleanTerms,
+      corrections: cleanCorrections,
+      updatedAt: new Date().toISOString()
+    }
+  };
+}
+
+// Handle GET /api/vocabulary
+export async function handleGetVocabulary(request, env, user) {
+  try {
+    const vocabulary = await getVocabulary(env, user.id);
+
+    return new Response(JSON.stringify({
+      success: true,
+      vocabulary: vocabulary,
+      initialPrompt: buildInitialPrompt(vocabulary)
+    }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    console.error('Vocabulary read error:', error);
+    return vocabularyErrorResponse(error);
+  }
+}
+
+// Handle PUT /api/vocabulary with { terms: [...], corrections: [{ from, to, caseSensitive? }] }
+// Replaces the whole vocabulary
+export async function handlePutVocabulary(request, env, user) {
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return new Response('Body must be JSON', { status: 400 });
+    }
+
+    const { vocabulary, error } = parseVocabulary(body);
+    if (error) {
+      return new Response(error, { status: 400 });
+    }
+
+    await env.GIST_RECORDINGS.put(getVocabularyKey(user.id), JSON.stringify(vocabulary), {
+      httpMetadata: {
+        contentType: 'application/json',
+      },
+    });
+
+    console.log({
+      event: 'vocabulary_updated',
+      user_id: user.id,
+      term_count: vocabulary.terms.length,
+      correction_count: vocabulary.corrections.length,
+      timestamp: vocabulary.updatedAt
+    });
+
+    return new Response(JSON.stringify({
+      success: true,
+      vocabulary: vocabulary,
+      initialPrompt: buildInitialPrompt(vocabulary)
+    }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+    });
+
+  } catch (error) {
+    console.error('Vocabulary update error:', error);
+    return vocabularyErrorResponse(error);
+  }
+}
+
+function vocabularyErrorResponse(error) {
+  return new Response(JSON.stringify({
+    success: false,
+    error: error.message
+  }), {
+    status: 500,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
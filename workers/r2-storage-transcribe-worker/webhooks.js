@@ -0,0 +1,511 @@
+// Outgoing webhooks for pipeline stages
+// Users register URLs that receive a signed JSON event whenever an upload, transcription or
+// summary finishes or fails. Every delivery is logged with each attempt's outcome. Attempts only
+// run in the JOBS_QUEUE consumer, retried with exponential backoff, so recording a stage never
+// waits on a receiver; webhooks can't be registered without that binding.
+//   settings/<user-id>/webhooks.json                               registrations and secrets
+//   settings/<user-id>/webhook-deliveries/<inverted-time>-<id>.json  delivery log, newest first
+
+import { getKeyOwnerId } from './ownership.js';
+import { SUMMARY_STYLES } from './summary-styles.js';
+
+// The plain summary and each styled one (summary_<style>) report the same four outcomes
+const SUMMARY_STAGES = ['summary', ...Object.keys(SUMMARY_STYLES).map(style => `summary_${style}`)];
+
+export const WEBHOOK_EVENTS = [
+  'upload.completed',
+  'upload.failed',
+  'transcription.completed',
+  'transcription.no_speech',
+  'transcription.failed',
+  ...SUMMARY_STAGES.flatMap(stage => [
+    `${stage}.completed`,
+    `${stage}.skipped`,
+    `${stage}.no_speech`,
+    `${stage}.failed`
+  ])
+];
+
+// Stage statuses that end a stage and so produce an event
+const FINAL_STATUSES = ['completed', 'failed', 'no_speech', 'skipped'];
+
+const MAX_WEBHOOKS = 10;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY_SECONDS = 30;
+const MAX_RETRY_DELAY_SECONDS = 12 * 60 * 60;
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_LOGGED_RESPONSE_CHARS = 500;
+const DEFAULT_LOG_LIMIT = 50;
+
+// Deliveries kept per user; older log entries are deleted as new ones are written
+const MAX_LOGGED_DELIVERIES = 200;
+
+// R2 deletes at most 1000 keys per call
+const DELETE_BATCH_SIZE = 1000;
+
+// Larger than any millisecond timestamp, so (MAX - now) sorts newest first
+const INVERTED_TIME_BASE = 9999999999999;
+
+function getWebhooksKey(userId) {
+  return `settings/${userId}/webhooks.json`;
+}
+
+function getDeliveriesPrefix(userId) {
+  return `settings/${userId}/webhook-deliveries/`;
+}
+
+async function getWebhooks(env, userId) {
+  const obj = await env.GIST_RECORDINGS.get(getWebhooksKey(userId));
+  return obj ? (await obj.json()).webhooks : [];
+}
+
+async function saveWebhooks(env, userId, webhooks) {
+  await env.GIST_RECORDINGS.put(getWebhooksKey(userId), JSON.stringify({ webhooks }), {
+    httpMetadata: {
+      contentType: 'application/json',
+    },
+  });
+}
+
+async function saveDelivery(env, delivery) {
+  delivery.updatedAt = new Date().toISOString();
+  await env.GIST_RECORDINGS.put(delivery.key, JSON.stringify(delivery), {
+    httpMetadata: {
+      contentType: 'application/json',
+    },
+    // Lets the log be filtered by webhook from the listing alone
+    customMetadata: {
+      webhookId: delivery.webhookId,
+    },
+  });
+}
+
+function getMaxAttempts(env) {
+  const attempts = parseInt(env.WEBHOOK_MAX_ATTEMPTS, 10);
+  return attempts > 0 ? attempts : DEFAULT_MAX_ATTEMPTS;
+}
+
+// Exponential backoff: base, 2x base, 4x base...
+function getRetryDelaySeconds(env, attempts) {
+  const base = parseInt(env.WEBHOOK_RETRY_DELAY_SECONDS, 10);
+  const delay = (base >= 0 ? base : DEFAULT_RETRY_DELAY_SECONDS) * Math.pow(2, attempts - 1);
+  return Math.min(delay, MAX_RETRY_DELAY_SECONDS);
+}
+
+// Called by recordStage after every manifest write; queues an event for stages that just finished
+// Never throws, so a webhook problem can't fail the pipeline
+export async function notifyStageWebhooks(env, key, stage, manifest) {
+  const record = manifest.stages[stage];
+  if (!record || !FINAL_STATUSES.includes(record.status)) {
+    return;
+  }
+
+  try {
+    const userId = getKeyOwnerId(key);
+    const webhooks = userId ? await getWebhooks(env, userId) : [];
+    const type = `${stage}.${record.status}`;
+    const subscribed = webhooks.filter(webhook => webhook.events.includes('*') || webhook.events.includes(type));
+
+    if (!subscribed.length) {
+      return;
+    }
+
+    // Registrations made before the binding was removed have nowhere to run
+    if (!env.JOBS_QUEUE) {
+      console.log({
+        event: 'webhook_dispatch_skipped',
+        key: key,
+        stage: stage,
+        reason: 'jobs_queue_missing',
+        webhook_count: subscribed.length,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const event = buildStageEvent(type, stage, record, manifest, userId);
+    for (const webhook of subscribed) {
+      await createDelivery(env, userId, webhook, event);
+    }
+    await pruneDeliveryLog(env, userId);
+
+  } catch (error) {
+    console.log({
+      event: 'webhook_dispatch_failed',
+      key: key,
+      stage: stage,
+      error_message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Event fields use the same names as the transcription and summarization request logs
+function buildStageEvent(type, stage, record, manifest, userId) {
+  const isSummary = stage === 'summary' || stage.startsWith('summary_');
+  const wordCountField = isSummary ? 'summary_word_count' : 'transcription_word_count';
+
+  return {
+    id: crypto.randomUUID(),
+    type: type,
+    created_at: new Date().toISOString(),
+    data: {
+      user_id: userId,
+      session_id: manifest.sessionId,
+      audio_key: manifest.artifacts.audio || null,
+      transcription_key: manifest.artifacts.transcription || null,
+      // Styled summaries (stage summary_<style>) keep their key under the stage name
+      summary_key: (isSummary ? manifest.artifacts[stage] : manifest.artifacts.summary) || null,
+      stage: stage,
+      status: record.status,
+      request_id: record.requestId || null,
+      model: record.model || null,
+      processing_time_ms: record.durationMs ?? null,
+      [wordCountField]: record.wordCount ?? null,
+      size: record.size ?? null,
+      language: record.language || null,
+      reason: record.reason || null,
+      cached: record.cached ?? null,
+      error_message: record.error || null
+    }
+  };
+}
+
+async function createDelivery(env, userId, webhook, event) {
+  const deliveryId = crypto.randomUUID();
+  const now = Date.now();
+  const delivery = {
+    key: `${getDeliveriesPrefix(userId)}${INVERTED_TIME_BASE - now}-${deliveryId}.json`,
+    deliveryId: deliveryId,
+    webhookId: webhook.id,
+    userId: userId,
+    url: webhook.url,
+    eventId: event.id,
+    eventType: event.type,
+    payload: event,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: null,
+    createdAt: new Date(now).toISOString()
+  };
+  await saveDelivery(env, delivery);
+  await env.JOBS_QUEUE.send({ type: 'webhook_delivery', deliveryKey: delivery.key });
+}
+
+// Keep the newest MAX_LOGGED_DELIVERIES log entries; keys sort newest first
+async function pruneDeliveryLog(env, userId) {
+  const prefix = getDeliveriesPrefix(userId);
+  const kept = await env.GIST_RECORDINGS.list({ prefix: prefix, limit: MAX_LOGGED_DELIVERIES });
+  if (!kept.truncated) {
+    return;
+  }
+
+  const expired = await env.GIST_RECORDINGS.list({ prefix: prefix, cursor: kept.cursor, limit: DELETE_BATCH_SIZE });
+  if (expired.objects.length) {
+    await env.GIST_RECORDINGS.delete(expired.objects.map(obj => obj.key));
+  }
+}
+
+// Send the event once and record the attempt; sets status to delivered, retrying or failed
+async function attemptDelivery(env, delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startTime = Date.now();
+  const attempt = { attempt: delivery.attempts.length + 1, at: new Date().toISOString() };
+
+  if (!webhook) {
+    attempt.error = 'Webhook was deleted';
+  } else {
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'gist-r2-worker-webhooks',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Delivery': delivery.deliveryId,
+          'X-Webhook-Signature': `t=${timestamp},v1=${await signPayload(webhook.secret, timestamp, body)}`,
+        },
+        body: body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+      attempt.statusCode = response.status;
+      attempt.responseBody = (await response.text()).slice(0, MAX_LOGGED_RESPONSE_CHARS);
+      if (!response.ok) {
+        attempt.error = `Receiver answered ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+  }
+
+  attempt.durationMs = Date.now() - startTime;
+  delivery.attempts.push(attempt);
+
+  const exhausted = !webhook || delivery.attempts.length >= getMaxAttempts(env);
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+  } else if (exhausted) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelaySeconds(env, delivery.attempts.length) * 1000).toISOString();
+  }
+  await saveDelivery(env, delivery);
+
+  console.log({
+    event: 'webhook_delivery_attempted',
+    delivery_id: delivery.deliveryId,
+    webhook_id: delivery.webhookId,
+    event_type: delivery.eventType,
+    attempt: attempt.attempt,
+    status_code: attempt.statusCode || null,
+    delivery_status: delivery.status,
+    error_message: attempt.error || null,
+    processing_time_ms: attempt.durationMs,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", hex encoded
+async function signPayload(secret, timestamp, body) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${body}`));
+  return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Queue consumer side of a delivery (see handleJobBatch)
+export async function processWebhookDeliveryMessage(message, env) {
+  const obj = await env.GIST_RECORDINGS.get(message.body.deliveryKey);
+  const delivery = obj ? await obj.json() : null;
+
+  if (!delivery || delivery.status === 'delivered' || delivery.status === 'failed') {
+    message.ack();
+    return;
+  }
+
+  const webhooks = await getWebhooks(env, delivery.userId);
+  await attemptDelivery(env, delivery, webhooks.find(webhook => webhook.id === delivery.webhookId));
+
+  if (delivery.status === 'retrying') {
+    message.retry({ delaySeconds: getRetryDelaySeconds(env, delivery.attempts.length) });
+  } else {
+    message.ack();
+  }
+}
+
+// Dead letter queue side: the queue gave up on a delivery before WEBHOOK_MAX_ATTEMPTS ran out
+export async function failWebhookDeliveryMessage(message, env) {
+  const obj = await env.GIST_RECORDINGS.get(message.body.deliveryKey);
+  const delivery = obj ? await obj.json() : null;
+
+  if (delivery && delivery.status !== 'delivered' && delivery.status !== 'failed') {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    await saveDelivery(env, delivery);
+
+    console.log({
+      event: 'webhook_delivery_dead_lettered',
+      delivery_id: delivery.deliveryId,
+      webhook_id: delivery.webhookId,
+      event_type: delivery.eventType,
+      attempts: delivery.attempts.length,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  message.ack();
+}
+
+// Receivers on plain http are only allowed for local testing (WEBHOOK_ALLOW_HTTP=true)
+function validateWebhookUrl(env, value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'url must be an absolute URL';
+  }
+
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && env.WEBHOOK_ALLOW_HTTP === 'true')) {
+    return 'url must use https';
+  }
+
+  return null;
+}
+
+// Registrations as returned by the API: the secret is only shown when a webhook is created
+function describeWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, secretPreview: `${secret.slice(0, 10)}…` };
+}
+
+// Handle GET /api/webhooks
+export async function handleListWebhooks(request, env, user) {
+  try {
+    const webhooks = await getWebhooks(env, user.id);
+    return jsonResponse({ success: true, webhooks: webhooks.map(describeWebhook), events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('Webhook list error:', error);
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+// Handle POST /api/webhooks with { url, events? } (events default to all; "*" also means all)
+export async function handleCreateWebhook(request, env, user) {
+  try {
+    if (!env.JOBS_QUEUE) {
+      return jsonResponse({ success: false, error: 'Webhooks need the JOBS_QUEUE binding' }, 500);
+    }
+
+    const { url, events = ['*'] } = await request.json();
+
+    if (!url) {
+      return new Response('Missing url', { status: 400 });
+    }
+
+    const urlError = validateWebhookUrl(env, url);
+    if (urlError) {
+      return new Response(urlError, { status: 400 });
+    }
+
+    if (!Array.isArray(events) || !events.length || events.some(type => type !== '*' && !WEBHOOK_EVENTS.includes(type))) {
+      return new Response(`events must list any of: *, ${WEBHOOK_EVENTS.join(', ')}`, { status: 400 });
+    }
+
+    const webhooks = await getWebhooks(env, user.id);
+    if (webhooks.length >= MAX_WEBHOOKS) {
+      return new Response(`At most ${MAX_WEBHOOKS} webhooks are allowed`, { status: 400 });
+    }
+
+    const secretBytes = crypto.getRandomValues(new Uint8Array(32));
+    const webhook = {
+      id: crypto.randomUUID(),
+      url: url,
+      events: [...new Set(events)],
+      secret: `whsec_${[...secretBytes].map(byte => byte.toString(16).padStart(2, '0')).join('')}`,
+      createdAt: new Date().toISOString()
+    };
+
+    await saveWebhooks(env, user.id, [...webhooks, webhook]);
+
+    console.log({
+      event: 'webhook_created',
+      user_id: user.id,
+      webhook_id: webhook.id,
+      subscribed_events: webhook.events,
+      timestamp: webhook.createdAt
+    });
+
+    return jsonResponse({ success: true, webhook: webhook }, 201);
+
+  } catch (error) {
+    console.error('Webhook create error:', error);
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+// Handle DELETE /api/webhooks?id=
+export async function handleDeleteWebhook(request, env, user) {
+  try {
+    const id = new URL(request.url).searchParams.get('id');
+
+    if (!id) {
+      return new Response('Missing id parameter', { status: 400 });
+    }
+
+    const webhooks = await getWebhooks(env, user.id);
+    const remaining = webhooks.filter(webhook => webhook.id !== id);
+
+    if (remaining.length === webhooks.length) {
+      return jsonResponse({ success: false, error: 'Webhook not found' }, 404);
+    }
+
+    await saveWebhooks(env, user.id, remaining);
+    return jsonResponse({ success: true, deleted: id });
+
+  } catch (error) {
+    console.error('Webhook delete error:', error);
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+// Handle GET /api/webhooks/deliveries?webhookId=&limit=&cursor=
+// Newest first; the payload is left out to keep the log small
+export async function handleListWebhookDeliveries(request, env, user) {
+  try {
+    const url = new URL(request.url);
+    const webhookId = url.searchParams.get('webhookId');
+    const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || DEFAULT_LOG_LIMIT, 100);
+
+    // The cursor is the last log entry examined, so a filtered page resumes right after it
+    const prefix = getDeliveriesPrefix(user.id);
+    const cursor = url.searchParams.get('cursor');
+    let startAfter = cursor ? prefix + cursor : undefined;
+    let hasMore = true;
+
+    // Keep listing until the page is full, so filtering by webhook never returns an empty page
+    // while older matches remain; the log is capped at MAX_LOGGED_DELIVERIES, so this stays short
+    const deliveries = [];
+    while (hasMore && deliveries.length < limit) {
+      const listed = await env.GIST_RECORDINGS.list({
+        prefix: prefix,
+        limit: webhookId ? MAX_LOGGED_DELIVERIES : limit - deliveries.length,
+        startAfter: startAfter,
+        include: ['customMetadata']
+      });
+      hasMore = listed.truncated;
+
+      for (const object of listed.objects) {
+        if (deliveries.length === limit) {
+          hasMore = true;
+          break;
+        }
+        startAfter = object.key;
+
+        // Entries written before the webhook ID was kept in metadata are checked after reading
+        const loggedWebhookId = object.customMetadata?.webhookId;
+        if (webhookId && loggedWebhookId && loggedWebhookId !== webhookId) {
+          continue;
+        }
+        const obj = await env.GIST_RECORDINGS.get(object.key);
+        if (!obj) {
+          continue;
+        }
+        const { payload, key, ...delivery } = await obj.json();
+        if (!webhookId || delivery.webhookId === webhookId) {
+          deliveries.push(delivery);
+        }
+      }
+    }
+
+    return jsonResponse({
+      success: true,
+      deliveries: deliveries,
+      cursor: hasMore ? startAfter.slice(prefix.length) : null
+    });
+
+  } catch (error) {
+    console.error('Webhook delivery log error:', error);
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status: status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}